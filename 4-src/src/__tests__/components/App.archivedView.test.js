@@ -288,5 +288,40 @@ describe('App - Archived View Grid Layout', () => {
     const workListInArchive = within(archivedSection).getByText('Work').closest('div')
     expect(workListInArchive).toBeInTheDocument()
   }, 20000)
+
+  it('deletes an archived list to the trash, orphaning older tasks, and restores it', async () => {
+    const user = userEvent.setup()
+    render(App)
+    await waitForListSection('Work')
+    const personal = (await db.lists.toArray()).find(l => l.name === 'Personal')
+    await db.tasks.add({ text: 'Old task', listId: personal.id, order: 1, status: 'archived', archivedAt: Date.now() - 3 * 24 * 60 * 60 * 1000 })
+    await archiveAllTasksInList(personal.id)
+    await archiveList(personal.id)
+
+    await user.click(await screen.findByRole('button', { name: 'Delete list Personal' }, { timeout: 5000 }))
+    const dialog = await screen.findByRole('dialog')
+    expect(within(dialog).getByRole('radio', { name: /tasks archived that day \(1\)/i })).toBeChecked()
+    expect(dialog).toHaveTextContent('1 task from other dates will move to the "Orphaned" list.')
+    await user.click(within(dialog).getByRole('button', { name: 'Delete list' }))
+
+    // The older task is now archived under the Orphaned list, which shows on the board
+    await waitForListSection('Orphaned')
+    await waitFor(() => {
+      const trash = screen.getByRole('list', { name: 'Deleted lists' })
+      expect(trash).toHaveTextContent('Personal')
+      expect(trash).toHaveTextContent('1 task')
+    })
+    const archivedSection = screen.getByText('Archived Tasks').parentElement
+    await waitFor(() => {
+      expect(within(archivedSection).queryByText('Personal Task')).not.toBeInTheDocument()
+      expect(within(archivedSection).getByText('Old task')).toBeInTheDocument()
+    })
+
+    await user.click(screen.getByRole('button', { name: 'Restore list Personal' }))
+    await waitFor(() => {
+      expect(screen.getByText('Trash is empty')).toBeInTheDocument()
+      expect(within(archivedSection).getByText('Personal Task')).toBeInTheDocument()
+    })
+  }, 20000)
 })
 
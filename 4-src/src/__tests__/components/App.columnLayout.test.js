@@ -1,6 +1,6 @@
 // @ts-nocheck
 import { describe, it, expect, beforeEach } from 'vitest'
-import { render, screen, waitFor } from '@testing-library/svelte'
+import { render, screen, waitFor, fireEvent } from '@testing-library/svelte'
 import App from '../../App.svelte'
 import db from '../../lib/db.js'
 import { setupTestData } from '../helpers/appTestSetup.js'
@@ -16,7 +16,7 @@ function getColumns() {
 
 /**
  * Helper: Get lists in a specific column
- * @param {number} columnIndex - The column index (0-4)
+ * @param {number} columnIndex - The column index
  * @returns {Array<string>} Array of list names in that column
  */
 function getListsInColumn(columnIndex) {
@@ -229,5 +229,44 @@ describe('App - Column Layout', () => {
     const createButtons = screen.getAllByRole('button', { name: /create new list/i })
     expect(createButtons.length).toBe(5)
   }, 10000)
-})
 
+  it('changes the number of columns from the Columns setting', async () => {
+    await db.lists.add({ name: 'Far Right', order: 0, columnIndex: 4, archivedAt: null })
+    render(App)
+    
+    await waitFor(() => {
+      expect(getListsInColumn(4)).toContain('Far Right')
+    })
+    
+    await fireEvent.click(screen.getByRole('button', { name: /settings/i }))
+    const columnSelect = await screen.findByLabelText('Columns')
+    expect(columnSelect).toHaveValue('5')
+    await fireEvent.change(columnSelect, { target: { value: '3' } })
+    
+    // The removed columns' lists move to the new last column
+    await waitFor(() => {
+      expect(getColumns().length).toBe(3)
+      expect(getListsInColumn(2)).toContain('Far Right')
+    })
+    expect(screen.getAllByRole('button', { name: /create new list/i }).length).toBe(3)
+  }, 10000)
+
+  it('resizes the sheet and limits the columns when the paper format changes', async () => {
+    render(App)
+    await waitFor(() => {
+      expect(getColumns().length).toBe(5)
+    })
+    
+    await fireEvent.click(screen.getByRole('button', { name: /settings/i }))
+    await fireEvent.change(await screen.findByLabelText('Paper size'), { target: { value: 'a4' } })
+    await fireEvent.change(screen.getByLabelText('Orientation'), { target: { value: 'portrait' } })
+    
+    await waitFor(() => {
+      const sheet = document.querySelector('main > .relative')
+      expect(sheet).toHaveStyle({ width: '793px', height: '1122px' })
+    })
+    // Only the column counts that fit across the portrait sheet are offered
+    const options = Array.from(screen.getByLabelText('Columns').querySelectorAll('option')).map(o => o.value)
+    expect(options).toEqual(['1', '2', '3', '4', '5', '6'])
+  }, 10000)
+})
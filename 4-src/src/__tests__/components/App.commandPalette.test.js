@@ -0,0 +1,68 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import { render, screen, waitFor, within } from '@testing-library/svelte'
+import userEvent from '@testing-library/user-event'
+import App from '../../App.svelte'
+import db from '../../lib/db.js'
+import { setupTestData } from '../helpers/appTestSetup.js'
+import { waitForListSection } from '../helpers/appTestHelpers.js'
+
+async function runCommand(user, query) {
+  await user.keyboard('{Control>}{Shift>}p{/Shift}{/Control}')
+  const input = await screen.findByRole('combobox', { name: 'Command' })
+  await waitFor(() => expect(input).toHaveFocus())
+  await user.type(input, query)
+  await user.keyboard('{Enter}')
+}
+
+describe('App - Command Palette', () => {
+  beforeEach(async () => {
+    await setupTestData()
+  })
+
+  it('lists commands with a choice per list and archives the chosen list', async () => {
+    const user = userEvent.setup()
+    render(App)
+    await waitForListSection('Work')
+
+    await user.click(screen.getByRole('button', { name: 'Commands' }))
+    const palette = await screen.findByRole('dialog', { name: 'Command palette' })
+    await waitFor(() => {
+      const titles = within(palette).getAllByRole('option').map(option => option.textContent.trim())
+      expect(titles).toEqual(expect.arrayContaining(['Print', 'Archive list Work', 'Archive list Personal', 'New list in column 3', 'Toggle font size', 'Export backup']))
+      expect(titles).not.toContain('Move focused task to list Personal')
+    })
+    await user.keyboard('{Escape}')
+
+    await runCommand(user, 'archive list work')
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: 'Rename list: Work' })).not.toBeInTheDocument()
+    }, { timeout: 5000 })
+    expect((await db.tasks.where('text').equals('Task 1').first()).status).toBe('archived')
+  }, 15000)
+
+  it('moves the focused task to another list', async () => {
+    const user = userEvent.setup()
+    render(App)
+    const workSection = await waitForListSection('Work')
+
+    ;(await within(workSection).findByRole('listitem', { name: 'Task: Task 2' })).focus()
+    await runCommand(user, 'move personal')
+
+    const personalSection = await waitForListSection('Personal')
+    await waitFor(() => {
+      expect(within(personalSection).getByText('Task 2')).toBeInTheDocument()
+    }, { timeout: 5000 })
+  })
+
+  it('opens the create list input in the chosen column', async () => {
+    const user = userEvent.setup()
+    render(App)
+    await waitForListSection('Work')
+
+    await runCommand(user, 'new list in column 2')
+    await waitFor(() => {
+      expect(document.activeElement).toHaveAttribute('aria-label', expect.stringMatching(/list name/i))
+    })
+  })
+})
@@ -4,6 +4,7 @@ import { render, screen, waitFor, fireEvent, within } from '@testing-library/sve
 import userEvent from '@testing-library/user-event'
 import App from '../../App.svelte'
 import { setupTestData } from '../helpers/appTestSetup.js'
+import db from '../../lib/db.js'
 
 describe('App - Header and Settings Flyout', () => {
   beforeEach(async () => {
@@ -192,5 +193,66 @@ describe('App - Header and Settings Flyout', () => {
     // Header should have print:hidden class
     expect(header).toHaveClass('print:hidden')
   })
-})
 
+  it('replaces all data from a backup file after confirmation', async () => {
+    const user = userEvent.setup()
+    render(App)
+    await screen.findByText('Task 1')
+
+    await user.click(await screen.findByRole('button', { name: /settings/i }))
+    await user.click(await screen.findByRole('radio', { name: 'Replace all' }))
+
+    const backup = {
+      format: 'time-blocker-backup',
+      version: 1,
+      data: { lists: [{ id: 1, name: 'Restored', order: 0 }], tasks: [{ id: 1, text: 'From backup', listId: 1, order: 0 }] }
+    }
+    const file = new File([JSON.stringify(backup)], 'backup.json', { type: 'application/json' })
+    fireEvent.change(screen.getByLabelText('Import backup'), { target: { files: [file] } })
+
+    await user.click(await screen.findByRole('button', { name: 'Replace all' }))
+
+    await waitFor(() => {
+      expect(screen.getByText('From backup')).toBeInTheDocument()
+      expect(screen.queryByText('Task 1')).not.toBeInTheDocument()
+    })
+    expect(screen.getByRole('status')).toHaveTextContent('Replaced all data with 1 lists and 1 tasks.')
+  }, 15000)
+
+  it('reviews conflicting records when merging a backup from another device', async () => {
+    const user = userEvent.setup()
+    render(App)
+    await screen.findByText('Task 1')
+
+    // A backup of this data where the other device renamed Task 1
+    const lists = await db.lists.toArray()
+    const tasks = await db.tasks.toArray()
+    const otherDevice = {
+      format: 'time-blocker-backup',
+      version: db.verno,
+      data: {
+        lists,
+        tasks: tasks.map(task => (task.text === 'Task 1' ? { ...task, text: 'Task 1 (laptop)' } : task)),
+        preferences: []
+      }
+    }
+
+    await user.click(await screen.findByRole('button', { name: /settings/i }))
+    const file = new File([JSON.stringify(otherDevice)], 'backup.json', { type: 'application/json' })
+    fireEvent.change(screen.getByLabelText('Import backup'), { target: { files: [file] } })
+
+    const review = await screen.findByRole('dialog', { name: 'Review merge' })
+    const conflict = within(review).getByRole('group', { name: 'Task "Task 1"' })
+    expect(within(conflict).getByText('Task 1 (laptop)')).toBeInTheDocument()
+    expect(within(conflict).getByRole('radio', { name: 'Keep this device' })).toBeChecked()
+
+    await user.click(within(conflict).getByRole('radio', { name: 'Use backup' }))
+    await user.click(within(review).getByRole('button', { name: 'Apply merge' }))
+
+    await waitFor(() => {
+      expect(screen.getByText('Task 1 (laptop)')).toBeInTheDocument()
+    })
+    expect(await db.tasks.count()).toBe(3)
+    expect(screen.getByRole('status')).toHaveTextContent('Added 0 lists and 0 tasks, updated 1 records.')
+  }, 15000)
+})
@@ -158,5 +158,47 @@ describe('App - List Archiving', () => {
     })
   })
 
+  it('offers an Undo toast that brings back the archived list and its tasks', async () => {
+    const user = userEvent.setup()
+    render(App)
+    const workSection = await waitForListSection('Work')
+
+    await openListEditModal(user, workSection, 'Work')
+    await user.click(screen.getByRole('button', { name: /archive this list/i }))
+    await user.click(await screen.findByRole('button', { name: /confirm archive list/i }))
+
+    const toast = await screen.findByRole('status')
+    expect(toast).toHaveTextContent('Archive list')
+    await user.click(within(toast).getByRole('button', { name: 'Undo' }))
+
+    const restoredSection = await waitForListSection('Work')
+    await waitFor(() => {
+      expect(within(restoredSection).getByText('Task 1')).toBeInTheDocument()
+      expect(within(restoredSection).getByText('Task 2')).toBeInTheDocument()
+    })
+    expect(screen.queryByRole('status')).not.toBeInTheDocument()
+  })
+
+  it('undoes and redoes with Ctrl+Z and Ctrl+Shift+Z outside text fields', async () => {
+    const user = userEvent.setup()
+    render(App)
+    const workSection = await waitForListSection('Work')
+
+    await openListEditModal(user, workSection, 'Work')
+    await user.click(screen.getByRole('button', { name: /archive this list/i }))
+    await user.click(await screen.findByRole('button', { name: /confirm archive list/i }))
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: /rename list: work/i })).not.toBeInTheDocument()
+    }, { timeout: 3000 })
+
+    document.body.focus()
+    await user.keyboard('{Control>}z{/Control}')
+    await waitForListSection('Work')
+
+    await user.keyboard('{Control>}{Shift>}z{/Shift}{/Control}')
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: /rename list: work/i })).not.toBeInTheDocument()
+    }, { timeout: 3000 })
+  })
 })
 
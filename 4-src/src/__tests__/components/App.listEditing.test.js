@@ -4,6 +4,7 @@ import { render, screen, waitFor, within } from '@testing-library/svelte'
 import userEvent from '@testing-library/user-event'
 import App from '../../App.svelte'
 import { setupTestData } from '../helpers/appTestSetup.js'
+import { setWriteInLines } from '../../lib/dataAccess.js'
 import { 
   waitForListSection
 } from '../helpers/appTestHelpers.js'
@@ -319,5 +320,27 @@ describe('App - List Editing Modal UX Behaviors', () => {
     const modalInput2 = screen.getByRole('textbox', { name: /edit list name/i })
     expect(modalInput2).toHaveValue('Work')
   })
-})
 
+  it('Write-in lines can be set for one list, overriding the global setting', async () => {
+    await setWriteInLines(2)
+    const user = userEvent.setup()
+    render(App)
+    const workSection = await waitForListSection('Work')
+    await waitFor(() => {
+      expect(within(workSection).getAllByTestId('write-in-line')).toHaveLength(2)
+    })
+
+    await openListEditModal(user, workSection, 'Work')
+    const writeInSelect = screen.getByRole('combobox', { name: /write-in lines/i })
+    expect(writeInSelect).toHaveValue('')
+    await user.selectOptions(writeInSelect, 'Fill column')
+    await user.click(screen.getByRole('button', { name: /save list name changes/i }))
+
+    await waitFor(() => {
+      expect(within(workSection).getByTestId('write-in-fill')).toBeInTheDocument()
+    })
+    expect(within(workSection).queryAllByTestId('write-in-line')).toHaveLength(0)
+    const personalSection = await waitForListSection('Personal')
+    expect(within(personalSection).getAllByTestId('write-in-line')).toHaveLength(2)
+  })
+})
@@ -0,0 +1,52 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import { render, screen, waitFor, within } from '@testing-library/svelte'
+import userEvent from '@testing-library/user-event'
+import App from '../../App.svelte'
+import db from '../../lib/db.js'
+import { setupTestData } from '../helpers/appTestSetup.js'
+import { waitForListSection } from '../helpers/appTestHelpers.js'
+
+describe('App - Search', () => {
+  beforeEach(async () => {
+    await setupTestData()
+    const personal = await db.lists.where('name').equals('Personal').first()
+    await db.tasks.add({ text: 'Call the dentist', listId: personal.id, order: 1, status: 'unchecked' })
+    await db.tasks.add({ text: 'Pay dentist bill', listId: personal.id, order: 2, status: 'archived', archivedAt: Date.now() })
+  })
+
+  it('Ctrl+K finds tasks grouped by list and focuses the chosen one on the board', async () => {
+    const user = userEvent.setup()
+    render(App)
+    await waitForListSection('Personal')
+
+    await user.keyboard('{Control>}k{/Control}')
+    const search = await screen.findByRole('combobox', { name: 'Search tasks and lists' })
+    await waitFor(() => expect(search).toHaveFocus())
+    await user.type(search, 'dntst')
+
+    const group = await screen.findByRole('group', { name: 'Personal' })
+    expect(within(group).getAllByRole('option').map(option => option.textContent.replace(/\s+/g, ' ').trim()))
+      .toEqual(['Call the dentist', 'Pay dentist bill Archived'])
+
+    await user.keyboard('{Enter}')
+    await waitFor(() => {
+      expect(screen.getByRole('listitem', { name: 'Task: Call the dentist' })).toHaveFocus()
+    })
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+  })
+
+  it('/ opens search, and archived results open in the archive with their restore button', async () => {
+    const user = userEvent.setup()
+    render(App)
+    await waitForListSection('Personal')
+
+    await user.keyboard('/')
+    await user.type(await screen.findByRole('combobox', { name: 'Search tasks and lists' }), 'bill')
+    await user.click(await screen.findByRole('option', { name: /Pay dentist bill/ }))
+
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Restore task Pay dentist bill' })).toHaveFocus()
+    })
+  })
+})
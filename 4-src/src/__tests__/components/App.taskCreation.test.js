@@ -175,5 +175,31 @@ describe('App - Task Creation UX Behaviors', () => {
     // Verify button still exists in DOM (not display: none)
     expect(addTaskButton).toBeInTheDocument()
   })
+
+  it('offers to split a multi-line paste into separate tasks', async () => {
+    const user = userEvent.setup()
+    render(App)
+    const workSection = await waitForListSection('Work')
+    await waitFor(() => {
+      expect(within(workSection).getByText('Task 1')).toBeInTheDocument()
+    })
+
+    const input = await openTaskInput(user, workSection, 'Work')
+    await fireEvent.paste(input, {
+      clipboardData: { getData: () => '- Buy milk\n* Call Sam\n\n1. [ ] Post letter' }
+    })
+
+    const offer = within(workSection).getByRole('group', { name: /multi-line paste/i })
+    expect(offer).toHaveTextContent('Split into 3 tasks?')
+    await user.click(within(offer).getByRole('button', { name: 'Split' }))
+
+    await waitFor(() => {
+      const texts = within(workSection).getAllByRole('listitem').map(item => item.textContent)
+      const pasted = ['Buy milk', 'Call Sam', 'Post letter'].map(text => texts.findIndex(t => t.includes(text)))
+      expect(pasted.every(index => index !== -1)).toBe(true)
+      expect(pasted).toEqual([...pasted].sort((a, b) => a - b))
+    })
+    expect(within(workSection).queryByRole('group', { name: /multi-line paste/i })).not.toBeInTheDocument()
+  })
 })
 
@@ -1,8 +1,9 @@
 // @ts-nocheck
 import { describe, it, expect, beforeEach } from 'vitest'
-import { render, screen, waitFor, within } from '@testing-library/svelte'
+import { render, screen, waitFor, within, fireEvent } from '@testing-library/svelte'
 import userEvent from '@testing-library/user-event'
 import App from '../../App.svelte'
+import db from '../../lib/db.js'
 import { setupTestData } from '../helpers/appTestSetup.js'
 import { 
   waitForListSection, 
@@ -300,5 +301,83 @@ describe('App - Task Editing Modal UX Behaviors', () => {
     const modalInput = screen.getByRole('textbox', { name: /edit task/i })
     expect(modalInput).toHaveValue('Task 1')
   })
-})
 
+  it('Saves an optional start time and duration and shows them on the task', async () => {
+    const user = userEvent.setup()
+    render(App)
+    const workSection = await waitForListSection('Work')
+    
+    await openTaskEditModal(user, workSection, 'Task 1')
+    const dialog = screen.getByRole('dialog')
+    
+    // jsdom has no time picker; set the value directly like a browser would
+    const startTimeInput = within(dialog).getByLabelText('Start time')
+    await fireEvent.input(startTimeInput, { target: { value: '09:30' } })
+    const durationInput = within(dialog).getByLabelText('Duration (min)')
+    await user.clear(durationInput)
+    await user.type(durationInput, '90')
+    
+    await user.click(within(dialog).getByRole('button', { name: 'Save task changes' }))
+    
+    await waitFor(() => {
+      expect(within(workSection).getByText('9:30–11:00')).toBeInTheDocument()
+    })
+    const task = await db.tasks.where('text').equals('Task 1').first()
+    expect(task.startTime).toBe('09:30')
+    expect(task.durationMinutes).toBe(90)
+  })
+
+  it('Saves a weekly repeat and marks the task as recurring', async () => {
+    const user = userEvent.setup()
+    render(App)
+    const workSection = await waitForListSection('Work')
+    
+    await openTaskEditModal(user, workSection, 'Task 1')
+    const dialog = screen.getByRole('dialog')
+    await user.selectOptions(within(dialog).getByLabelText('Repeat'), 'Weekly')
+    
+    // Weekly needs at least one day
+    for (const checkbox of within(dialog).getAllByRole('checkbox', { name: /repeat on/i })) {
+      if (checkbox.checked) await user.click(checkbox)
+    }
+    await user.click(within(dialog).getByRole('button', { name: 'Save task changes' }))
+    expect(within(dialog).getByRole('alert')).toHaveTextContent('Choose at least one day')
+    
+    await user.click(within(dialog).getByRole('checkbox', { name: 'Repeat on Monday' }))
+    await user.click(within(dialog).getByRole('checkbox', { name: 'Repeat on Thursday' }))
+    await user.click(within(dialog).getByRole('button', { name: 'Save task changes' }))
+    
+    await waitFor(() => {
+      expect(within(workSection).getByRole('img', { name: 'Repeats: Weekly on Mon, Thu' })).toBeInTheDocument()
+    })
+    const task = await db.tasks.where('text').equals('Task 1').first()
+    expect(task.recurrence).toEqual({ frequency: 'weekly', weekdays: [0, 3] })
+  })
+
+  it('Shows #tags as chips and filters tasks by tag', async () => {
+    const user = userEvent.setup()
+    render(App)
+    const workSection = await waitForListSection('Work')
+    
+    const modalInput = await openTaskEditModal(user, workSection, 'Task 1')
+    await user.clear(modalInput)
+    await user.type(modalInput, 'Task 1 #Home')
+    await user.keyboard('{Enter}')
+    
+    await waitFor(() => {
+      expect(within(workSection).getByText('#Home')).toHaveClass('tag-chip')
+    })
+    
+    await user.click(screen.getByRole('button', { name: '#home' }))
+    await waitFor(() => {
+      expect(within(workSection).getByRole('listitem', { name: 'Task: Task 2' })).toHaveClass('tag-filter-dimmed')
+    })
+    expect(within(workSection).getByRole('listitem', { name: 'Task: Task 1 #Home' })).not.toHaveClass('tag-filter-dimmed')
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: '#home' })).toHaveAttribute('aria-pressed', 'true')
+    })
+    
+    const preference = await db.preferences.get('tagFilter')
+    expect(preference.value).toEqual({ tags: ['home'], mode: 'dim' })
+  })
+})
@@ -0,0 +1,60 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import { render, screen, waitFor, within } from '@testing-library/svelte'
+import userEvent from '@testing-library/user-event'
+import App from '../../App.svelte'
+import db from '../../lib/db.js'
+import { clearTaskSelection } from '../../lib/taskSelection.svelte.js'
+import { setupTestData } from '../helpers/appTestSetup.js'
+import { waitForListSection } from '../helpers/appTestHelpers.js'
+
+describe('App - Task Selection', () => {
+  beforeEach(async () => {
+    await setupTestData()
+    clearTaskSelection()
+  })
+
+  it('selects tasks with Ctrl/Shift-click instead of editing them, and checks them from the toolbar', async () => {
+    const user = userEvent.setup()
+    render(App)
+    const workSection = await waitForListSection('Work')
+    await within(workSection).findByRole('listitem', { name: 'Task: Task 2' })
+
+    await user.keyboard('{Control>}')
+    await user.click(within(workSection).getByText('Task 1'))
+    await user.keyboard('{/Control}{Shift>}')
+    await user.click(within(workSection).getByText('Task 2'))
+    await user.keyboard('{/Shift}')
+
+    const toolbar = await screen.findByRole('toolbar', { name: 'Selected tasks' })
+    expect(within(toolbar).getByText('2 selected')).toBeInTheDocument()
+    expect(within(workSection).getByRole('listitem', { name: 'Task: Task 1, selected' })).toHaveClass('task-selected')
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+
+    await user.click(within(toolbar).getByRole('button', { name: 'Check' }))
+    await waitFor(async () => {
+      const statuses = (await db.tasks.where('text').anyOf('Task 1', 'Task 2').toArray()).map(task => task.status)
+      expect(statuses).toEqual(['checked', 'checked'])
+    }, { timeout: 5000 })
+  }, 15000)
+
+  it('extends the selection with Shift+Arrow across lists and moves it to a list in order', async () => {
+    const user = userEvent.setup()
+    render(App)
+    const workSection = await waitForListSection('Work')
+
+    ;(await within(workSection).findByRole('listitem', { name: 'Task: Task 2' })).focus()
+    await user.keyboard('{Shift>}{ArrowDown}{/Shift}')
+    const personalSection = await waitForListSection('Personal')
+    await waitFor(() => {
+      expect(within(personalSection).getByRole('listitem', { name: 'Task: Personal Task, selected' })).toHaveFocus()
+    })
+    expect(within(screen.getByRole('toolbar', { name: 'Selected tasks' })).getByText('2 selected')).toBeInTheDocument()
+
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Move selected tasks to list' }), 'Work')
+    await waitFor(() => {
+      const texts = within(workSection).getAllByRole('listitem').map(item => item.textContent.trim())
+      expect(texts).toEqual(['Task 1', 'Task 2', 'Personal Task'])
+    }, { timeout: 5000 })
+  }, 15000)
+})
@@ -29,8 +29,54 @@ describe('App', () => {
     // Click the button
     await user.click(printButton)
     
-    // Verify window.print() was called
-    expect(window.print).toHaveBeenCalledTimes(1)
+    // Verify window.print() was called (after the board is snapshotted for reconciling)
+    await waitFor(() => expect(window.print).toHaveBeenCalledTimes(1))
+  })
+
+  it('should walk through the printed tasks with single keystrokes and apply the choices', async () => {
+    render(App)
+    const user = userEvent.setup()
+    await screen.findByText('Personal Task')
+
+    await user.click(screen.getByRole('button', { name: /^print$/i }))
+    await user.click(await screen.findByRole('button', { name: 'Reconcile last print' }, { timeout: 3000 }))
+    const dialog = await screen.findByRole('dialog', { name: 'Reconcile last print' })
+
+    expect(within(dialog).getByTestId('reconcile-task-text')).toHaveTextContent('Task 1')
+    await user.keyboard('d')
+    await user.keyboard('c')
+    await user.keyboard('{Backspace}')
+    expect(within(dialog).getByTestId('reconcile-task-text')).toHaveTextContent('Task 2')
+    await user.keyboard('a')
+    await user.keyboard('c')
+    expect(within(dialog).getByText('1 done, 1 archived, 1 carried over.')).toBeInTheDocument()
+
+    await user.click(within(dialog).getByRole('button', { name: 'Apply' }))
+    await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument())
+    const statuses = (await db.tasks.orderBy('id').toArray()).map(task => task.status)
+    expect(statuses).toEqual(['checked', 'archived', 'unchecked'])
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Reconcile last print' })).not.toBeInTheDocument())
+  })
+
+  it('should list each print in the print history and compare it with the current board', async () => {
+    render(App)
+    const user = userEvent.setup()
+    await screen.findByText('Personal Task')
+    expect(screen.getByText('Nothing printed yet')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: /^print$/i }))
+    const history = await screen.findByRole('list', { name: 'Printed sheets' })
+    expect(within(history).getByText(/3 tasks - US Letter landscape/)).toBeInTheDocument()
+
+    const [task1] = await db.tasks.orderBy('id').toArray()
+    await db.tasks.update(task1.id, { status: 'checked' })
+    await db.tasks.add({ text: 'Late addition', listId: task1.listId, order: 5, status: 'unchecked' })
+    await user.click(within(history).getByRole('button', { name: /^Compare sheet printed/ }))
+
+    const changes = await screen.findByRole('region', { name: 'Changes since this print' })
+    await waitFor(() => expect(within(changes).getByText('Completed (1)')).toBeInTheDocument())
+    expect(within(changes).getByText('Added (1)')).toBeInTheDocument()
+    expect(within(changes).getByText(/Late addition/)).toBeInTheDocument()
   })
 
   it('should display lists and tasks after mounting', async () => {
@@ -0,0 +1,115 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import { render, screen, waitFor, within } from '@testing-library/svelte'
+import userEvent from '@testing-library/user-event'
+import App from '../../App.svelte'
+import db from '../../lib/db.js'
+import { getWeekStart, addWeeks } from '../../lib/weekUtils.js'
+import { setupTestData } from '../helpers/appTestSetup.js'
+import { 
+  waitForListSection, 
+  waitForTasksToLoad 
+} from '../helpers/appTestHelpers.js'
+
+const getDayList = (dayName) => screen.getByRole('list', { name: `Tasks for ${dayName}` })
+
+describe('App - Week Section', () => {
+  beforeEach(async () => {
+    await setupTestData()
+  })
+
+  it('renders a slot for each day of the week', async () => {
+    render(App)
+
+    for (const dayName of ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']) {
+      expect(getDayList(dayName)).toBeInTheDocument()
+    }
+  })
+
+  it('shows tasks assigned to a day in that day instead of their list', async () => {
+    const task = await db.tasks.where('text').equals('Task 2').first()
+    await db.tasks.update(task.id, { weekStart: getWeekStart(), dayOfWeek: 4, order: 0 })
+
+    render(App)
+
+    const workSection = await waitForListSection('Work')
+    await waitForTasksToLoad(workSection, 'Task 1')
+
+    await waitFor(() => {
+      expect(within(getDayList('Friday')).getByText('Task 2')).toBeInTheDocument()
+    })
+    expect(within(workSection).queryByText('Task 2')).not.toBeInTheDocument()
+  })
+
+  it('moves a task to a day with number keys during keyboard drag and back with 0', async () => {
+    const user = userEvent.setup()
+    render(App)
+
+    const workSection = await waitForListSection('Work')
+    await waitForTasksToLoad(workSection, 'Task 1')
+
+    const task1ListItem = within(workSection).getByText('Task 1').closest('li')
+    task1ListItem.focus()
+
+    // Start keyboard drag, then press 3 to drop onto Wednesday
+    await user.keyboard(' ')
+    await user.keyboard('3')
+
+    await waitFor(() => {
+      expect(within(getDayList('Wednesday')).getByText('Task 1')).toBeInTheDocument()
+    })
+    await waitFor(() => {
+      expect(within(workSection).queryByText('Task 1')).not.toBeInTheDocument()
+    })
+
+    // Focus follows the task into the day slot
+    const dayTaskItem = within(getDayList('Wednesday')).getByText('Task 1').closest('li')
+    await waitFor(() => {
+      expect(dayTaskItem).toHaveFocus()
+    })
+
+    // Move to the next day with ArrowRight
+    await user.keyboard(' ')
+    await user.keyboard('{ArrowRight}')
+    await waitFor(() => {
+      expect(within(getDayList('Thursday')).getByText('Task 1').closest('li')).toHaveFocus()
+    })
+
+    // 0 returns the task to the end of its list
+    await user.keyboard('0')
+    await waitFor(() => {
+      expect(within(workSection).getByText('Task 1')).toBeInTheDocument()
+    })
+    await waitFor(() => {
+      expect(within(getDayList('Thursday')).queryByText('Task 1')).not.toBeInTheDocument()
+    })
+
+    const task = await db.tasks.where('text').equals('Task 1').first()
+    expect(task.dayOfWeek).toBeNull()
+    expect(task.order).toBe(1)
+  })
+
+  it('pages between weeks from the header, keeping each week\'s assignments', async () => {
+    const user = userEvent.setup()
+    const task = await db.tasks.where('text').equals('Task 2').first()
+    await db.tasks.update(task.id, { weekStart: getWeekStart(), dayOfWeek: 0, order: 0 })
+
+    render(App)
+
+    await waitFor(() => {
+      expect(within(getDayList('Monday')).getByText('Task 2')).toBeInTheDocument()
+    })
+
+    await user.click(screen.getByRole('button', { name: 'Next week' }))
+    await waitFor(() => {
+      expect(within(getDayList('Monday')).queryByText('Task 2')).not.toBeInTheDocument()
+    })
+    const nextWeek = await db.preferences.get('currentWeekStart')
+    expect(nextWeek.value).toBe(addWeeks(getWeekStart(), 1))
+
+    await user.click(screen.getByRole('button', { name: 'This week' }))
+    await waitFor(() => {
+      expect(within(getDayList('Monday')).getByText('Task 2')).toBeInTheDocument()
+    })
+  })
+})
@@ -0,0 +1,177 @@
+// @ts-nocheck
+/**
+ * The printed sheet behind the scan tests: a US Letter landscape sheet with seven day columns of
+ * two tasks and five board columns of eight tasks. Every scan image is this sheet, hand-ticked,
+ * photographed or scanned differently, and is rendered when the test runs (see renderScanImage).
+ */
+import { FIDUCIAL_MARKER_SIZE, FIDUCIAL_MARKER_OFFSET } from '../../../lib/constants.js'
+
+export const SCAN_SHEET = { width: 1056, height: 816 }
+
+const CHECKBOX_SIZE = 12
+
+function task(id, x, y, status = 'unchecked') {
+  return { id, text: `Task ${id}`, status, checkbox: { x, y, width: CHECKBOX_SIZE, height: CHECKBOX_SIZE } }
+}
+
+// Days: ids 1-14, board: ids 15-54 (every seventh task was already checked when printed)
+export const SCAN_TASKS = [
+  ...Array.from({ length: 14 }, (_, index) =>
+    task(index + 1, 26 + Math.floor(index / 2) * 146, 64 + (index % 2) * 24)),
+  ...Array.from({ length: 40 }, (_, index) =>
+    task(index + 15, 26 + Math.floor(index / 8) * 205, 284 + (index % 8) * 26, index % 7 === 3 ? 'checked' : 'unchecked'))
+]
+
+// Where the sheet lands in each image: sheet points are divided by 1 + perspective[0] * x + perspective[1] * y
+// (the sheet tilted away from the camera, its far parts smaller), then scaled, rotated (radians) and moved by offset.
+// Ticks are drawn as a check mark, a cross or a filled-in scribble.
+export const SCAN_FIXTURES = [
+  {
+    name: 'flatbed scan',
+    width: 680,
+    height: 540,
+    scale: 0.613,
+    rotation: -0.0263,
+    offset: [16, 22],
+    perspective: [0, 0],
+    background: 215,
+    lighting: [1, 1],
+    ticks: { 2: 'check', 15: 'check', 16: 'cross', 30: 'fill', 41: 'check', 54: 'cross' }
+  },
+  {
+    name: 'phone photo',
+    width: 680,
+    height: 560,
+    scale: 0.47,
+    rotation: 0.05,
+    offset: [60, 40],
+    perspective: [0.00005, -0.00025],
+    background: 90,
+    lighting: [0.72, 1],
+    ticks: { 1: 'cross', 7: 'check', 14: 'fill', 20: 'check', 21: 'check', 33: 'cross', 47: 'check', 52: 'fill' }
+  }
+]
+
+// Top-left corners of the four corner markers
+const MARKERS = [FIDUCIAL_MARKER_OFFSET, SCAN_SHEET.width - FIDUCIAL_MARKER_OFFSET - FIDUCIAL_MARKER_SIZE].flatMap(left =>
+  [FIDUCIAL_MARKER_OFFSET, SCAN_SHEET.height - FIDUCIAL_MARKER_OFFSET - FIDUCIAL_MARKER_SIZE].map(top => ({ left, top })))
+
+const PAPER = 240
+const PEN = 35
+const SUPERSAMPLING = 3
+
+/**
+ * Helper: Distance from a point to a line segment
+ */
+function distanceToSegment(px, py, [x1, y1, x2, y2]) {
+  const dx = x2 - x1
+  const dy = y2 - y1
+  const t = Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / (dx * dx + dy * dy)))
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy))
+}
+
+/**
+ * Helper: Pen strokes for a tick, relative to the checkbox center
+ */
+function tickStrokes(style) {
+  if (style === 'check') return [[-5, 0, -1, 5], [-1, 5, 7, -8]]
+  if (style === 'cross') return [[-6, -6, 6, 6], [-6, 6, 6, -6]]
+  return [[-4, -3, 4, -3], [-4, 0, 4, 0], [-4, 3, 4, 3], [-3, -4, -3, 4], [3, -4, 3, 4]] // fill
+}
+
+/**
+ * Helper: The printed tasks as drawn on the sheet: checkbox center and radius, pen strokes and text length
+ */
+function getDrawnTasks(ticks) {
+  return SCAN_TASKS.map(task => {
+    const radius = task.checkbox.width / 2
+    const cx = task.checkbox.x + radius
+    const cy = task.checkbox.y + radius
+    const strokes = ticks[task.id] ? tickStrokes(ticks[task.id]).map(([x1, y1, x2, y2]) => [cx + x1, cy + y1, cx + x2, cy + y2]) : []
+    return { cx, cy, radius, strokes, checked: task.status === 'checked', textLength: 40 + (task.id * 37) % 70 }
+  })
+}
+
+/**
+ * Helper: Brightness of the hand-ticked sheet at a point (sheet pixels)
+ */
+function sheetValue(x, y, drawnTasks) {
+  const { width, height } = SCAN_SHEET
+  if (MARKERS.some(({ left, top }) => x >= left && x < left + FIDUCIAL_MARKER_SIZE && y >= top && y < top + FIDUCIAL_MARKER_SIZE)) return 25
+  const onFrame = (Math.abs(x - 16.5) < 0.5 || Math.abs(x - (width - 16.5)) < 0.5) && y > 16 && y < height - 16
+    || (Math.abs(y - 16.5) < 0.5 || Math.abs(y - (height - 16.5)) < 0.5) && x > 16 && x < width - 16
+  if (onFrame) return 130
+
+  let value = PAPER
+  for (const { cx, cy, radius, strokes, checked, textLength } of drawnTasks) {
+    if (Math.abs(y - cy) > 12 || x < cx - 12 || x > cx + 130) continue
+
+    if (strokes.some(stroke => distanceToSegment(x, y, stroke) < 1.2)) {
+      return PEN
+    }
+    const distance = Math.hypot(x - cx, y - cy)
+    if (distance <= radius && distance >= radius - 1.5) value = Math.min(value, 188)
+    if (checked && distance < 4) value = Math.min(value, 117)
+    if (x >= cx + radius + 6 && x <= cx + radius + 6 + textLength && Math.abs(y - cy) <= 3) value = Math.min(value, 70)
+  }
+  return value
+}
+
+/**
+ * Helper: Small repeatable noise (so every run sees the same image)
+ */
+function createNoise(seed) {
+  let state = seed
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0
+    return (state / 0x100000000 - 0.5) * 6
+  }
+}
+
+/**
+ * Helper: The image-to-sheet mapping of a fixture, by inverting its sheet-to-image matrix
+ */
+function getImageToSheet({ scale, rotation, offset, perspective }) {
+  const cos = scale * Math.cos(rotation)
+  const sin = scale * Math.sin(rotation)
+  const [g, h] = perspective
+  // Sheet-to-image matrix: offset and rotation/scale applied after the perspective division
+  const [a, b, c, d, e, f, i] = [cos + offset[0] * g, -sin + offset[0] * h, offset[0], sin + offset[1] * g, cos + offset[1] * h, offset[1], 1]
+  // Adjugate of the matrix; the common determinant factor cancels out in the division below
+  const inverse = [e * i - f * h, c * h - b * i, b * f - c * e, f * g - d * i, a * i - c * g, c * d - a * f, d * h - e * g, b * g - a * h, a * e - b * d]
+  return (x, y) => {
+    const w = inverse[6] * x + inverse[7] * y + inverse[8]
+    return { x: (inverse[0] * x + inverse[1] * y + inverse[2]) / w, y: (inverse[3] * x + inverse[4] * y + inverse[5]) / w }
+  }
+}
+
+/**
+ * Render a fixture as a grayscale photo or scan of the sheet, as RGBA pixels (the shape of ImageData)
+ * @param {Object} fixture - A SCAN_FIXTURES entry
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function renderScanImage({ width, height, background, lighting, ticks, ...placement }) {
+  const { width: sheetWidth, height: sheetHeight } = SCAN_SHEET
+  const imageToSheet = getImageToSheet(placement)
+  const drawnTasks = getDrawnTasks(ticks)
+  const noise = createNoise(width * height)
+  const data = new Uint8ClampedArray(width * height * 4)
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0
+      for (let sy = 0; sy < SUPERSAMPLING; sy++) {
+        for (let sx = 0; sx < SUPERSAMPLING; sx++) {
+          const point = imageToSheet(x - 0.5 + (sx + 0.5) / SUPERSAMPLING, y - 0.5 + (sy + 0.5) / SUPERSAMPLING)
+          const onSheet = point.x >= 0 && point.y >= 0 && point.x < sheetWidth && point.y < sheetHeight
+          sum += onSheet ? sheetValue(point.x, point.y, drawnTasks) : background
+        }
+      }
+      // Light falls off from right to left
+      const light = lighting[0] + (lighting[1] - lighting[0]) * (x / width)
+      const value = Math.round((sum / (SUPERSAMPLING * SUPERSAMPLING)) * light + noise())
+      data.set([value, value, value, 255], (y * width + x) * 4)
+    }
+  }
+  return { width, height, data }
+}
@@ -1,6 +1,7 @@
 // @ts-nocheck
 import { vi } from 'vitest'
 import db from '../../lib/db.js'
+import { clearUndoHistory } from '../../lib/undoHistory.js'
 
 export async function setupTestData() {
   // Mock window.print() before each test
@@ -10,6 +11,9 @@ export async function setupTestData() {
   // This ensures each test starts with a clean state
   await db.lists.clear()
   await db.tasks.clear()
+  await db.preferences.clear()
+  await db.printHistory.clear()
+  clearUndoHistory()
   
   // Insert test lists
   const list1 = await db.lists.add({ name: 'Work', order: 0 })
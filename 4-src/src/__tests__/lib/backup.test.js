@@ -0,0 +1,191 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import db from '../../lib/db.js'
+import { createBackup, parseBackup, restoreBackup, planBackupMerge, getBackupFileName, BACKUP_FORMAT, BACKUP_VERSION } from '../../lib/backup.js'
+import { getWeekStart } from '../../lib/weekUtils.js'
+import { getTasksForList, updateTaskRecurrence, updateTaskStatus } from '../../lib/dataAccess.js'
+
+describe('backup', () => {
+  let workId
+
+  beforeEach(async () => {
+    await db.lists.clear()
+    await db.tasks.clear()
+    await db.preferences.clear()
+    localStorage.setItem('fontSize', 'large')
+
+    workId = await db.lists.add({ name: 'Work', order: 0, archivedAt: null, columnIndex: 0 })
+    await db.tasks.add({ text: 'Write report', listId: workId, order: 0, status: 'unchecked', archivedAt: null, dayOfWeek: null, weekStart: null, startTime: null, durationMinutes: null })
+    await db.tasks.add({ text: 'Old task', listId: workId, order: 1, status: 'archived', archivedAt: 1700000000000, dayOfWeek: null, weekStart: null, startTime: null, durationMinutes: null })
+    await db.preferences.put({ key: 'currentWeekStart', value: '2025-03-03' })
+  })
+
+  it('should export lists, archived tasks, preferences and font size in a versioned format', async () => {
+    const backup = await createBackup(new Date(2025, 2, 3, 12))
+
+    expect(backup).toMatchObject({ format: BACKUP_FORMAT, version: BACKUP_VERSION })
+    expect(backup.data.lists).toHaveLength(1)
+    expect(backup.data.tasks.map(t => t.text)).toEqual(['Write report', 'Old task'])
+    expect(backup.data.preferences).toEqual([{ key: 'currentWeekStart', value: '2025-03-03' }])
+    expect(backup.data.fontSize).toBe('large')
+    expect(getBackupFileName(new Date(2025, 2, 3))).toBe('time-blocker-backup-2025-03-03.json')
+  })
+
+  it('should restore a backup in replace mode', async () => {
+    const text = JSON.stringify(await createBackup())
+
+    await db.lists.add({ name: 'Added after export', order: 1 })
+    await db.tasks.clear()
+    localStorage.setItem('fontSize', 'small')
+
+    await restoreBackup(parseBackup(text), 'replace')
+
+    expect((await db.lists.toArray()).map(l => l.name)).toEqual(['Work'])
+    expect((await db.tasks.toArray()).map(t => [t.text, t.listId])).toEqual([['Write report', workId], ['Old task', workId]])
+    expect(localStorage.getItem('fontSize')).toBe('large')
+  })
+
+  it('should round-trip unnamed lists', async () => {
+    const unnamedId = await db.lists.add({ name: null, order: 1, archivedAt: null, columnIndex: 1 })
+    await db.tasks.add({ text: 'Dropped task', listId: unnamedId, order: 0, status: 'unchecked', archivedAt: null, dayOfWeek: null, weekStart: null, startTime: null, durationMinutes: null })
+    const text = JSON.stringify(await createBackup())
+    await db.lists.clear()
+    await db.tasks.clear()
+
+    await restoreBackup(parseBackup(text), 'replace')
+
+    expect((await db.lists.orderBy('order').toArray()).map(l => l.name)).toEqual(['Work', null])
+    expect((await db.tasks.where('listId').equals(unnamedId).toArray()).map(t => t.text)).toEqual(['Dropped task'])
+  })
+
+  it('should give every list and task a stable uid', async () => {
+    const lists = await db.lists.toArray()
+    const tasks = await db.tasks.toArray()
+    const uids = [...lists, ...tasks].map(record => record.uid)
+    expect(uids.every(uid => /^[0-9a-f-]{36}$/.test(uid))).toBe(true)
+    expect(new Set(uids).size).toBe(uids.length)
+  })
+
+  it('should merge a backup from another device by uid without duplicating records', async () => {
+    // The other device has the same data plus its own edits
+    const otherDevice = JSON.parse(JSON.stringify(await createBackup()))
+    const [work] = otherDevice.data.lists
+    const [report, oldTask] = otherDevice.data.tasks
+    otherDevice.data.lists.push({ id: 99, uid: 'list-from-laptop', name: 'Laptop list', order: 1, archivedAt: null, columnIndex: 2 })
+    otherDevice.data.tasks.push({ ...report, id: 98, uid: 'task-from-laptop', text: 'Laptop task', listId: 99, order: 0 })
+    work.name = 'Work (laptop)'
+    report.status = 'checked'
+    report.listId = 99
+
+    await db.preferences.put({ key: 'currentWeekStart', value: '2025-03-10' })
+    localStorage.setItem('fontSize', 'small')
+
+    const backup = parseBackup(JSON.stringify(otherDevice))
+    const plan = await planBackupMerge(backup)
+    expect(plan.newLists.map(l => l.name)).toEqual(['Laptop list'])
+    expect(plan.newTasks.map(t => t.text)).toEqual(['Laptop task'])
+    expect(plan.unchangedCount).toBe(1) // The archived task
+    expect(plan.conflicts.map(c => [c.type, c.fields.map(f => f.name)])).toEqual([
+      ['list', ['name']],
+      ['task', ['status', 'list']]
+    ])
+    expect(plan.conflicts[1].fields[1]).toMatchObject({ local: 'Work', incoming: 'Laptop list' })
+
+    // Keep this device's list name, take the backup's version of the task
+    const result = await restoreBackup(backup, 'merge', { [report.uid]: 'incoming' })
+    expect(result).toEqual({ lists: 1, tasks: 1, updated: 1 })
+
+    const lists = await db.lists.orderBy('order').toArray()
+    expect(lists.map(l => [l.name, l.order])).toEqual([['Work', 0], ['Laptop list', 1]])
+    const laptopTasks = await db.tasks.where('listId').equals(lists[1].id).sortBy('order')
+    expect(laptopTasks.map(t => [t.text, t.status, t.order])).toEqual([['Laptop task', 'unchecked', 0], ['Write report', 'checked', 1]])
+    expect(await db.tasks.count()).toBe(3)
+    expect(await db.tasks.get(laptopTasks[1].id)).toMatchObject({ uid: report.uid })
+    expect((await db.tasks.where('uid').equals(oldTask.uid).first()).listId).toBe(workId)
+
+    // Settings stay as they are on this device
+    expect((await db.preferences.get('currentWeekStart')).value).toBe('2025-03-10')
+    expect(localStorage.getItem('fontSize')).toBe('small')
+
+    // Merging the same backup again changes nothing
+    const again = await planBackupMerge(backup)
+    expect(again.newLists).toEqual([])
+    expect(again.newTasks).toEqual([])
+    expect(again.conflicts.map(c => c.type)).toEqual(['list'])
+  })
+
+  it('should merge recurrence rules and keep series from different devices apart', async () => {
+    const reportId = (await db.tasks.where('text').equals('Write report').first()).id
+    await updateTaskRecurrence(reportId, { frequency: 'weekly', weekdays: [0] })
+
+    // The other device repeats the report on Thursdays too, and has a series of its own
+    const otherDevice = JSON.parse(JSON.stringify(await createBackup()))
+    const [report] = otherDevice.data.tasks
+    report.recurrence = { frequency: 'weekly', weekdays: [0, 3] }
+    otherDevice.data.tasks.push({ ...report, id: 98, uid: 'task-from-laptop', text: 'Water plants', order: 1, recurrence: { frequency: 'monthly' }, recurrenceId: 'task-from-laptop' })
+
+    const backup = parseBackup(JSON.stringify(otherDevice))
+    const plan = await planBackupMerge(backup)
+    expect(plan.conflicts.map(c => c.fields)).toEqual([
+      [{ name: 'recurrence', label: 'Repeat', local: 'Weekly on Mon', incoming: 'Weekly on Mon, Thu' }]
+    ])
+
+    await restoreBackup(backup, 'merge', { [report.uid]: 'incoming' })
+    expect(await db.tasks.get(reportId)).toMatchObject({ recurrence: { frequency: 'weekly', weekdays: [0, 3] }, recurrenceId: report.uid })
+    expect((await db.tasks.where('uid').equals('task-from-laptop').first()).recurrenceId).toBe('task-from-laptop')
+
+    // Archiving the report brings back one new occurrence of its own series
+    await updateTaskStatus(reportId, 'archived')
+    expect((await getTasksForList(workId)).map(t => [t.text, t.status])).toEqual([['Water plants', 'unchecked'], ['Write report', 'unchecked']])
+  })
+
+  it('should migrate backups from older schema versions', () => {
+    const backup = parseBackup(JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: 1,
+      data: {
+        lists: [{ id: 1, name: 'A', order: 0 }, { id: 2, name: 'B', order: 6 }],
+        tasks: [{ id: 1, text: 'Legacy', listId: 2, order: 0 }]
+      }
+    }))
+
+    expect(backup.version).toBe(1)
+    expect(backup.data.lists[1]).toMatchObject({ archivedAt: null, columnIndex: 1 })
+    expect(backup.data.tasks[0]).toMatchObject({ status: 'unchecked', archivedAt: null, dayOfWeek: null, weekStart: null, startTime: null, durationMinutes: null })
+    expect(typeof backup.data.tasks[0].uid).toBe('string')
+    expect(backup.data.preferences).toEqual([])
+
+    const v6 = parseBackup(JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: 6,
+      data: { lists: [{ id: 1, name: 'A', order: 0 }], tasks: [{ id: 1, text: 'Monday', listId: 1, order: 0, dayOfWeek: 0 }] }
+    }))
+    expect(v6.data.tasks[0].weekStart).toBe(getWeekStart())
+
+    const v11 = parseBackup(JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: 11,
+      data: { lists: [], tasks: [], preferences: [{ key: 'columnCount', value: 4 }, { key: 'lastPrint', value: { tasks: [] } }] }
+    }))
+    expect(v11.data.preferences).toEqual([{ key: 'columnCount', value: 4 }])
+
+    const v12 = parseBackup(JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: 12,
+      data: { lists: [{ id: 1, name: 'A', order: 0 }], tasks: [{ id: 1, text: 'Pay rent #bills', listId: 1, order: 0 }] }
+    }))
+    expect(v12.data.tasks[0].tags).toEqual(['bills'])
+  })
+
+  it('should reject invalid backups', () => {
+    expect(() => parseBackup('not json')).toThrow('not a JSON file')
+    expect(() => parseBackup(JSON.stringify({ format: 'other' }))).toThrow('not a Time Blocker backup file')
+    expect(() => parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, data: { lists: [], tasks: [] } })))
+      .toThrow('newer than this app supports')
+    expect(() => parseBackup(JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      data: { lists: [], tasks: [{ id: 1, text: 'Orphan', listId: 9, order: 0 }] }
+    }))).toThrow('belongs to missing list 9')
+  })
+})
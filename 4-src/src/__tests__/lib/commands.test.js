@@ -0,0 +1,37 @@
+// @ts-nocheck
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { registerCommand, getCommands, getCommandEntries } from '../../lib/commands.js'
+
+describe('commands', () => {
+  const unregisters = []
+  afterEach(() => {
+    unregisters.splice(0).forEach(unregister => unregister())
+  })
+
+  it('should register commands once and remove them again', () => {
+    const command = { id: 'test.hello', title: 'Hello', run: vi.fn() }
+    unregisters.push(registerCommand(command))
+    expect(() => registerCommand({ ...command })).toThrow('Command already registered: test.hello')
+    expect(getCommands()).toContain(command)
+
+    unregisters.pop()()
+    expect(getCommands()).not.toContain(command)
+  })
+
+  it('should turn choices into entries and skip unavailable commands', async () => {
+    const run = vi.fn()
+    unregisters.push(
+      registerCommand({ id: 'test.archive', title: 'Archive list', getChoices: () => [{ label: 'Work', value: 1 }, { label: 'Home', value: 2 }], run }),
+      registerCommand({ id: 'test.focused', title: 'Focused only', isAvailable: (context) => context.focusedTaskId != null, run }),
+      registerCommand({ id: 'test.broken', title: 'Broken', getChoices: () => { throw new Error('No lists') }, run })
+    )
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    const entries = await getCommandEntries({ focusedTaskId: null })
+    expect(entries.map(entry => entry.title)).toEqual(['Archive list Work', 'Archive list Home'])
+    await entries[1].run()
+    expect(run).toHaveBeenCalledWith({ focusedTaskId: null }, 2)
+
+    expect((await getCommandEntries({ focusedTaskId: 5 })).map(entry => entry.title)).toContain('Focused only')
+  })
+})
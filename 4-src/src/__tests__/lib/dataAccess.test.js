@@ -1,6 +1,8 @@
 import { describe, it, expect, beforeEach } from 'vitest'
 import db from '../../lib/db.js'
-import { getAllLists, getTasksForList, getAllTasks, getArchivedTasks, createTask, updateTaskStatus, restoreTask, updateTaskOrder, updateTaskOrderCrossList, updateListName, createList, createUnnamedList, archiveList, restoreList, updateListOrder } from '../../lib/dataAccess.js'
+import { getWeekStart, addWeeks } from '../../lib/weekUtils.js'
+import { undo, canUndo } from '../../lib/undoHistory.js'
+import { getAllLists, getTasksForList, getAllTasks, getArchivedTasks, createTask, updateTaskStatus, restoreTask, updateTaskOrder, updateTaskOrderCrossList, updateListName, createList, createUnnamedList, archiveList, restoreList, updateListOrder, getTasksForWeek, getTasksForDay, updateTaskDayOrder, assignTaskToDay, unscheduleTask, getPreference, setPreference, getCurrentWeekStart, setCurrentWeekStart, updateTaskSchedule, createTasks, getCalendarEventsForWeek, replaceCalendarEvents, applyCalendarEventChanges, deleteCalendarEvents, getListDeletionSummary, deleteList, deleteTask, getDeletedLists, getDeletedTasks, restoreDeletedList, restoreDeletedTask, purgeDeletedList, emptyTrash, getAllListsIncludingArchived, getColumnCount, setColumnCount, updateListOrderWithColumn, getPaperFormat, setPaperFormat, updateTaskRecurrence, regenerateRecurringTasks, getWriteInLines, setWriteInLines, updateListWriteInLines, getSheetContents, savePrintSnapshot, getLastPrintSnapshot, applyPrintReconciliation, getPrintHistory, updateTaskText, getAllTags, getTagFilter, setTagFilter, updateTasksStatus, appendTasksToList, deleteTasks } from '../../lib/dataAccess.js'
 
 describe('dataAccess', () => {
   beforeEach(async () => {
@@ -414,6 +416,29 @@ describe('dataAccess', () => {
     })
   })
 
+  describe('createTasks', () => {
+    it('should append tasks after the existing backlog in the given order', async () => {
+      const lists = await getAllLists()
+      const list1 = lists.find(l => l.order === 1)
+
+      const ids = await createTasks(list1.id, ['Pasted A', 'Pasted B'])
+
+      expect(ids).toHaveLength(2)
+      const tasks = await getTasksForList(list1.id)
+      expect(tasks.map(t => t.text)).toEqual(['Task 1', 'Task 2', 'Task 3', 'Pasted A', 'Pasted B'])
+      expect(tasks.map(t => t.order)).toEqual([0, 1, 2, 3, 4])
+      expect((await db.tasks.get(ids[0])).text).toBe('Pasted A')
+    })
+
+    it('should skip blank lines and return an empty array when nothing remains', async () => {
+      const lists = await getAllLists()
+      const list1 = lists.find(l => l.order === 1)
+
+      expect(await createTasks(list1.id, ['  ', ''])).toEqual([])
+      expect(await getTasksForList(list1.id)).toHaveLength(3)
+    })
+  })
+
   describe('updateTaskStatus', () => {
     it('should update task status to checked', async () => {
       const lists = await getAllLists()
@@ -1177,5 +1202,633 @@ describe('dataAccess', () => {
       expect(persistedLists[1].order).toBe(1)
     })
   })
-})
 
+  describe('week day assignments', () => {
+    const WEEK = '2025-03-03' // A Monday
+    const NEXT_WEEK = '2025-03-10'
+
+    const getListTasks = async (name) => {
+      const list = await db.lists.where('name').equals(name).first()
+      return { listId: list.id, tasks: await getTasksForList(list.id) }
+    }
+
+    it('should assign a task to a day and remove it from its list', async () => {
+      const { listId, tasks } = await getListTasks('Second')
+      
+      await assignTaskToDay(tasks[0].id, WEEK, 2)
+      
+      const listTasks = await getTasksForList(listId)
+      expect(listTasks.map(t => t.text)).toEqual(['Task 2', 'Task 3'])
+      expect(listTasks.map(t => t.order)).toEqual([0, 1])
+      
+      const dayTasks = await getTasksForDay(WEEK, 2)
+      expect(dayTasks.length).toBe(1)
+      expect(dayTasks[0].text).toBe('Task 1')
+      expect(dayTasks[0].listId).toBe(listId) // Keeps its list for unscheduling
+    })
+    
+    it('should append tasks to the end of a day', async () => {
+      const { tasks } = await getListTasks('Second')
+      
+      await assignTaskToDay(tasks[0].id, WEEK, 0)
+      await assignTaskToDay(tasks[1].id, WEEK, 0)
+      
+      const dayTasks = await getTasksForDay(WEEK, 0)
+      expect(dayTasks.map(t => t.text)).toEqual(['Task 1', 'Task 2'])
+      expect(dayTasks.map(t => t.order)).toEqual([0, 1])
+    })
+    
+    it('should reject invalid day indexes', async () => {
+      const { tasks } = await getListTasks('Second')
+      
+      await expect(assignTaskToDay(tasks[0].id, WEEK, 7)).rejects.toThrow('Invalid day of week: 7')
+      await expect(assignTaskToDay(tasks[0].id, '2025-03-04', 0)).rejects.toThrow('Invalid week start: 2025-03-04')
+      await expect(updateTaskDayOrder(WEEK, -1, [{ id: tasks[0].id }])).rejects.toThrow('Invalid day of week: -1')
+    })
+    
+    it('should reorder tasks within a day and move tasks between days', async () => {
+      const { tasks } = await getListTasks('Second')
+      await updateTaskDayOrder(WEEK, 1, tasks.map(t => ({ id: t.id })))
+      
+      // Reorder within the day
+      await updateTaskDayOrder(WEEK, 1, [{ id: tasks[2].id }, { id: tasks[0].id }, { id: tasks[1].id }])
+      expect((await getTasksForDay(WEEK, 1)).map(t => t.text)).toEqual(['Task 3', 'Task 1', 'Task 2'])
+      
+      // Move one task to another day; the source day is resequenced
+      await updateTaskDayOrder(WEEK, 4, [{ id: tasks[0].id }])
+      const tuesdayTasks = await getTasksForDay(WEEK, 1)
+      expect(tuesdayTasks.map(t => t.text)).toEqual(['Task 3', 'Task 2'])
+      expect(tuesdayTasks.map(t => t.order)).toEqual([0, 1])
+      expect((await getTasksForDay(WEEK, 4)).map(t => t.text)).toEqual(['Task 1'])
+    })
+    
+    it('should return the scheduled tasks of a week excluding archived ones', async () => {
+      const { tasks } = await getListTasks('Second')
+      await assignTaskToDay(tasks[0].id, WEEK, 0)
+      await assignTaskToDay(tasks[1].id, WEEK, 6)
+      await assignTaskToDay(tasks[2].id, NEXT_WEEK, 0)
+      await updateTaskStatus(tasks[1].id, 'archived')
+      
+      const weekTasks = await getTasksForWeek(WEEK)
+      expect(weekTasks.map(t => t.text)).toEqual(['Task 1'])
+      expect((await getTasksForWeek(NEXT_WEEK)).map(t => t.text)).toEqual(['Task 3'])
+    })
+    
+    it('should keep day assignments separate per week', async () => {
+      const { listId, tasks } = await getListTasks('Second')
+      await assignTaskToDay(tasks[0].id, WEEK, 2)
+      await assignTaskToDay(tasks[1].id, NEXT_WEEK, 2)
+      
+      expect((await getTasksForDay(WEEK, 2)).map(t => t.text)).toEqual(['Task 1'])
+      expect((await getTasksForDay(NEXT_WEEK, 2)).map(t => t.text)).toEqual(['Task 2'])
+      // Tasks planned in any week are out of the backlog
+      expect((await getTasksForList(listId)).map(t => t.text)).toEqual(['Task 3'])
+      
+      // Moving a task to another week resequences the day it left
+      await assignTaskToDay(tasks[0].id, NEXT_WEEK, 2)
+      expect(await getTasksForDay(WEEK, 2)).toEqual([])
+      expect((await getTasksForDay(NEXT_WEEK, 2)).map(t => [t.text, t.order])).toEqual([['Task 2', 0], ['Task 1', 1]])
+    })
+    
+    it('should return an archived day task to its list when restored', async () => {
+      const { listId, tasks } = await getListTasks('Second')
+      await assignTaskToDay(tasks[0].id, WEEK, 1)
+      await updateTaskStatus(tasks[0].id, 'archived')
+      
+      await restoreTask(tasks[0].id)
+      
+      const restored = await db.tasks.get(tasks[0].id)
+      expect(restored.dayOfWeek).toBeNull()
+      expect(restored.weekStart).toBeNull()
+      expect((await getTasksForList(listId)).map(t => t.text)).toEqual(['Task 2', 'Task 3', 'Task 1'])
+    })
+    
+    it('should return a task to the end of its list when unscheduled', async () => {
+      const { listId, tasks } = await getListTasks('Second')
+      await assignTaskToDay(tasks[0].id, WEEK, 3)
+      
+      await unscheduleTask(tasks[0].id)
+      
+      const listTasks = await getTasksForList(listId)
+      expect(listTasks.map(t => t.text)).toEqual(['Task 2', 'Task 3', 'Task 1'])
+      expect(listTasks.map(t => t.order)).toEqual([0, 1, 2])
+      expect(listTasks[2].dayOfWeek).toBeNull()
+      expect(listTasks[2].weekStart).toBeNull()
+      expect(await getTasksForDay(WEEK, 3)).toEqual([])
+    })
+    
+    it('should clear the day when a scheduled task is dropped into another list', async () => {
+      const { tasks } = await getListTasks('Second')
+      const { listId: otherListId, tasks: otherTasks } = await getListTasks('First')
+      await updateTaskDayOrder(WEEK, 5, [{ id: tasks[0].id }, { id: tasks[1].id }])
+      
+      await updateTaskOrderCrossList(otherListId, [{ id: tasks[0].id }, ...otherTasks])
+      
+      const movedTask = await db.tasks.get(tasks[0].id)
+      expect(movedTask.listId).toBe(otherListId)
+      expect(movedTask.dayOfWeek).toBeNull()
+      
+      // Remaining day task is resequenced
+      const dayTasks = await getTasksForDay(WEEK, 5)
+      expect(dayTasks.map(t => t.text)).toEqual(['Task 2'])
+      expect(dayTasks[0].order).toBe(0)
+    })
+    
+    it('should create new tasks unscheduled after existing backlog tasks', async () => {
+      const { listId, tasks } = await getListTasks('Second')
+      await assignTaskToDay(tasks[2].id, WEEK, 0)
+      
+      const taskId = await createTask(listId, 'New Task')
+      
+      const task = await db.tasks.get(taskId)
+      expect(task.dayOfWeek).toBeNull()
+      expect(task.order).toBe(2)
+    })
+  })
+
+  describe('preferences', () => {
+    beforeEach(async () => {
+      await db.preferences.clear()
+    })
+
+    it('should return the default value for unset preferences', async () => {
+      expect(await getPreference('missing')).toBeNull()
+      expect(await getPreference('missing', 'fallback')).toBe('fallback')
+    })
+    
+    it('should store and overwrite preference values', async () => {
+      await setPreference('example', { a: 1 })
+      expect(await getPreference('example')).toEqual({ a: 1 })
+      
+      await setPreference('example', 2)
+      expect(await getPreference('example')).toBe(2)
+    })
+    
+    it('should default the current week to this week', async () => {
+      expect(await getCurrentWeekStart()).toBe(getWeekStart())
+    })
+    
+    it('should persist the current week', async () => {
+      await setCurrentWeekStart('2025-03-10')
+      expect(await getCurrentWeekStart()).toBe('2025-03-10')
+    })
+    
+    it('should reject week starts that are not Mondays', async () => {
+      await expect(setCurrentWeekStart('2025-03-12')).rejects.toThrow('Invalid week start: 2025-03-12')
+      await expect(setCurrentWeekStart('not a date')).rejects.toThrow('Invalid week start')
+    })
+  })
+
+  describe('column count', () => {
+    beforeEach(async () => {
+      await db.preferences.clear()
+      await db.lists.clear()
+    })
+
+    it('should default to 5 columns and reject counts outside 1-8', async () => {
+      expect(await getColumnCount()).toBe(5)
+      await expect(setColumnCount(0)).rejects.toThrow('Invalid column count: 0')
+      await expect(setColumnCount(9)).rejects.toThrow('Invalid column count: 9')
+      await expect(setColumnCount(2.5)).rejects.toThrow('Invalid column count')
+      expect(await getColumnCount()).toBe(5)
+    })
+
+    it('should move lists from removed columns to the end of the last column in board order', async () => {
+      const add = (name, columnIndex, order, extra = {}) =>
+        db.lists.add({ name, columnIndex, order, archivedAt: null, ...extra })
+      await add('A', 0, 0)
+      await add('B', 1, 0)
+      await add('C', 1, 1)
+      await add('D', 2, 1)
+      await add('E', 2, 0)
+      await add('F', 4, 0)
+      await add('Archived', 3, 0, { archivedAt: Date.now() })
+
+      await setColumnCount(2)
+
+      expect(await getColumnCount()).toBe(2)
+      const lists = await getAllListsIncludingArchived()
+      const column = (index) => lists
+        .filter(l => l.columnIndex === index)
+        .sort((a, b) => a.order - b.order)
+        .map(l => l.name)
+      expect(column(0)).toEqual(['A'])
+      expect(column(1)).toEqual(['B', 'C', 'E', 'D', 'Archived', 'F'])
+    })
+
+    it('should forget undo history that refers to removed columns', async () => {
+      const listId = await createList('Right', 4)
+      await setColumnCount(5)
+      expect(canUndo()).toBe(true)
+
+      await setColumnCount(2)
+      expect(canUndo()).toBe(false)
+      expect(await undo()).toBeNull()
+      expect((await db.lists.get(listId)).columnIndex).toBe(1)
+    })
+
+    it('should use the column count for new lists and list moves', async () => {
+      await setColumnCount(3)
+      const ids = []
+      for (const name of ['One', 'Two', 'Three', 'Four']) {
+        ids.push(await createList(name))
+      }
+      expect((await db.lists.bulkGet(ids)).map(l => l.columnIndex)).toEqual([0, 1, 2, 0])
+
+      await expect(updateListOrderWithColumn(3, [{ id: ids[0] }])).rejects.toThrow('Invalid column index: 3')
+      await updateListOrderWithColumn(2, [{ id: ids[2] }, { id: ids[0] }])
+      expect((await db.lists.get(ids[0])).columnIndex).toBe(2)
+    })
+
+    it('should store the paper format and reduce the columns to what fits across the sheet', async () => {
+      expect(await getPaperFormat()).toEqual({ size: 'letter', orientation: 'landscape' })
+      await expect(setPaperFormat({ size: 'a5', orientation: 'portrait' })).rejects.toThrow('Invalid paper format')
+
+      await setColumnCount(8)
+      const listId = await db.lists.add({ name: 'Right', columnIndex: 7, order: 0, archivedAt: null })
+      await setPaperFormat({ size: 'a4', orientation: 'portrait' })
+
+      expect(await getPaperFormat()).toEqual({ size: 'a4', orientation: 'portrait' })
+      expect(await getColumnCount()).toBe(6)
+      expect((await db.lists.get(listId)).columnIndex).toBe(5)
+
+      // Switching back does not bring the columns back
+      await setPaperFormat({ size: 'a4', orientation: 'landscape' })
+      expect(await getColumnCount()).toBe(6)
+    })
+
+    it('should store the write-in lines and let lists override them', async () => {
+      expect(await getWriteInLines()).toBe(0)
+      await expect(setWriteInLines(11)).rejects.toThrow('Invalid write-in lines: 11')
+      await setWriteInLines(3)
+      expect(await getWriteInLines()).toBe(3)
+
+      const [work, personal] = await Promise.all([
+        db.lists.add({ name: 'Work', columnIndex: 0, order: 0, archivedAt: null }),
+        db.lists.add({ name: 'Personal', columnIndex: 0, order: 1, archivedAt: null })
+      ])
+      await expect(updateListWriteInLines(work, 'lots')).rejects.toThrow('Invalid write-in lines: lots')
+      await updateListWriteInLines(work, 'fill')
+      expect((await db.lists.get(work)).writeInLines).toBe('fill')
+
+      const { lists } = await getSheetContents(await getCurrentWeekStart())
+      expect(lists.map(list => [list.id, list.writeInLines])).toEqual([[work, 'fill'], [personal, 3]])
+
+      // null goes back to the global setting
+      await updateListWriteInLines(work, null)
+      expect((await getSheetContents(await getCurrentWeekStart())).lists[0].writeInLines).toBe(3)
+    })
+  })
+
+  describe('updateTaskSchedule', () => {
+    it('should set and clear start time and duration', async () => {
+      const task = await db.tasks.where('text').equals('Task 1').first()
+      
+      await updateTaskSchedule(task.id, { startTime: '08:15', durationMinutes: 45 })
+      let updated = await db.tasks.get(task.id)
+      expect(updated.startTime).toBe('08:15')
+      expect(updated.durationMinutes).toBe(45)
+      
+      await updateTaskSchedule(task.id, { startTime: null, durationMinutes: null })
+      updated = await db.tasks.get(task.id)
+      expect(updated.startTime).toBeNull()
+      expect(updated.durationMinutes).toBeNull()
+    })
+    
+    it('should reject invalid start times and durations', async () => {
+      const task = await db.tasks.where('text').equals('Task 1').first()
+      
+      await expect(updateTaskSchedule(task.id, { startTime: '25:00' })).rejects.toThrow('Invalid start time: 25:00')
+      await expect(updateTaskSchedule(task.id, { startTime: '9:00' })).rejects.toThrow('Invalid start time: 9:00')
+      await expect(updateTaskSchedule(task.id, { startTime: '09:00', durationMinutes: 0 })).rejects.toThrow('Invalid duration: 0')
+      await expect(updateTaskSchedule(task.id, { startTime: '09:00', durationMinutes: 1.5 })).rejects.toThrow('Invalid duration: 1.5')
+    })
+    
+    it('should sort timed day tasks chronologically before untimed ones', async () => {
+      const WEEK = '2025-03-03'
+      const tasks = await db.tasks.where('text').startsWith('Task').sortBy('order')
+      await updateTaskDayOrder(WEEK, 0, tasks.map(t => ({ id: t.id })))
+      await updateTaskSchedule(tasks[2].id, { startTime: '08:00', durationMinutes: null })
+      await updateTaskSchedule(tasks[1].id, { startTime: '13:30', durationMinutes: 30 })
+      
+      const dayTasks = await getTasksForDay(WEEK, 0)
+      expect(dayTasks.map(t => t.text)).toEqual(['Task 3', 'Task 2', 'Task 1'])
+    })
+  })
+
+  describe('recurring tasks', () => {
+    // Wednesday 12 March 2025
+    const NOW = new Date(2025, 2, 12, 9, 0)
+
+    it('should add the next occurrence at the end of the list when a recurring task is archived', async () => {
+      const task = await db.tasks.where('text').equals('Task 1').first()
+      await expect(updateTaskRecurrence(task.id, { frequency: 'weekly', weekdays: [] })).rejects.toThrow('Invalid recurrence')
+      await updateTaskRecurrence(task.id, { frequency: 'weekly', weekdays: [4, 0, 4] }, NOW)
+      expect(await db.tasks.get(task.id)).toMatchObject({
+        recurrence: { frequency: 'weekly', weekdays: [0, 4] },
+        recurrenceId: task.uid,
+        occurrenceStart: '2025-03-10'
+      })
+
+      await updateTaskStatus(task.id, 'checked')
+      expect((await getTasksForList(task.listId)).map(t => t.text)).toEqual(['Task 1', 'Task 2', 'Task 3'])
+      await updateTaskStatus(task.id, 'archived')
+
+      const tasks = await getTasksForList(task.listId)
+      expect(tasks.map(t => [t.text, t.status])).toEqual([['Task 2', 'unchecked'], ['Task 3', 'unchecked'], ['Task 1', 'unchecked']])
+      expect(tasks[2]).toMatchObject({ recurrenceId: task.uid, recurrence: { frequency: 'weekly', weekdays: [0, 4] } })
+      expect((await getArchivedTasks()).map(t => t.id)).toEqual([task.id])
+
+      // Undoing the archive takes the new occurrence away again
+      await undo()
+      expect((await getTasksForList(task.listId)).map(t => t.id)).toContain(task.id)
+      expect(await db.tasks.filter(t => t.recurrenceId === task.uid).count()).toBe(1)
+    })
+
+    it('should replace occurrences checked off in an earlier period', async () => {
+      const [task1, task2] = await Promise.all(['Task 1', 'Task 2'].map(text => db.tasks.where('text').equals(text).first()))
+      await updateTaskRecurrence(task1.id, { frequency: 'daily' }, NOW)
+      await updateTaskRecurrence(task2.id, { frequency: 'daily' }, NOW)
+      await updateTaskStatus(task1.id, 'checked')
+
+      // Same day: nothing changes
+      expect(await regenerateRecurringTasks(new Date(2025, 2, 12, 23, 0))).toBe(0)
+
+      // Two days later: the checked one is archived and comes back unchecked; the unchecked one stays
+      expect(await regenerateRecurringTasks(new Date(2025, 2, 14, 8, 0))).toBe(1)
+      expect((await db.tasks.get(task1.id)).status).toBe('archived')
+      expect((await db.tasks.get(task2.id)).status).toBe('unchecked')
+      const next = (await getTasksForList(task1.listId)).at(-1)
+      expect(next).toMatchObject({ text: 'Task 1', status: 'unchecked', recurrenceId: task1.uid, occurrenceStart: '2025-03-14' })
+    })
+
+    it('should stop repeating once the rule is cleared', async () => {
+      const task = await db.tasks.where('text').equals('Task 1').first()
+      await updateTaskRecurrence(task.id, { frequency: 'monthly' }, NOW)
+      await updateTaskRecurrence(task.id, null)
+      await updateTaskStatus(task.id, 'archived')
+      expect((await getTasksForList(task.listId)).map(t => t.text)).toEqual(['Task 2', 'Task 3'])
+    })
+  })
+
+  describe('tags', () => {
+    it('should index the #tags in task text and follow text edits', async () => {
+      const [list] = await getAllLists()
+      const taskId = await createTask(list.id, 'Call plumber #Home #errands #home')
+      expect((await db.tasks.get(taskId)).tags).toEqual(['home', 'errands'])
+      expect(await db.tasks.where('tags').equals('errands').primaryKeys()).toEqual([taskId])
+
+      await updateTaskText(taskId, 'Call plumber #work')
+      expect((await db.tasks.get(taskId)).tags).toEqual(['work'])
+      expect(await getAllTags()).toEqual(['work'])
+
+      await updateTaskStatus(taskId, 'archived')
+      expect(await getAllTags()).toEqual([])
+    })
+
+    it('should remember the tag filter', async () => {
+      expect(await getTagFilter()).toEqual({ tags: [], mode: 'dim' })
+      await setTagFilter({ tags: ['Work', 'home', 'work'], mode: 'hide' })
+      expect(await getTagFilter()).toEqual({ tags: ['work', 'home'], mode: 'hide' })
+      await expect(setTagFilter({ tags: ['work'], mode: 'blur' })).rejects.toThrow('Invalid tag filter')
+    })
+  })
+
+  describe('bulk task actions', () => {
+    it('should move tasks to the end of a list in the given order, undone in one step', async () => {
+      const [first, second] = await getAllLists()
+      const secondTasks = await getTasksForList(second.id)
+
+      await appendTasksToList([secondTasks[2].id, secondTasks[0].id], first.id)
+      expect((await getTasksForList(first.id)).map(t => t.text)).toEqual(['Other Task', 'Task 3', 'Task 1'])
+      expect((await getTasksForList(second.id)).map(t => [t.text, t.order])).toEqual([['Task 2', 0]])
+
+      await undo()
+      expect((await getTasksForList(second.id)).map(t => t.text)).toEqual(['Task 1', 'Task 2', 'Task 3'])
+    })
+
+    it('should change the status of or delete several tasks, undone in one step', async () => {
+      const [, second] = await getAllLists()
+      const taskIds = (await getTasksForList(second.id)).slice(0, 2).map(t => t.id)
+
+      await updateTasksStatus(taskIds, 'checked')
+      expect((await db.tasks.bulkGet(taskIds)).map(t => t.status)).toEqual(['checked', 'checked'])
+
+      await deleteTasks(taskIds)
+      expect((await getTasksForList(second.id)).map(t => [t.text, t.order])).toEqual([['Task 3', 0]])
+
+      await undo()
+      expect((await getTasksForList(second.id)).map(t => t.status)).toEqual(['checked', 'checked', 'unchecked'])
+      await expect(deleteTasks([taskIds[0], 9999])).rejects.toThrow('Task 9999 not found')
+      expect(await getTasksForList(second.id)).toHaveLength(3)
+    })
+  })
+
+  describe('calendar events', () => {
+    const WEEK = '2025-03-03'
+
+    function event(externalId, date, startTime = null, title = externalId) {
+      return { externalId, title, date, startTime, durationMinutes: startTime ? 30 : null, allDay: !startTime }
+    }
+
+    beforeEach(async () => {
+      await db.calendarEvents.clear()
+    })
+
+    it('should return only events within the week, sorted by date then start time', async () => {
+      await replaceCalendarEvents('google', [
+        event('late', '2025-03-04', '15:00'),
+        event('early', '2025-03-04', '09:00'),
+        event('monday', '2025-03-03', '12:00'),
+        event('next-week', '2025-03-10', '09:00'),
+        event('last-week', '2025-03-02', '09:00')
+      ])
+
+      const events = await getCalendarEventsForWeek(WEEK)
+      expect(events.map(e => e.externalId)).toEqual(['monday', 'early', 'late'])
+      expect(events[0]).toMatchObject({ id: 'google:monday', source: 'google' })
+    })
+
+    it('should replace only the events of the given source', async () => {
+      await replaceCalendarEvents('google', [event('a', '2025-03-03'), event('b', '2025-03-04')])
+      await replaceCalendarEvents('ics', [event('a', '2025-03-05')])
+      await replaceCalendarEvents('google', [event('c', '2025-03-06')])
+
+      const ids = (await getCalendarEventsForWeek(WEEK)).map(e => e.id)
+      expect(ids).toEqual(['ics:a', 'google:c'])
+    })
+
+    it('should apply incremental updates and deletions', async () => {
+      await replaceCalendarEvents('google', [event('a', '2025-03-03'), event('b', '2025-03-04')])
+      await applyCalendarEventChanges('google', [event('b', '2025-03-05', '10:00', 'Moved')], ['a'])
+
+      const events = await getCalendarEventsForWeek(WEEK)
+      expect(events).toHaveLength(1)
+      expect(events[0]).toMatchObject({ id: 'google:b', title: 'Moved', date: '2025-03-05', startTime: '10:00' })
+
+      await deleteCalendarEvents('google')
+      expect(await getCalendarEventsForWeek(WEEK)).toEqual([])
+    })
+  })
+
+  describe('delete and trash', () => {
+    const DAY = 24 * 60 * 60 * 1000
+    let listId
+
+    // An archived list with two tasks archived with it and one archived two days earlier
+    beforeEach(async () => {
+      const archivedAt = new Date(2025, 2, 10, 12).getTime()
+      listId = await db.lists.add({ name: 'Old', order: 3, archivedAt, columnIndex: 0 })
+      await db.tasks.add({ text: 'Same day A', listId, order: 0, status: 'archived', archivedAt })
+      await db.tasks.add({ text: 'Same day B', listId, order: 1, status: 'archived', archivedAt: archivedAt + 1000 })
+      await db.tasks.add({ text: 'Earlier', listId, order: 2, status: 'archived', archivedAt: archivedAt - 2 * DAY })
+    })
+
+    it('should count tasks archived on the list archive day separately from the others', async () => {
+      expect(await getListDeletionSummary(listId)).toMatchObject({ sameDayCount: 2, otherCount: 1 })
+      const activeList = (await getAllLists())[0]
+      await expect(getListDeletionSummary(activeList.id)).rejects.toThrow('Only archived lists can be deleted')
+    })
+
+    it('should delete same-day tasks with the list and move the rest to an Orphaned list', async () => {
+      expect(await deleteList(listId, 'sameDay')).toEqual({ deleted: 2, orphaned: 1 })
+
+      expect((await getAllListsIncludingArchived()).some(l => l.id === listId)).toBe(false)
+      expect((await getArchivedTasks()).map(t => t.text)).toEqual(['Earlier'])
+      const orphanedList = (await getAllLists()).find(l => l.name === 'Orphaned')
+      expect(orphanedList).toMatchObject({ isOrphanedList: true })
+      expect((await getArchivedTasks())[0].listId).toBe(orphanedList.id)
+      expect((await getDeletedTasks()).map(t => t.text)).toEqual(['Same day A', 'Same day B'])
+
+      // A second deletion reuses the same Orphaned list
+      const otherListId = await db.lists.add({ name: 'Other', order: 4, archivedAt: Date.now(), columnIndex: 0 })
+      await db.tasks.add({ text: 'Older', listId: otherListId, order: 0, status: 'archived', archivedAt: Date.now() - 3 * DAY })
+      await deleteList(otherListId, 'sameDay')
+      expect((await getAllLists()).filter(l => l.name === 'Orphaned')).toHaveLength(1)
+    })
+
+    it('should delete every task when deleting all, and restore them with the list', async () => {
+      expect(await deleteList(listId, 'all')).toEqual({ deleted: 3, orphaned: 0 })
+      expect((await getDeletedLists()).map(l => l.name)).toEqual(['Old'])
+      expect((await getAllLists()).some(l => l.name === 'Orphaned')).toBe(false)
+
+      expect(await restoreDeletedList(listId)).toBe(3)
+      expect(await getDeletedTasks()).toEqual([])
+      expect((await getAllListsIncludingArchived()).find(l => l.id === listId).archivedAt).not.toBeNull()
+    })
+
+    it('should hide deleted tasks, close the gap, and restore them at the end of their list', async () => {
+      const list1 = (await getAllLists()).find(l => l.order === 1)
+      const [task1] = await getTasksForList(list1.id)
+
+      await deleteTask(task1.id)
+      expect((await getTasksForList(list1.id)).map(t => [t.text, t.order])).toEqual([['Task 2', 0], ['Task 3', 1]])
+
+      await restoreDeletedTask(task1.id)
+      expect((await getTasksForList(list1.id)).map(t => t.text)).toEqual(['Task 2', 'Task 3', 'Task 1'])
+    })
+
+    it('should purge single lists and empty the whole trash', async () => {
+      await deleteList(listId, 'all')
+      const list1 = (await getAllLists()).find(l => l.order === 1)
+      const [task1] = await getTasksForList(list1.id)
+      await deleteTask(task1.id)
+
+      await purgeDeletedList(listId)
+      expect(await db.lists.get(listId)).toBeUndefined()
+      expect((await getDeletedTasks()).map(t => t.text)).toEqual(['Task 1'])
+
+      expect(await emptyTrash()).toEqual({ lists: 0, tasks: 1 })
+      expect(await db.tasks.get(task1.id)).toBeUndefined()
+    })
+  })
+
+  describe('print history and reconciliation', () => {
+    beforeEach(async () => {
+      await db.preferences.clear()
+      await db.printHistory.clear()
+      const [first] = await getAllLists()
+      await db.tasks.add({ text: 'Monday call', listId: first.id, order: 0, status: 'unchecked', weekStart: getWeekStart(), dayOfWeek: 0 })
+    })
+
+    it('should snapshot the week tasks then the board tasks in sheet order', async () => {
+      expect(await getLastPrintSnapshot()).toBeNull()
+      await savePrintSnapshot()
+
+      const snapshot = await getLastPrintSnapshot()
+      expect(snapshot).toMatchObject({
+        weekStart: getWeekStart(),
+        layout: { paperFormat: { size: 'letter', orientation: 'landscape' }, columnCount: 5 },
+        reconciledAt: null
+      })
+      expect(snapshot.lists.map(l => l.name)).toEqual(['First', 'Second', 'Third'])
+      expect(snapshot.tasks.map(t => t.text)).toEqual(['Monday call', 'Other Task', 'Task 1', 'Task 2', 'Task 3'])
+      expect(snapshot.tasks[0]).toMatchObject({ listName: 'First', dayOfWeek: 0, status: 'unchecked' })
+      expect(snapshot.tasks[2]).toMatchObject({ listName: 'Second', dayOfWeek: null })
+    })
+
+    it('should apply every choice as one undoable status change and mark the print reconciled', async () => {
+      const { tasks } = await savePrintSnapshot()
+      const [monday, other, task1, task2] = tasks
+      await updateTaskStatus(task2.id, 'checked')
+      await deleteTask(other.id)
+
+      const result = await applyPrintReconciliation({
+        [monday.id]: 'done',
+        [other.id]: 'done',
+        [task1.id]: 'archived',
+        [task2.id]: 'carryOver'
+      })
+
+      expect(result).toEqual({ updated: 3, skipped: 1 })
+      expect((await db.tasks.get(monday.id)).status).toBe('checked')
+      expect((await db.tasks.get(task1.id))).toMatchObject({ status: 'archived', archivedAt: expect.any(Number) })
+      expect((await db.tasks.get(task2.id)).status).toBe('unchecked')
+      expect((await db.tasks.get(other.id)).status).toBe('unchecked')
+      expect((await getLastPrintSnapshot()).reconciledAt).toEqual(expect.any(Number))
+
+      await undo()
+      expect((await db.tasks.get(monday.id)).status).toBe('unchecked')
+      expect((await db.tasks.get(task1.id)).status).toBe('unchecked')
+    })
+
+    it('should move carried-over tasks of the printed week to the same day of the next week', async () => {
+      const [monday, , task1] = (await savePrintSnapshot()).tasks
+
+      const result = await applyPrintReconciliation({ [monday.id]: 'carryOver', [task1.id]: 'carryOver' })
+
+      expect(result).toEqual({ updated: 1, skipped: 1 })
+      expect(await db.tasks.get(monday.id)).toMatchObject({ status: 'unchecked', weekStart: addWeeks(getWeekStart(), 1), dayOfWeek: 0 })
+      expect((await getTasksForList(task1.listId)).map(t => t.id)).toContain(task1.id)
+
+      await undo()
+      expect(await db.tasks.get(monday.id)).toMatchObject({ weekStart: getWeekStart(), dayOfWeek: 0 })
+    })
+
+    it('should keep the sheet size and checkbox positions for scanning', async () => {
+      const [, other] = (await savePrintSnapshot()).tasks
+      const box = { x: 40, y: 300, width: 12, height: 12 }
+      const snapshot = await savePrintSnapshot({ sheet: { width: 1056, height: 816, checkboxes: { [other.id]: box } } })
+
+      expect(snapshot.sheet).toEqual({ width: 1056, height: 816 })
+      expect(snapshot.tasks.find(t => t.id === other.id).checkbox).toEqual(box)
+      expect(snapshot.tasks.filter(t => t.checkbox)).toHaveLength(1)
+      expect((await getLastPrintSnapshot()).sheet).toEqual({ width: 1056, height: 816 })
+    })
+
+    it('should keep every print in the history, most recent first', async () => {
+      const first = await savePrintSnapshot()
+      await updateTaskStatus(first.tasks[1].id, 'checked')
+      const second = await savePrintSnapshot()
+
+      expect((await getPrintHistory()).map(entry => entry.id)).toEqual([second.id, first.id])
+      expect((await getLastPrintSnapshot()).id).toBe(second.id)
+      expect((await getPrintHistory())[1].tasks[1].status).toBe('unchecked')
+    })
+
+    it('should reject unknown choices', async () => {
+      const { tasks } = await savePrintSnapshot()
+      await expect(applyPrintReconciliation({ [tasks[0].id]: 'maybe' })).rejects.toThrow('Invalid reconciliation choice: maybe')
+    })
+  })
+})
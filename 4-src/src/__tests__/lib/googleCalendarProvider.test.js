@@ -0,0 +1,205 @@
+// @ts-nocheck
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest'
+import { createServer } from 'node:http'
+import db from '../../lib/db.js'
+import { createGoogleCalendarProvider, normalizeGoogleEvent } from '../../lib/calendar/googleCalendarProvider.js'
+import { syncCalendarProvider } from '../../lib/calendar/calendarSync.js'
+import { getCalendarEventsForWeek, getCalendarSyncState } from '../../lib/dataAccess.js'
+
+/**
+ * Minimal stand-in for the Google OAuth token endpoint and Calendar API v3.
+ * Tests set `calendar.pages` (full sync) and `calendar.changes` (responses keyed by sync token).
+ */
+const calendar = { pages: [], changes: {}, requests: [], tokenRequests: [], validAccessToken: 'access-1' }
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost')
+
+  if (req.method === 'POST' && url.pathname === '/token') {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(body))
+      calendar.tokenRequests.push(params)
+      if (params.grant_type === 'authorization_code' && params.code === 'good-code' && params.code_verifier) {
+        sendJson(res, 200, { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 3600 })
+      } else if (params.grant_type === 'refresh_token' && params.refresh_token === 'refresh-1') {
+        sendJson(res, 200, { access_token: 'access-2', expires_in: 3600 })
+      } else {
+        sendJson(res, 400, { error: 'invalid_grant' })
+      }
+    })
+    return
+  }
+
+  if (url.pathname === '/calendar/v3/calendars/primary/events') {
+    calendar.requests.push(url)
+    if (req.headers.authorization !== `Bearer ${calendar.validAccessToken}`) {
+      sendJson(res, 401, { error: 'unauthorized' })
+      return
+    }
+
+    const syncToken = url.searchParams.get('syncToken')
+    if (syncToken) {
+      const changes = calendar.changes[syncToken]
+      if (!changes) {
+        sendJson(res, 410, { error: 'gone' })
+      } else {
+        sendJson(res, 200, changes)
+      }
+      return
+    }
+
+    const pageIndex = Number(url.searchParams.get('pageToken') || 0)
+    sendJson(res, 200, calendar.pages[pageIndex])
+    return
+  }
+
+  sendJson(res, 404, {})
+})
+
+let baseUrl
+
+function memoryStorage() {
+  const values = new Map()
+  return {
+    getItem: key => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key)
+  }
+}
+
+function createProvider(storage = memoryStorage()) {
+  return createGoogleCalendarProvider({
+    clientId: 'test-client',
+    authUrl: `${baseUrl}/auth`,
+    tokenUrl: `${baseUrl}/token`,
+    apiBaseUrl: `${baseUrl}/calendar/v3`,
+    scope: 'https://www.googleapis.com/auth/calendar.readonly',
+    redirectUri: 'http://localhost/time-blocker/',
+    storage
+  })
+}
+
+/** Run the authorization redirect round trip against the mock server */
+async function connect(provider) {
+  const authUrl = new URL(await provider.beginAuthorization())
+  const redirect = new URL(`http://localhost/time-blocker/?code=good-code&state=${authUrl.searchParams.get('state')}`)
+  return provider.completeAuthorization(redirect)
+}
+
+function timedEvent(id, start, end, summary = id) {
+  return { id, summary, status: 'confirmed', start: { dateTime: start }, end: { dateTime: end } }
+}
+
+describe('googleCalendarProvider', () => {
+  beforeAll(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  beforeEach(async () => {
+    await db.calendarEvents.clear()
+    await db.calendarSyncState.clear()
+    calendar.pages = []
+    calendar.changes = {}
+    calendar.requests = []
+    calendar.tokenRequests = []
+    calendar.validAccessToken = 'access-1'
+  })
+
+  it('should build a PKCE authorization URL and exchange the code for tokens', async () => {
+    const provider = createProvider()
+    const authUrl = new URL(await provider.beginAuthorization())
+
+    expect(authUrl.searchParams.get('client_id')).toBe('test-client')
+    expect(authUrl.searchParams.get('code_challenge_method')).toBe('S256')
+    expect(authUrl.searchParams.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/)
+    expect(await provider.isConnected()).toBe(false)
+
+    // A redirect with the wrong state is not ours
+    expect(await provider.completeAuthorization(new URL('http://localhost/?code=good-code&state=other'))).toBe(false)
+
+    const redirect = new URL(`http://localhost/time-blocker/?code=good-code&state=${authUrl.searchParams.get('state')}`)
+    expect(await provider.completeAuthorization(redirect)).toBe(true)
+    expect(await provider.isConnected()).toBe(true)
+    expect(calendar.tokenRequests[0]).toMatchObject({ grant_type: 'authorization_code', client_id: 'test-client' })
+
+    await provider.disconnect()
+    expect(await provider.isConnected()).toBe(false)
+  })
+
+  it('should do a full sync across pages, then apply incremental changes with the sync token', async () => {
+    const provider = createProvider()
+    await connect(provider)
+
+    calendar.pages = [
+      { items: [timedEvent('standup', '2025-03-03T09:00:00', '2025-03-03T09:15:00')], nextPageToken: '1' },
+      { items: [{ id: 'offsite', summary: 'Offsite', status: 'confirmed', start: { date: '2025-03-05' }, end: { date: '2025-03-06' } }], nextSyncToken: 'sync-1' }
+    ]
+    await syncCalendarProvider(provider)
+
+    let events = await getCalendarEventsForWeek('2025-03-03')
+    expect(events.map(e => e.title)).toEqual(['standup', 'Offsite'])
+    expect(events[0]).toMatchObject({ startTime: '09:00', durationMinutes: 15, allDay: false })
+    expect(events[1]).toMatchObject({ date: '2025-03-05', startTime: null, allDay: true })
+    expect((await getCalendarSyncState('google')).syncToken).toBe('sync-1')
+
+    calendar.changes['sync-1'] = {
+      items: [
+        { id: 'standup', status: 'cancelled' },
+        timedEvent('review', '2025-03-04T14:00:00', '2025-03-04T15:30:00', 'Review')
+      ],
+      nextSyncToken: 'sync-2'
+    }
+    await syncCalendarProvider(provider)
+
+    expect(calendar.requests.at(-1).searchParams.get('syncToken')).toBe('sync-1')
+    events = await getCalendarEventsForWeek('2025-03-03')
+    expect(events.map(e => e.title)).toEqual(['Review', 'Offsite'])
+    expect(events[0].durationMinutes).toBe(90)
+    expect((await getCalendarSyncState('google')).syncToken).toBe('sync-2')
+  })
+
+  it('should fall back to a full sync when the sync token has expired (410)', async () => {
+    const provider = createProvider()
+    await connect(provider)
+
+    calendar.pages = [{ items: [timedEvent('old', '2025-03-03T09:00:00', '2025-03-03T10:00:00')], nextSyncToken: 'sync-1' }]
+    await syncCalendarProvider(provider)
+
+    // sync-1 is unknown to the server from now on; the full sync no longer contains 'old'
+    calendar.pages = [{ items: [timedEvent('new', '2025-03-04T09:00:00', '2025-03-04T10:00:00')], nextSyncToken: 'sync-9' }]
+    await syncCalendarProvider(provider)
+
+    const events = await getCalendarEventsForWeek('2025-03-03')
+    expect(events.map(e => e.externalId)).toEqual(['new'])
+    expect((await getCalendarSyncState('google')).syncToken).toBe('sync-9')
+  })
+
+  it('should refresh the access token once when the API rejects it', async () => {
+    const provider = createProvider()
+    await connect(provider)
+
+    calendar.validAccessToken = 'access-2'
+    calendar.pages = [{ items: [], nextSyncToken: 'sync-1' }]
+    await syncCalendarProvider(provider)
+
+    expect(calendar.tokenRequests.at(-1)).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh-1' })
+    expect(calendar.requests.at(-1).searchParams.get('syncToken')).toBeNull()
+    expect((await getCalendarSyncState('google:auth')).refreshToken).toBe('refresh-1')
+  })
+
+  it('should normalize untitled events', () => {
+    expect(normalizeGoogleEvent({ id: 'x', start: { date: '2025-03-07' } }).title).toBe('(No title)')
+  })
+})
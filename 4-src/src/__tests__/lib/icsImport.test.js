@@ -0,0 +1,124 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import db from '../../lib/db.js'
+import { parseIcs } from '../../lib/calendar/icsParser.js'
+import { importIcsFile, getIcsImports, removeIcsImport } from '../../lib/calendar/icsImport.js'
+import { getCalendarEventsForWeek } from '../../lib/dataAccess.js'
+import { toDateString } from '../../lib/weekUtils.js'
+
+const RANGE = { rangeStart: new Date(2025, 0, 1), rangeEnd: new Date(2025, 11, 31) }
+
+function calendar(...vevents) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//EN', ...vevents.flat(), 'END:VCALENDAR'].join('\r\n')
+}
+
+/** Expected local date and time for a UTC instant */
+function local(isoUtc) {
+  const date = new Date(isoUtc)
+  return {
+    date: toDateString(date),
+    startTime: `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+  }
+}
+
+describe('icsParser', () => {
+  it('should parse timed, UTC and all-day events with folded lines and escaped text', () => {
+    const events = parseIcs(calendar(
+      ['BEGIN:VEVENT', 'UID:a', 'SUMMARY:Planning\\, round 2', 'DTSTART:20250304T140000Z', 'DTEND:20250304T153000Z',
+        'BEGIN:VALARM', 'TRIGGER:-PT15M', 'END:VALARM', 'END:VEVENT'],
+      ['BEGIN:VEVENT', 'UID:b', 'SUMMARY:Long', '  weekend', 'DTSTART;VALUE=DATE:20250308', 'DTEND;VALUE=DATE:20250310', 'END:VEVENT']
+    ), RANGE)
+
+    expect(events).toHaveLength(2)
+    expect(events[0]).toMatchObject({ externalId: 'a', title: 'Planning, round 2', durationMinutes: 90, allDay: false, ...local('2025-03-04T14:00:00Z') })
+    expect(events[1]).toMatchObject({ externalId: 'b', title: 'Long weekend', date: '2025-03-08', startTime: null, allDay: true })
+  })
+
+  it('should convert TZID times across a DST change', () => {
+    // New York switches from EST (UTC-5) to EDT (UTC-4) on 2025-03-09
+    const events = parseIcs(calendar(
+      ['BEGIN:VEVENT', 'UID:ny', 'SUMMARY:Standup', 'DTSTART;TZID=America/New_York:20250307T090000',
+        'DURATION:PT15M', 'RRULE:FREQ=DAILY;COUNT=4', 'END:VEVENT']
+    ), RANGE)
+
+    expect(events.map(e => ({ date: e.date, startTime: e.startTime }))).toEqual([
+      local('2025-03-07T14:00:00Z'),
+      local('2025-03-08T14:00:00Z'),
+      local('2025-03-09T13:00:00Z'),
+      local('2025-03-10T13:00:00Z')
+    ])
+    expect(events.every(e => e.durationMinutes === 15)).toBe(true)
+  })
+
+  it('should expand weekly and monthly rules with EXDATE, UNTIL and RECURRENCE-ID overrides', () => {
+    const events = parseIcs(calendar(
+      ['BEGIN:VEVENT', 'UID:gym', 'SUMMARY:Gym', 'DTSTART:20250303T070000', 'DTEND:20250303T080000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,TH;UNTIL=20250317T235959', 'EXDATE:20250306T070000', 'END:VEVENT'],
+      ['BEGIN:VEVENT', 'UID:gym', 'SUMMARY:Gym (late)', 'RECURRENCE-ID:20250310T070000',
+        'DTSTART:20250310T180000', 'DTEND:20250310T190000', 'END:VEVENT'],
+      ['BEGIN:VEVENT', 'UID:review', 'SUMMARY:Review', 'DTSTART;VALUE=DATE:20250128',
+        'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3', 'END:VEVENT']
+    ), RANGE)
+
+    const gym = events.filter(e => e.externalId.startsWith('gym'))
+    expect(gym.map(e => [e.date, e.startTime, e.title])).toEqual([
+      ['2025-03-03', '07:00', 'Gym'],
+      ['2025-03-10', '18:00', 'Gym (late)'],
+      ['2025-03-13', '07:00', 'Gym'],
+      ['2025-03-17', '07:00', 'Gym']
+    ])
+
+    // The last Friday of Jan, Feb and Mar
+    const reviews = events.filter(e => e.externalId.startsWith('review'))
+    expect(reviews.map(e => e.date)).toEqual(['2025-01-31', '2025-02-28', '2025-03-28'])
+  })
+
+  it('should skip cancelled events and stop open-ended rules at the range end', () => {
+    const events = parseIcs(calendar(
+      ['BEGIN:VEVENT', 'UID:gone', 'STATUS:CANCELLED', 'DTSTART:20250303T090000', 'END:VEVENT'],
+      ['BEGIN:VEVENT', 'UID:yearly', 'SUMMARY:Birthday', 'DTSTART;VALUE=DATE:20200615', 'RRULE:FREQ=YEARLY', 'END:VEVENT']
+    ), RANGE)
+
+    expect(events.map(e => e.date)).toEqual(['2025-06-15'])
+  })
+})
+
+describe('icsImport', () => {
+  beforeEach(async () => {
+    await db.calendarEvents.clear()
+    await db.calendarSyncState.clear()
+  })
+
+  function icsFile(name, ...vevents) {
+    return new File([calendar(...vevents)], name, { type: 'text/calendar' })
+  }
+
+  it('should replace the previous import of the same file instead of duplicating it', async () => {
+    const now = new Date(2025, 2, 1)
+    await importIcsFile(icsFile('work.ics',
+      ['BEGIN:VEVENT', 'UID:1', 'SUMMARY:Old', 'DTSTART;VALUE=DATE:20250304', 'END:VEVENT'],
+      ['BEGIN:VEVENT', 'UID:2', 'SUMMARY:Removed later', 'DTSTART;VALUE=DATE:20250305', 'END:VEVENT']
+    ), now)
+    await importIcsFile(icsFile('home.ics',
+      ['BEGIN:VEVENT', 'UID:1', 'SUMMARY:Home', 'DTSTART;VALUE=DATE:20250306', 'END:VEVENT']
+    ), now)
+    await importIcsFile(icsFile('work.ics',
+      ['BEGIN:VEVENT', 'UID:1', 'SUMMARY:Updated', 'DTSTART;VALUE=DATE:20250304', 'END:VEVENT']
+    ), now)
+
+    const events = await getCalendarEventsForWeek('2025-03-03')
+    expect(events.map(e => e.title)).toEqual(['Updated', 'Home'])
+
+    const imports = await getIcsImports()
+    expect(imports.map(i => [i.key, i.eventCount])).toEqual([['ics:home.ics', 1], ['ics:work.ics', 1]])
+
+    await removeIcsImport('ics:work.ics')
+    expect((await getCalendarEventsForWeek('2025-03-03')).map(e => e.title)).toEqual(['Home'])
+    expect(await getIcsImports()).toHaveLength(1)
+  })
+
+  it('should reject files that are not calendars', async () => {
+    await expect(importIcsFile(new File(['hello'], 'notes.txt', { type: 'text/plain' }))).rejects.toThrow('Not an .ics file')
+    await expect(importIcsFile(new File(['hello'], 'broken.ics'))).rejects.toThrow('Not a valid calendar file')
+  })
+})
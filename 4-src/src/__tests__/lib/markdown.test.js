@@ -0,0 +1,83 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import db from '../../lib/db.js'
+import { parseMarkdownChecklist, exportBoardMarkdown, exportListMarkdown, importMarkdown, getMarkdownFileName } from '../../lib/markdown.js'
+import { getAllLists, getTasksForList } from '../../lib/dataAccess.js'
+
+describe('markdown', () => {
+  beforeEach(async () => {
+    await db.lists.clear()
+    await db.tasks.clear()
+  })
+
+  it('should parse headings, checkbox items, plain bullets and continuation lines', () => {
+    const lists = parseMarkdownChecklist([
+      '- [ ] Before any heading',
+      '',
+      '## Groceries',
+      '- [ ] Milk',
+      '* [X] Bread',
+      '1. Eggs',
+      '- [ ] Call about',
+      '      the order',
+      'Some paragraph text',
+      '##',
+      '- [ ]'
+    ].join('\r\n'))
+
+    expect(lists).toEqual([
+      { name: null, tasks: [{ text: 'Before any heading', status: 'unchecked' }] },
+      {
+        name: 'Groceries',
+        tasks: [
+          { text: 'Milk', status: 'unchecked' },
+          { text: 'Bread', status: 'checked' },
+          { text: 'Eggs', status: 'unchecked' },
+          { text: 'Call about\nthe order', status: 'unchecked' }
+        ]
+      },
+      { name: null, tasks: [{ text: '', status: 'unchecked' }] }
+    ])
+  })
+
+  it('should export the board column by column, including scheduled tasks and skipping archived ones', async () => {
+    // Column 0 holds 'First' then 'Second' (by order); column 1 holds 'Later'
+    const later = await db.lists.add({ name: 'Later', order: 0, archivedAt: null, columnIndex: 1 })
+    const second = await db.lists.add({ name: 'Second', order: 2, archivedAt: null, columnIndex: 0 })
+    const first = await db.lists.add({ name: 'First', order: 1, archivedAt: null, columnIndex: 0 })
+    await db.tasks.bulkAdd([
+      { text: 'Done', listId: first, order: 1, status: 'checked', dayOfWeek: null, weekStart: null },
+      { text: 'Todo', listId: first, order: 0, status: 'unchecked', dayOfWeek: null, weekStart: null },
+      { text: 'On Monday', listId: first, order: 0, status: 'unchecked', dayOfWeek: 0, weekStart: '2025-03-03' },
+      { text: 'Archived', listId: first, order: 2, status: 'archived', dayOfWeek: null, weekStart: null },
+      { text: 'Two\nlines', listId: later, order: 0, status: 'unchecked', dayOfWeek: null, weekStart: null }
+    ])
+
+    expect(await exportBoardMarkdown()).toBe([
+      '## First', '', '- [ ] Todo', '- [x] Done', '- [ ] On Monday', '',
+      '## Second', '',
+      '## Later', '', '- [ ] Two', '      lines', ''
+    ].join('\n'))
+    expect(await exportListMarkdown({ id: second, name: 'Second' })).toBe('## Second\n')
+    expect(getMarkdownFileName('Work & Home')).toBe('work-home.md')
+    expect(getMarkdownFileName(null)).toBe('board.md')
+  })
+
+  it('should import Markdown as new lists and tasks with their status, round-tripping an export', async () => {
+    const result = await importMarkdown('## Work\n- [ ] Write report\n- [x] Send invoice\n\n## Home\n- [ ] Laundry\n')
+    expect(result).toEqual({ lists: 2, tasks: 3 })
+
+    const lists = await getAllLists()
+    expect(lists.map(l => l.name)).toEqual(['Work', 'Home'])
+    const workTasks = await getTasksForList(lists[0].id)
+    expect(workTasks.map(t => [t.text, t.status])).toEqual([['Write report', 'unchecked'], ['Send invoice', 'checked']])
+
+    const exported = await exportBoardMarkdown()
+    expect(parseMarkdownChecklist(exported)).toEqual(parseMarkdownChecklist('## Work\n- [ ] Write report\n- [x] Send invoice\n## Home\n- [ ] Laundry'))
+  })
+
+  it('should reject Markdown without lists or tasks', async () => {
+    await expect(importMarkdown('Just a paragraph')).rejects.toThrow('No lists or tasks found')
+    expect(await db.lists.count()).toBe(0)
+  })
+})
@@ -0,0 +1,79 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import { inflateSync } from 'zlib'
+import { PDFDocument, PDFArray } from 'pdf-lib'
+import db from '../../lib/db.js'
+import { buildPlannerPdf, getPdfFileName } from '../../lib/pdfExport.js'
+import { setPaperFormat, getCurrentWeekStart, savePrintSnapshot, updateTaskText } from '../../lib/dataAccess.js'
+
+/**
+ * Helper: Text shown by the page's text operators (standard fonts write strings as hex)
+ */
+function getShownText(page) {
+  const contents = page.node.Contents()
+  const streams = contents instanceof PDFArray ? contents.asArray().map(ref => page.doc.context.lookup(ref)) : [contents]
+  const operators = streams.map(stream => inflateSync(Buffer.from(stream.getContents())).toString('latin1')).join('\n')
+  return Array.from(operators.matchAll(/<([0-9A-Fa-f]*)> Tj/g))
+    .map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1'))
+}
+
+describe('pdfExport', () => {
+  beforeEach(async () => {
+    await db.lists.clear()
+    await db.tasks.clear()
+    await db.preferences.clear()
+    await db.printHistory.clear()
+    const weekStart = await getCurrentWeekStart()
+    const groceries = await db.lists.add({ name: 'Groceries', order: 0, columnIndex: 0, archivedAt: null })
+    await db.lists.add({ name: 'Old', order: 1, columnIndex: 1, archivedAt: Date.now() })
+    await db.tasks.add({ text: 'Buy milk', listId: groceries, order: 0, status: 'unchecked' })
+    await db.tasks.add({ text: 'Bread 🍞', listId: groceries, order: 1, status: 'checked' })
+    await db.tasks.add({ text: 'Archived task', listId: groceries, order: 2, status: 'archived' })
+    await db.tasks.add({ text: 'Dentist', listId: groceries, order: 0, status: 'unchecked', weekStart, dayOfWeek: 2, startTime: '09:30' })
+  })
+
+  it('should draw the week and the board as real text', async () => {
+    const pdfDoc = await PDFDocument.load(await buildPlannerPdf())
+
+    expect(pdfDoc.getPageCount()).toBe(1)
+    const text = getShownText(pdfDoc.getPage(0))
+    expect(text).toEqual(expect.arrayContaining(['Groceries', 'Buy milk', 'Bread ?', 'Dentist', '9:30']))
+    expect(text.some(line => line.startsWith('Wednesday'))).toBe(true)
+    expect(text).not.toContain('Old')
+    expect(text).not.toContain('Archived task')
+  })
+
+  it('should use the page size of the selected paper format', async () => {
+    await setPaperFormat({ size: 'a4', orientation: 'portrait' })
+    const page = (await PDFDocument.load(await buildPlannerPdf())).getPage(0)
+    expect(page.getWidth()).toBeCloseTo(594.75, 1) // 793px at 72/96
+    expect(page.getHeight()).toBeCloseTo(841.5, 1)
+  })
+
+  it('should wrap long task text across lines', async () => {
+    const [list] = await db.lists.toArray()
+    await db.tasks.add({ text: 'A rather long task that cannot possibly fit on one line of a column', listId: list.id, order: 3, status: 'unchecked' })
+    const text = getShownText((await PDFDocument.load(await buildPlannerPdf())).getPage(0))
+
+    const wrapped = text.filter(line => 'A rather long task that cannot possibly fit on one line of a column'.includes(line) && line.length > 2)
+    expect(wrapped.length).toBeGreaterThan(1)
+    expect(wrapped.join(' ')).toBe('A rather long task that cannot possibly fit on one line of a column')
+  })
+
+  it('should reprint a snapshot as it was printed, whatever changed since', async () => {
+    const snapshot = await savePrintSnapshot({ printScale: 0.8 })
+    const [milk] = await db.tasks.where('text').equals('Buy milk').toArray()
+    await updateTaskText(milk.id, 'Buy oat milk')
+    await setPaperFormat({ size: 'a4', orientation: 'portrait' })
+
+    const page = (await PDFDocument.load(await buildPlannerPdf(snapshot))).getPage(0)
+    expect(page.getWidth()).toBeCloseTo(792, 1) // Still US Letter landscape
+    const text = getShownText(page)
+    expect(text).toEqual(expect.arrayContaining(['Groceries', 'Buy milk', 'Dentist']))
+    expect(text).not.toContain('Buy oat milk')
+  })
+
+  it('should name the file after the week', () => {
+    expect(getPdfFileName('2025-03-10')).toBe('planner-2025-03-10.pdf')
+  })
+})
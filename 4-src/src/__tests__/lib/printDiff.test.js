@@ -0,0 +1,30 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { diffSheets, describeTaskPlacement } from '../../lib/printDiff.js'
+
+const task = (id, fields = {}) => ({ id, text: `Task ${id}`, status: 'unchecked', listId: 1, listName: 'Work', dayOfWeek: null, ...fields })
+
+describe('printDiff', () => {
+  it('should find added, removed, moved and completed tasks', () => {
+    const printed = [task(1), task(2), task(3), task(4, { dayOfWeek: 0 }), task(5)]
+    const current = [
+      task(1, { order: 7 }), // Reordered only
+      task(3, { listId: 2, listName: 'Home', status: 'checked' }),
+      task(4, { dayOfWeek: 2 }),
+      task(5, { status: 'checked' }),
+      task(6)
+    ]
+
+    const { added, removed, moved, completed } = diffSheets(printed, current)
+    expect(added.map(t => t.id)).toEqual([6])
+    expect(removed.map(t => t.id)).toEqual([2])
+    expect(moved.map(({ task, from }) => [describeTaskPlacement(from), describeTaskPlacement(task)]))
+      .toEqual([['Work', 'Home'], ['Monday · Work', 'Wednesday · Work']])
+    expect(completed.map(t => t.id)).toEqual([3, 5])
+  })
+
+  it('should find nothing when the sheet is unchanged', () => {
+    const tasks = [task(1), task(2, { status: 'checked' })]
+    expect(diffSheets(tasks, tasks)).toEqual({ added: [], removed: [], moved: [], completed: [] })
+  })
+})
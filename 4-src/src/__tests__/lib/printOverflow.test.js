@@ -0,0 +1,56 @@
+// @ts-nocheck
+import { describe, it, expect, afterEach } from 'vitest'
+import { columnOverflow, findOverflowingIds, measureColumnOverflow, reportColumnOverflow, clearColumnOverflow, getOverflowingColumns, formatOverflowWarning } from '../../lib/printOverflow.svelte.js'
+
+/**
+ * Helper: Give an element a fixed position (jsdom doesn't lay anything out)
+ */
+function place(element, top, bottom) {
+  element.getBoundingClientRect = () => ({ top, bottom })
+}
+
+describe('printOverflow', () => {
+  afterEach(() => {
+    for (const columnIndex of Object.keys(columnOverflow)) {
+      clearColumnOverflow(Number(columnIndex))
+    }
+  })
+
+  it('should find items ending below the printable height, allowing for sub-pixel rounding', () => {
+    const items = [{ id: 1, bottom: 200 }, { id: 2, bottom: 400.5 }, { id: 3, bottom: 402 }]
+    expect(findOverflowingIds(items, 400)).toEqual([3])
+  })
+
+  it('should mark overflowing lists and tasks regardless of scroll position', () => {
+    const column = document.createElement('div')
+    column.innerHTML = `
+      <div data-id="1"><ul><li data-id="10"></li></ul></div>
+      <div data-id="2"><ul><li data-id="20"></li><li data-id="21"></li></ul></div>`
+    Object.defineProperty(column, 'clientHeight', { value: 300 })
+    column.scrollTop = 50
+    // Scrolled down by 50px: content positions are 50px higher on screen
+    place(column, 100, 400)
+    place(column.querySelector('[data-id="1"]'), 50, 200)
+    place(column.querySelector('[data-id="2"]'), 200, 420)
+    place(column.querySelector('[data-id="10"]'), 60, 190)
+    place(column.querySelector('[data-id="20"]'), 210, 340)
+    place(column.querySelector('[data-id="21"]'), 340, 410)
+
+    expect(measureColumnOverflow(column)).toEqual({ listIds: [2], taskIds: [21] })
+    expect(column.querySelector('[data-id="2"]').hasAttribute('data-print-overflow')).toBe(true)
+    expect(column.querySelector('[data-id="21"]').hasAttribute('data-print-overflow')).toBe(true)
+    expect(column.querySelector('[data-id="20"]').hasAttribute('data-print-overflow')).toBe(false)
+  })
+
+  it('should name the overflowing columns from 1', () => {
+    reportColumnOverflow(3, { listIds: [5], taskIds: [] })
+    reportColumnOverflow(0, { listIds: [1], taskIds: [2] })
+    reportColumnOverflow(1, { listIds: [], taskIds: [] })
+    expect(getOverflowingColumns()).toEqual([0, 3])
+    expect(formatOverflowWarning(getOverflowingColumns())).toBe("Columns 1 and 4 don't fit on the page")
+
+    clearColumnOverflow(0)
+    expect(formatOverflowWarning(getOverflowingColumns())).toBe("Column 4 doesn't fit on the page")
+    expect(formatOverflowWarning([])).toBeNull()
+  })
+})
@@ -0,0 +1,43 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { isValidRecurrence, getPeriodStart, getNextPeriodStart, describeRecurrence } from '../../lib/recurrence.js'
+
+// Wednesday 12 March 2025, local time
+const WEDNESDAY = new Date(2025, 2, 12, 15, 30)
+
+describe('recurrence', () => {
+  it('should accept only complete rules', () => {
+    expect(isValidRecurrence({ frequency: 'daily' })).toBe(true)
+    expect(isValidRecurrence({ frequency: 'weekly', weekdays: [0, 4] })).toBe(true)
+    expect(isValidRecurrence({ frequency: 'weekly', weekdays: [] })).toBe(false)
+    expect(isValidRecurrence({ frequency: 'weekly', weekdays: [7] })).toBe(false)
+    expect(isValidRecurrence({ frequency: 'interval', days: 3 })).toBe(true)
+    expect(isValidRecurrence({ frequency: 'interval', days: 0 })).toBe(false)
+    expect(isValidRecurrence({ frequency: 'yearly' })).toBe(false)
+    expect(isValidRecurrence(null)).toBe(false)
+  })
+
+  it('should find the period a date falls in', () => {
+    expect(getPeriodStart({ frequency: 'daily' }, WEDNESDAY)).toBe('2025-03-12')
+    expect(getPeriodStart({ frequency: 'weekly', weekdays: [0, 3] }, WEDNESDAY)).toBe('2025-03-10') // Monday
+    expect(getPeriodStart({ frequency: 'weekly', weekdays: [2] }, WEDNESDAY)).toBe('2025-03-12')
+    expect(getPeriodStart({ frequency: 'monthly' }, WEDNESDAY)).toBe('2025-03-01')
+    // Every 3 days from 1 March: 1, 4, 7, 10, 13...
+    expect(getPeriodStart({ frequency: 'interval', days: 3 }, WEDNESDAY, '2025-03-01')).toBe('2025-03-10')
+  })
+
+  it('should step to the next period', () => {
+    expect(getNextPeriodStart({ frequency: 'daily' }, '2025-02-28')).toBe('2025-03-01')
+    expect(getNextPeriodStart({ frequency: 'weekly', weekdays: [0, 3] }, '2025-03-10')).toBe('2025-03-13')
+    expect(getNextPeriodStart({ frequency: 'weekly', weekdays: [0, 3] }, '2025-03-13')).toBe('2025-03-17')
+    expect(getNextPeriodStart({ frequency: 'weekly', weekdays: [4] }, '2025-03-14')).toBe('2025-03-21')
+    expect(getNextPeriodStart({ frequency: 'monthly' }, '2025-12-01')).toBe('2026-01-01')
+    expect(getNextPeriodStart({ frequency: 'interval', days: 10 }, '2025-03-25')).toBe('2025-04-04')
+  })
+
+  it('should describe rules', () => {
+    expect(describeRecurrence({ frequency: 'weekly', weekdays: [3, 0] })).toBe('Weekly on Mon, Thu')
+    expect(describeRecurrence({ frequency: 'interval', days: 3 })).toBe('Every 3 days')
+    expect(describeRecurrence({ frequency: 'monthly' })).toBe('Monthly')
+  })
+})
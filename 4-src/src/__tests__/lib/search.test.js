@@ -0,0 +1,36 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { fuzzyScore, searchPlanner } from '../../lib/search.js'
+
+describe('search', () => {
+  it('should match words as substrings or as letters in order', () => {
+    expect(fuzzyScore('dentist', 'Call the Dentist')).not.toBeNull()
+    expect(fuzzyScore('dntst', 'Call the Dentist')).not.toBeNull()
+    expect(fuzzyScore('dentist call', 'Call the Dentist')).not.toBeNull()
+    expect(fuzzyScore('dentist xray', 'Call the Dentist')).toBeNull()
+    expect(fuzzyScore('  ', 'Call the Dentist')).toBeNull()
+
+    // Substrings beat scattered letters, word starts beat the middle of a word
+    expect(fuzzyScore('den', 'Dentist')).toBeGreaterThan(fuzzyScore('den', 'Golden'))
+    expect(fuzzyScore('den', 'Golden')).toBeGreaterThan(fuzzyScore('den', 'Dome knee'))
+  })
+
+  it('should group task and list matches by list, best first', () => {
+    const lists = [
+      { id: 1, name: 'Health', archivedAt: null },
+      { id: 2, name: 'Errands', archivedAt: 123 }
+    ]
+    const tasks = [
+      { id: 1, text: 'Book dentist', listId: 1, status: 'unchecked' },
+      { id: 2, text: 'Dentist bill', listId: 2, status: 'archived' },
+      { id: 3, text: 'Gym', listId: 1, status: 'unchecked' }
+    ]
+
+    const groups = searchPlanner('dentist', { lists, tasks })
+    expect(groups.map(group => [group.list.name, group.listMatches, group.tasks.map(task => task.id)]))
+      .toEqual([['Errands', false, [2]], ['Health', false, [1]]])
+
+    expect(searchPlanner('health', { lists, tasks }).map(group => [group.list.name, group.listMatches, group.tasks]))
+      .toEqual([['Health', true, []]])
+  })
+})
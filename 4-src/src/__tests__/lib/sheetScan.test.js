@@ -0,0 +1,37 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { computeHomography, applyHomography, getFiducialCenters, detectTickedCheckboxes } from '../../lib/sheetScan.js'
+import { SCAN_SHEET, SCAN_TASKS, SCAN_FIXTURES, renderScanImage } from '../fixtures/scans/scanFixtureSheet.js'
+
+const snapshot = { sheet: SCAN_SHEET, tasks: SCAN_TASKS }
+
+describe('sheetScan', () => {
+  it('should map the four reference points exactly', () => {
+    const from = getFiducialCenters(SCAN_SHEET)
+    const to = [{ x: 40, y: 30 }, { x: 610, y: 52 }, { x: 655, y: 470 }, { x: 12, y: 440 }]
+    const homography = computeHomography(from, to)
+    from.forEach((point, index) => {
+      const mapped = applyHomography(homography, point)
+      expect(mapped.x).toBeCloseTo(to[index].x, 6)
+      expect(mapped.y).toBeCloseTo(to[index].y, 6)
+    })
+  })
+
+  for (const fixture of SCAN_FIXTURES) {
+    it(`should find exactly the ticked checkboxes in a ${fixture.name}`, () => {
+      const results = detectTickedCheckboxes(renderScanImage(fixture), snapshot)
+      expect(results).toHaveLength(SCAN_TASKS.length)
+
+      const unticked = results.filter(result => !fixture.ticks[result.taskId])
+      const printedChecked = new Set(SCAN_TASKS.filter(task => task.status === 'checked').map(task => task.id))
+      expect(results.filter(result => result.ticked).map(result => result.taskId))
+        .toEqual(SCAN_TASKS.filter(task => fixture.ticks[task.id] || printedChecked.has(task.id)).map(task => task.id))
+      expect(unticked.filter(result => !printedChecked.has(result.taskId)).every(result => result.inkRatio < 0.05)).toBe(true)
+    }, 15000)
+  }
+
+  it('should refuse an image without corner markers', () => {
+    const blank = { width: 40, height: 30, data: new Uint8ClampedArray(40 * 30 * 4).fill(255) }
+    expect(() => detectTickedCheckboxes(blank, snapshot)).toThrow('Could not find the four corner markers on the sheet')
+  })
+})
@@ -0,0 +1,34 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { parseTags, splitTextByTags, matchesTagFilter, getTagFilterClass } from '../../lib/tags.js'
+
+describe('tags', () => {
+  it('should parse tags after whitespace only', () => {
+    expect(parseTags('#Home call plumber #home #to-do_2 #café')).toEqual(['home', 'to-do_2', 'café'])
+    expect(parseTags('Learn C# on page#2, #')).toEqual([])
+    expect(parseTags('')).toEqual([])
+  })
+
+  it('should split text into plain text and tag chips', () => {
+    expect(splitTextByTags('Call #Home now')).toEqual([
+      { text: 'Call ', tag: null },
+      { text: '#Home', tag: 'home' },
+      { text: ' now', tag: null }
+    ])
+    expect(splitTextByTags('#a #b')).toEqual([
+      { text: '#a', tag: 'a' },
+      { text: ' ', tag: null },
+      { text: '#b', tag: 'b' }
+    ])
+    expect(splitTextByTags('')).toEqual([])
+  })
+
+  it('should match tasks with any selected tag', () => {
+    expect(matchesTagFilter({ tags: ['home', 'work'] }, ['work'])).toBe(true)
+    expect(matchesTagFilter({ tags: ['home'] }, ['work'])).toBe(false)
+    expect(matchesTagFilter({}, [])).toBe(true)
+    expect(getTagFilterClass({ tags: [] }, { tags: ['work'], mode: 'dim' })).toBe('tag-filter-dimmed')
+    expect(getTagFilterClass({ tags: [] }, { tags: ['work'], mode: 'hide' })).toBe('tag-filter-hidden')
+    expect(getTagFilterClass({ tags: [] }, null)).toBe('')
+  })
+})
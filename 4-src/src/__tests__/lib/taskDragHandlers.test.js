@@ -0,0 +1,48 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import db from '../../lib/db.js'
+import { getTasksForList, getTasksForDay, assignTaskToDay } from '../../lib/dataAccess.js'
+import { moveTasksToDay } from '../../lib/drag/taskDragHandlers.js'
+
+const WEEK = '2025-03-03' // A Monday
+
+describe('taskDragHandlers', () => {
+  let workId
+  let personalId
+
+  beforeEach(async () => {
+    await db.lists.clear()
+    await db.tasks.clear()
+
+    workId = await db.lists.add({ name: 'Work', order: 0 })
+    personalId = await db.lists.add({ name: 'Personal', order: 1 })
+    await db.tasks.add({ text: 'Task 1', listId: workId, order: 0, status: 'unchecked' })
+    await db.tasks.add({ text: 'Task 2', listId: workId, order: 1, status: 'unchecked' })
+    await db.tasks.add({ text: 'Task 3', listId: workId, order: 2, status: 'unchecked' })
+    await db.tasks.add({ text: 'Personal Task', listId: personalId, order: 0, status: 'unchecked' })
+  })
+
+  describe('moveTasksToDay', () => {
+    it('should move a selection from several lists into a day at the drop position', async () => {
+      const [task1, task2, task3] = await getTasksForList(workId)
+      const [personalTask] = await getTasksForList(personalId)
+      await assignTaskToDay(task2.id, WEEK, 1)
+
+      await moveTasksToDay([task1.id, personalTask.id], WEEK, 1, 0)
+
+      expect((await getTasksForDay(WEEK, 1)).map(t => t.text)).toEqual(['Task 1', 'Personal Task', 'Task 2'])
+      expect((await getTasksForDay(WEEK, 1)).map(t => t.order)).toEqual([0, 1, 2])
+      expect((await getTasksForList(workId)).map(t => t.id)).toEqual([task3.id])
+      expect(await getTasksForList(personalId)).toEqual([])
+    })
+
+    it('should append the tasks when the position is out of range', async () => {
+      const [task1, task2, task3] = await getTasksForList(workId)
+      await assignTaskToDay(task1.id, WEEK, 4)
+
+      await moveTasksToDay([task2.id, task3.id], WEEK, 4, 5)
+
+      expect((await getTasksForDay(WEEK, 4)).map(t => t.text)).toEqual(['Task 1', 'Task 2', 'Task 3'])
+    })
+  })
+})
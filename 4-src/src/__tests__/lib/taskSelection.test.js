@@ -0,0 +1,53 @@
+// @ts-nocheck
+import { describe, it, expect, afterEach } from 'vitest'
+import { taskSelection, getBoardTaskIds, toggleTaskSelection, selectTaskRange, extendTaskSelection, clearTaskSelection, getSelectedTaskIds } from '../../lib/taskSelection.svelte.js'
+
+const BOARD = [1, 2, 3, 4, 5]
+
+describe('taskSelection', () => {
+  afterEach(() => {
+    clearTaskSelection()
+    document.body.innerHTML = ''
+  })
+
+  it('should toggle tasks and select ranges from the last toggled task', () => {
+    toggleTaskSelection(2)
+    toggleTaskSelection(5)
+    expect(taskSelection.ids).toEqual([2, 5])
+
+    selectTaskRange(3, BOARD)
+    expect(taskSelection.ids).toEqual([3, 4, 5])
+
+    toggleTaskSelection(4)
+    expect(taskSelection.ids).toEqual([3, 5])
+    selectTaskRange(1, BOARD)
+    expect(taskSelection.ids).toEqual([1, 2, 3, 4])
+
+    clearTaskSelection()
+    selectTaskRange(3, BOARD)
+    expect(taskSelection).toEqual({ ids: [3], anchorId: 3 })
+  })
+
+  it('should extend the selection one task at a time, stopping at the ends of the board', () => {
+    expect(extendTaskSelection(4, 1, BOARD)).toBe(5)
+    expect(taskSelection.ids).toEqual([4, 5])
+    expect(extendTaskSelection(5, 1, BOARD)).toBeNull()
+    expect(extendTaskSelection(5, -1, BOARD)).toBe(4)
+    expect(extendTaskSelection(4, -1, BOARD)).toBe(3)
+    expect(taskSelection.ids).toEqual([3, 4])
+  })
+
+  it('should read board order from the columns and leave out selected tasks no longer on the board', () => {
+    document.body.innerHTML = `
+      <div class="sortable-column-container"><ul><li data-id="3"></li><li data-id="1"></li></ul></div>
+      <div class="sortable-column-container"><ul><li data-id="2"></li></ul></div>
+      <ul data-day="0"><li data-id="4"></li></ul>
+    `
+    expect(getBoardTaskIds()).toEqual([3, 1, 2])
+
+    toggleTaskSelection(2)
+    toggleTaskSelection(4)
+    toggleTaskSelection(3)
+    expect(getSelectedTaskIds()).toEqual([3, 2])
+  })
+})
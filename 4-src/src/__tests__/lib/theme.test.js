@@ -0,0 +1,64 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import { FONT_SIZE_PRESETS, findAutoFitScale, scalePreset, fitPrintToPage, setAutoFitPrint, setFontSize, getWriteInLineHeight } from '../../lib/theme.js'
+
+/**
+ * Helper: A fake column whose content height follows the body font size (jsdom doesn't lay anything out)
+ */
+function fakeColumn(clientHeight, contentHeightPerPx) {
+  return {
+    clientHeight,
+    get scrollHeight() {
+      const fontSize = parseFloat(document.documentElement.style.getPropertyValue('--font-size-body'))
+      return fontSize * contentHeightPerPx
+    }
+  }
+}
+
+const printStyleText = () => document.getElementById('print-auto-fit-variables')?.textContent ?? null
+
+describe('theme auto-fit print', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    setFontSize('medium')
+    setAutoFitPrint(false)
+  })
+
+  it('should find the largest scale that fits, staying at 1 when everything fits', () => {
+    expect(findAutoFitScale(() => true)).toBe(1)
+    expect(findAutoFitScale(scale => scale <= 0.7)).toBeCloseTo(0.7, 2)
+    expect(findAutoFitScale(scale => scale <= 0.7)).toBeLessThanOrEqual(0.7)
+    expect(findAutoFitScale(() => false)).toBe(0.5)
+  })
+
+  it('should scale every size of a preset', () => {
+    const scaled = scalePreset(FONT_SIZE_PRESETS.medium, 0.5)
+    expect(scaled.body).toBe(6)
+    expect(scaled.gridUnit).toBe(12)
+    expect(scaled.boardPaddingY).toBe(6)
+  })
+
+  it('should round write-in lines up to whole grid units, also when scaled', () => {
+    // One-line task rows are 37px, 41px and 49px tall
+    expect(Object.values(FONT_SIZE_PRESETS).map(getWriteInLineHeight)).toEqual([40, 48, 56])
+    expect(getWriteInLineHeight(scalePreset(FONT_SIZE_PRESETS.medium, 0.5))).toBe(24)
+    expect(document.documentElement.style.getPropertyValue('--write-in-line-height')).toBe('48px')
+  })
+
+  it('should shrink the print sizes only, leaving the screen sizes alone', () => {
+    // Medium body is 12px: 12 * 50 = 600px of content in a 480px column fits at 480 / 600 = 0.8
+    const columns = [fakeColumn(480, 50), fakeColumn(480, 10)]
+    expect(fitPrintToPage(columns)).toBe(1) // Auto-fit is off
+    expect(printStyleText()).toBeNull()
+
+    setAutoFitPrint(true)
+    const scale = fitPrintToPage(columns)
+    expect(scale).toBeCloseTo(0.8, 2)
+    expect(document.documentElement.style.getPropertyValue('--font-size-body')).toBe('12px')
+    expect(printStyleText()).toContain('@media print')
+    expect(printStyleText()).toContain('--font-size-body: 9.6px !important;')
+
+    setAutoFitPrint(false)
+    expect(printStyleText()).toBeNull()
+  })
+})
@@ -0,0 +1,114 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import db from '../../lib/db.js'
+import { undo, redo, canUndo, canRedo, clearUndoHistory, subscribeToUndoHistory } from '../../lib/undoHistory.js'
+import { getAllLists, getTasksForList, createTask, updateTaskText, updateTaskOrderCrossList, archiveList, restoreTask, updateTaskStatus } from '../../lib/dataAccess.js'
+import { importMarkdown } from '../../lib/markdown.js'
+
+describe('undoHistory', () => {
+  let work
+  let home
+
+  beforeEach(async () => {
+    await db.lists.clear()
+    await db.tasks.clear()
+    work = await db.lists.add({ name: 'Work', order: 0, columnIndex: 0, archivedAt: null })
+    home = await db.lists.add({ name: 'Home', order: 1, columnIndex: 1, archivedAt: null })
+    await db.tasks.add({ text: 'Task 1', listId: work, order: 0, status: 'unchecked' })
+    await db.tasks.add({ text: 'Task 2', listId: work, order: 1, status: 'unchecked' })
+    clearUndoHistory()
+  })
+
+  const taskTexts = async (listId) => (await getTasksForList(listId)).map(t => t.text)
+
+  it('should undo and redo a move across lists, including the source list resequencing', async () => {
+    const [task1] = await getTasksForList(work)
+    await updateTaskOrderCrossList(home, [{ id: task1.id }])
+    expect(await taskTexts(work)).toEqual(['Task 2'])
+
+    await undo()
+    expect(await taskTexts(work)).toEqual(['Task 1', 'Task 2'])
+    expect(await taskTexts(home)).toEqual([])
+    expect((await getTasksForList(work)).map(t => t.order)).toEqual([0, 1])
+
+    await redo()
+    expect(await taskTexts(work)).toEqual(['Task 2'])
+    expect(await taskTexts(home)).toEqual(['Task 1'])
+  })
+
+  it('should delete created rows on undo and re-create them with the same ID and uid on redo', async () => {
+    const taskId = await createTask(home, 'New task')
+    const { uid } = await db.tasks.get(taskId)
+
+    await undo()
+    expect(await db.tasks.get(taskId)).toBeUndefined()
+
+    await redo()
+    expect(await db.tasks.get(taskId)).toMatchObject({ text: 'New task', uid })
+  })
+
+  it('should clear the redo stack when a new action is recorded and skip actions that change nothing', async () => {
+    const [task1] = await getTasksForList(work)
+    await updateTaskText(task1.id, 'Renamed')
+    await undo()
+    expect(canRedo()).toBe(true)
+
+    await updateTaskText(task1.id, 'Task 1') // Same text: nothing to record
+    expect(canRedo()).toBe(true)
+    expect(canUndo()).toBe(false)
+
+    await updateTaskText(task1.id, 'Renamed again')
+    expect(canRedo()).toBe(false)
+    expect(await redo()).toBeNull()
+  })
+
+  it('should record only the rows an action touches', async () => {
+    const events = []
+    const unsubscribe = subscribeToUndoHistory(event => events.push(event))
+    await db.tasks.add({ text: 'Water plants', listId: home, order: 0, status: 'archived', recurrence: { frequency: 'weekly', weekdays: [0] } })
+    const [task1] = await getTasksForList(work)
+
+    await updateTaskText(task1.id, 'Renamed')
+    await updateTaskOrderCrossList(home, [{ id: task1.id }])
+    unsubscribe()
+
+    expect(events.map(e => e.entry.changes.map(change => [change.table, change.key]))).toEqual([
+      [['tasks', task1.id]],
+      [['tasks', task1.id], ['tasks', task1.id + 1]]
+    ])
+  })
+
+  it('should record nested calls and bulk imports as a single action', async () => {
+    const [task1] = await getTasksForList(work)
+    await updateTaskStatus(task1.id, 'archived')
+    await archiveList(work)
+    await restoreTask(task1.id) // Also restores the list
+    expect((await getAllLists()).map(l => l.name)).toEqual(['Work', 'Home'])
+
+    await undo()
+    expect((await getAllLists()).map(l => l.name)).toEqual(['Home'])
+    expect((await db.tasks.get(task1.id)).status).toBe('archived')
+
+    await importMarkdown('## Imported\n- [ ] A\n- [ ] B')
+    await undo()
+    expect((await getAllLists()).map(l => l.name)).toEqual(['Home'])
+  })
+
+  it('should notify listeners with the entry and whether it is destructive', async () => {
+    const events = []
+    const unsubscribe = subscribeToUndoHistory(event => events.push(event))
+    const [task1] = await getTasksForList(work)
+
+    await updateTaskText(task1.id, 'Renamed')
+    await archiveList(home)
+    await undo()
+    unsubscribe()
+    await undo()
+
+    expect(events.map(e => [e.type, e.entry.label, e.entry.destructive])).toEqual([
+      ['record', 'Edit task', false],
+      ['record', 'Archive list', true],
+      ['undo', 'Archive list', true]
+    ])
+  })
+})
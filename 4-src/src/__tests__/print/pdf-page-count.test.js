@@ -31,7 +31,6 @@ test.describe('PDF Generation', () => {
     // Convert Buffer to Uint8Array for type compatibility
     const pdfBytes = new Uint8Array(pdfBuffer);
     writeFileSync(pdfPath, pdfBytes);
-    console.log(`PDF saved to: ${pdfPath}`);
     
     // Parse the PDF to get page count
     const pdfDoc = await PDFDocument.load(pdfBytes);
@@ -40,5 +39,52 @@ test.describe('PDF Generation', () => {
     // Verify the PDF has exactly one page
     expect(pageCount).toBe(1);
   });
+
+  // Page sizes in PDF points (72 per inch)
+  const PAPER_POINTS = {
+    'US Letter': { width: 612, height: 792 },
+    'A4': { width: 595.28, height: 841.89 },
+  };
+
+  for (const paperSize of Object.keys(PAPER_POINTS)) {
+    for (const orientation of ['Landscape', 'Portrait']) {
+      test(`should fit the sheet on one ${paperSize} ${orientation.toLowerCase()} page`, async ({ page }, testInfo) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        
+        // Choose the paper format in settings
+        await page.getByRole('button', { name: /settings/i }).click();
+        await page.getByLabel('Paper size').selectOption({ label: paperSize });
+        await page.getByLabel('Orientation').selectOption({ label: orientation });
+        await page.getByRole('button', { name: 'Close settings' }).click();
+        
+        // Let the @page rule decide the page size instead of passing a format
+        const pdfBuffer = await page.pdf({
+          preferCSSPageSize: true,
+          margin: {
+            top: '0',
+            right: '0',
+            bottom: '0',
+            left: '0',
+          },
+          printBackground: true,
+        });
+        
+        const pdfBytes = new Uint8Array(pdfBuffer);
+        writeFileSync(testInfo.outputPath(`generated-pdf-${paperSize}-${orientation}.pdf`.replace(/\s+/g, '-')), pdfBytes);
+        
+        const pdfDoc = await PDFDocument.load(pdfBytes);
+        expect(pdfDoc.getPageCount()).toBe(1);
+        
+        const { width, height } = pdfDoc.getPage(0).getSize();
+        const expected = PAPER_POINTS[paperSize];
+        const [expectedWidth, expectedHeight] = orientation === 'Landscape'
+          ? [expected.height, expected.width]
+          : [expected.width, expected.height];
+        expect(width).toBeCloseTo(expectedWidth, 0);
+        expect(height).toBeCloseTo(expectedHeight, 0);
+      });
+    }
+  }
 });
 
@@ -0,0 +1,237 @@
+/**
+ * JSON backup and restore
+ * 
+ * A backup holds every list, task (including archived) and preference from TaskPlannerDB,
+ * plus the font size kept in localStorage. Calendar events and sync state are left out:
+ * they are re-created by syncing or re-importing calendars, and hold OAuth tokens. Print history
+ * is left out too: it describes sheets printed on this device.
+ * 
+ * The backup version is the TaskPlannerDB schema version it was exported from. Older
+ * backups are brought up to date by MIGRATIONS, which mirror the upgrades in db.js.
+ * Lists and tasks carry a uid, so merging a backup from another device updates matching
+ * records instead of duplicating them (see backupMerge.js).
+ */
+
+import db from './db.js';
+import { exportDatabaseData, replaceDatabaseData, applyMergePlan } from './dataAccess.js';
+import { buildMergePlan } from './backupMerge.js';
+import { getFontSizePreference, setFontSize } from './theme.js';
+import { getWeekStart } from './weekUtils.js';
+import { generateUid } from './uid.js';
+import { parseTags } from './tags.js';
+import { DEFAULT_COLUMN_COUNT } from './constants.js';
+
+export const BACKUP_FORMAT = 'time-blocker-backup';
+export const BACKUP_VERSION = db.verno;
+
+/**
+ * Migrations from one backup version to the next, keyed by the version they produce.
+ * Each receives the backup data of the previous version and modifies it in place.
+ * @type {Record<number, (data: {lists: Array, tasks: Array, preferences: Array}) => void>}
+ */
+const MIGRATIONS = {
+  2: (data) => {
+    data.tasks.forEach(task => { task.status ??= 'unchecked'; });
+  },
+  3: (data) => {
+    data.tasks.forEach(task => {
+      if (task.archivedAt === undefined) {
+        task.archivedAt = task.status === 'archived' ? Date.now() : null;
+      }
+    });
+  },
+  4: (data) => {
+    data.lists.forEach(list => { list.archivedAt ??= null; });
+  },
+  5: (data) => {
+    // Same distribution as the db.js v5 upgrade
+    data.lists.forEach(list => { list.columnIndex ??= list.order % DEFAULT_COLUMN_COUNT; });
+  },
+  6: (data) => {
+    data.tasks.forEach(task => { task.dayOfWeek ??= null; });
+  },
+  7: (data) => {
+    const currentWeekStart = getWeekStart();
+    data.tasks.forEach(task => {
+      if (task.weekStart === undefined) {
+        task.weekStart = task.dayOfWeek != null ? currentWeekStart : null;
+      }
+    });
+  },
+  8: (data) => {
+    data.tasks.forEach(task => {
+      task.startTime ??= null;
+      task.durationMinutes ??= null;
+    });
+  },
+  10: (data) => {
+    // Records from older backups can't be matched to this device's, so they get new uids
+    data.lists.forEach(list => { list.uid ??= generateUid(); });
+    data.tasks.forEach(task => { task.uid ??= generateUid(); });
+  },
+  11: (data) => {
+    data.lists.forEach(list => { list.deletedAt ??= null; });
+    data.tasks.forEach(task => { task.deletedAt ??= null; });
+  },
+  12: (data) => {
+    // Print history lives in its own table and is not backed up (same as the db.js v12 upgrade)
+    data.preferences = (data.preferences ?? []).filter(preference => preference.key !== 'lastPrint');
+  },
+  13: (data) => {
+    data.tasks.forEach(task => { task.tags = parseTags(task.text); });
+  }
+};
+
+/**
+ * Build a backup of the current data
+ * @param {Date} [now=new Date()] - Export time
+ * @returns {Promise<Object>} Backup object, ready for JSON serialization
+ */
+export async function createBackup(now = new Date()) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    data: {
+      ...(await exportDatabaseData()),
+      fontSize: getFontSizePreference()
+    }
+  };
+}
+
+/**
+ * Build the default file name for a backup, e.g. 'time-blocker-backup-2025-03-03.json'
+ * @param {Date} [now=new Date()] - Export time
+ * @returns {string} File name
+ */
+export function getBackupFileName(now = new Date()) {
+  const date = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  return `${BACKUP_FORMAT}-${date}.json`;
+}
+
+/**
+ * Check that a backup has the expected shape
+ * @param {any} backup - Parsed JSON
+ * @throws {Error} If the backup is not a valid backup of a supported version
+ */
+function assertValidBackup(backup) {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    throw new Error('Invalid backup: not a Time Blocker backup file');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error(`Invalid backup: unknown version ${backup.version}`);
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`Invalid backup: version ${backup.version} is newer than this app supports (${BACKUP_VERSION})`);
+  }
+
+  const { data } = backup;
+  if (!data || !Array.isArray(data.lists) || !Array.isArray(data.tasks)) {
+    throw new Error('Invalid backup: missing lists or tasks');
+  }
+  if (data.preferences !== undefined && !Array.isArray(data.preferences)) {
+    throw new Error('Invalid backup: preferences must be an array');
+  }
+
+  const listIds = new Set();
+  for (const list of data.lists) {
+    // Lists created by dropping a task on the board stay unnamed (name null) until renamed
+    if (!list || !Number.isInteger(list.id) || (typeof list.name !== 'string' && list.name !== null) || typeof list.order !== 'number') {
+      throw new Error('Invalid backup: malformed list');
+    }
+    if (list.uid !== undefined && typeof list.uid !== 'string') {
+      throw new Error('Invalid backup: malformed list');
+    }
+    if (listIds.has(list.id)) {
+      throw new Error(`Invalid backup: duplicate list ID ${list.id}`);
+    }
+    listIds.add(list.id);
+  }
+
+  const taskIds = new Set();
+  for (const task of data.tasks) {
+    if (!task || !Number.isInteger(task.id) || typeof task.text !== 'string' || typeof task.order !== 'number') {
+      throw new Error('Invalid backup: malformed task');
+    }
+    if (task.uid !== undefined && typeof task.uid !== 'string') {
+      throw new Error('Invalid backup: malformed task');
+    }
+    if (!listIds.has(task.listId)) {
+      throw new Error(`Invalid backup: task ${task.id} belongs to missing list ${task.listId}`);
+    }
+    if (taskIds.has(task.id)) {
+      throw new Error(`Invalid backup: duplicate task ID ${task.id}`);
+    }
+    taskIds.add(task.id);
+  }
+
+  for (const preference of data.preferences ?? []) {
+    if (!preference || typeof preference.key !== 'string') {
+      throw new Error('Invalid backup: malformed preference');
+    }
+  }
+}
+
+/**
+ * Parse and validate a backup file, migrating older versions to the current one
+ * @param {string} text - Backup file contents
+ * @returns {{version: number, exportedAt: string|null, data: {lists: Array, tasks: Array, preferences: Array, fontSize: string|null}}}
+ *   The migrated backup (version is the version the file was exported with)
+ * @throws {Error} If the file is not valid JSON or not a valid backup
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid backup: not a JSON file');
+  }
+  assertValidBackup(backup);
+
+  const data = {
+    lists: backup.data.lists.map(list => ({ ...list })),
+    tasks: backup.data.tasks.map(task => ({ ...task })),
+    preferences: (backup.data.preferences ?? []).map(preference => ({ ...preference })),
+    fontSize: typeof backup.data.fontSize === 'string' ? backup.data.fontSize : null
+  };
+  for (let version = backup.version + 1; version <= BACKUP_VERSION; version++) {
+    MIGRATIONS[version]?.(data);
+  }
+
+  return { version: backup.version, exportedAt: backup.exportedAt ?? null, data };
+}
+
+/**
+ * Compare a parsed backup with this device's data (records are matched by uid)
+ * @param {ReturnType<typeof parseBackup>} backup - Backup from parseBackup
+ * @returns {Promise<import('./backupMerge.js').MergePlan>} What merging would add and which records conflict
+ */
+export async function planBackupMerge(backup) {
+  return buildMergePlan(await exportDatabaseData(), backup.data);
+}
+
+/**
+ * Restore a parsed backup
+ * 'replace' swaps all lists, tasks, preferences and the font size for the backup's;
+ * 'merge' adds the backup's new lists and tasks to the existing ones, resolves conflicting
+ * records with `resolutions` (this device's version by default) and keeps current settings.
+ * @param {ReturnType<typeof parseBackup>} backup - Backup from parseBackup
+ * @param {'replace'|'merge'} mode - Restore mode
+ * @param {Record<string, 'local'|'incoming'>} [resolutions={}] - Merge conflict resolutions by record uid
+ * @returns {Promise<{lists: number, tasks: number, updated: number}>} Number of lists and tasks added, and records updated
+ */
+export async function restoreBackup(backup, mode, resolutions = {}) {
+  const { fontSize, ...data } = backup.data;
+
+  if (mode === 'replace') {
+    await replaceDatabaseData(data);
+    if (fontSize) {
+      setFontSize(fontSize);
+    }
+    return { lists: data.lists.length, tasks: data.tasks.length, updated: 0 };
+  }
+  if (mode === 'merge') {
+    return await applyMergePlan(await planBackupMerge(backup), resolutions);
+  }
+  throw new Error(`Invalid restore mode: ${mode}`);
+}
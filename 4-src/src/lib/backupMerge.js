@@ -0,0 +1,197 @@
+/**
+ * Merge planning for backups from another device
+ * 
+ * Lists and tasks are matched by uid. Records only in the backup are added; records on both
+ * sides that differ in something the user would notice (name, column, text, status, list,
+ * day, time, repeat) become conflicts to review. Order values alone never conflict.
+ */
+
+import { DAYS_OF_WEEK } from './constants.js';
+import { getDateForDay } from './weekUtils.js';
+import { formatTaskTime } from './timeUtils.js';
+import { isSameRecurrence, describeRecurrence } from './recurrence.js';
+
+/**
+ * @typedef {Object} MergeConflictField
+ * @property {string} name - Field key (e.g. 'text', 'list')
+ * @property {string} label - Display label
+ * @property {string} local - Display value on this device
+ * @property {string} incoming - Display value in the backup
+ */
+
+/**
+ * @typedef {Object} MergeConflict
+ * @property {'list'|'task'} type - Record type
+ * @property {string} uid - Stable record ID
+ * @property {number} localId - ID of the record on this device
+ * @property {string} label - Display name of the record
+ * @property {Array<MergeConflictField>} fields - Fields that differ
+ * @property {Object} incoming - The backup's version of the record (tasks carry listUid)
+ */
+
+/**
+ * @typedef {Object} MergePlan
+ * @property {Array<Object>} newLists - Backup lists not on this device
+ * @property {Array<Object>} newTasks - Backup tasks not on this device (with listUid)
+ * @property {Array<MergeConflict>} conflicts - Records that differ
+ * @property {number} unchangedCount - Records that already match
+ * @property {Array<Object>} preferences - Backup preferences (only missing keys are added)
+ */
+
+/**
+ * Display name for a list
+ * @param {{name: string|null}} list - List object
+ * @returns {string} Name, or 'Unnamed list' for unnamed lists
+ */
+function listDisplayName(list) {
+  return list?.name || 'Unnamed list';
+}
+
+/**
+ * Display value for a task's day assignment
+ * @param {{weekStart: string|null, dayOfWeek: number|null}} task - Task object
+ * @returns {string} e.g. 'Monday, Mar 3, 2025', or 'Not scheduled'
+ */
+function formatTaskDay(task) {
+  if (task.dayOfWeek == null || !task.weekStart) {
+    return 'Not scheduled';
+  }
+  const date = getDateForDay(task.weekStart, task.dayOfWeek);
+  const label = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return `${DAYS_OF_WEEK[task.dayOfWeek]}, ${label}`;
+}
+
+/**
+ * Display value for a task's recurrence rule
+ * @param {{recurrence?: Object|null}} task - Task object
+ * @returns {string} e.g. 'Weekly on Mon, Thu', or 'Never'
+ */
+function formatTaskRecurrence(task) {
+  return task.recurrence ? describeRecurrence(task.recurrence) : 'Never';
+}
+
+/**
+ * Display value for whether a list or task is in the trash
+ * @param {{deletedAt?: number|null}} record - List or task object
+ * @returns {string} 'In trash' or 'Not deleted'
+ */
+function trashLabel(record) {
+  return record.deletedAt != null ? 'In trash' : 'Not deleted';
+}
+
+/**
+ * Compare a local list with its backup version
+ * @param {Object} local - List on this device
+ * @param {Object} incoming - List in the backup
+ * @returns {Array<MergeConflictField>} Differing fields
+ */
+function diffLists(local, incoming) {
+  const fields = [];
+  if ((local.name ?? null) !== (incoming.name ?? null)) {
+    fields.push({ name: 'name', label: 'Name', local: listDisplayName(local), incoming: listDisplayName(incoming) });
+  }
+  if (local.columnIndex !== incoming.columnIndex) {
+    fields.push({ name: 'columnIndex', label: 'Column', local: `Column ${local.columnIndex + 1}`, incoming: `Column ${incoming.columnIndex + 1}` });
+  }
+  if ((local.archivedAt != null) !== (incoming.archivedAt != null)) {
+    const archivedLabel = (list) => (list.archivedAt != null ? 'Archived' : 'Active');
+    fields.push({ name: 'archived', label: 'Archived', local: archivedLabel(local), incoming: archivedLabel(incoming) });
+  }
+  if ((local.deletedAt != null) !== (incoming.deletedAt != null)) {
+    fields.push({ name: 'deleted', label: 'Trash', local: trashLabel(local), incoming: trashLabel(incoming) });
+  }
+  return fields;
+}
+
+/**
+ * Compare a local task with its backup version
+ * @param {Object} local - Task on this device (with listUid)
+ * @param {Object} incoming - Task in the backup (with listUid)
+ * @param {Map<string, Object>} listsByUid - Lists from both sides by uid, for display names
+ * @returns {Array<MergeConflictField>} Differing fields
+ */
+function diffTasks(local, incoming, listsByUid) {
+  const fields = [];
+  if (local.text !== incoming.text) {
+    fields.push({ name: 'text', label: 'Text', local: local.text, incoming: incoming.text });
+  }
+  if (local.status !== incoming.status) {
+    fields.push({ name: 'status', label: 'Status', local: local.status, incoming: incoming.status });
+  }
+  if (local.listUid !== incoming.listUid) {
+    fields.push({
+      name: 'list',
+      label: 'List',
+      local: listDisplayName(listsByUid.get(local.listUid)),
+      incoming: listDisplayName(listsByUid.get(incoming.listUid))
+    });
+  }
+  if ((local.weekStart ?? null) !== (incoming.weekStart ?? null) || (local.dayOfWeek ?? null) !== (incoming.dayOfWeek ?? null)) {
+    fields.push({ name: 'day', label: 'Day', local: formatTaskDay(local), incoming: formatTaskDay(incoming) });
+  }
+  if ((local.startTime ?? null) !== (incoming.startTime ?? null) || (local.durationMinutes ?? null) !== (incoming.durationMinutes ?? null)) {
+    fields.push({ name: 'time', label: 'Time', local: formatTaskTime(local) || 'No time', incoming: formatTaskTime(incoming) || 'No time' });
+  }
+  if (!isSameRecurrence(local.recurrence ?? null, incoming.recurrence ?? null)) {
+    fields.push({ name: 'recurrence', label: 'Repeat', local: formatTaskRecurrence(local), incoming: formatTaskRecurrence(incoming) });
+  }
+  if ((local.deletedAt != null) !== (incoming.deletedAt != null)) {
+    fields.push({ name: 'deleted', label: 'Trash', local: trashLabel(local), incoming: trashLabel(incoming) });
+  }
+  return fields;
+}
+
+/**
+ * Attach the uid of each task's list, so tasks can be compared across databases
+ * @param {Array<Object>} tasks - Tasks with listId
+ * @param {Array<Object>} lists - Lists the listIds refer to
+ * @returns {Array<Object>} Copies of the tasks with listUid
+ */
+function withListUids(tasks, lists) {
+  const uidsById = new Map(lists.map(list => [list.id, list.uid]));
+  return tasks.map(task => ({ ...task, listUid: uidsById.get(task.listId) ?? null }));
+}
+
+/**
+ * Work out what merging backup data into this device's data would change
+ * @param {{lists: Array, tasks: Array}} local - Data on this device
+ * @param {{lists: Array, tasks: Array, preferences?: Array}} incoming - Migrated backup data (records have uids)
+ * @returns {MergePlan} The merge plan
+ */
+export function buildMergePlan(local, incoming) {
+  const localListsByUid = new Map(local.lists.filter(list => list.uid).map(list => [list.uid, list]));
+  const localTasksByUid = new Map(withListUids(local.tasks, local.lists).filter(task => task.uid).map(task => [task.uid, task]));
+  const listsByUid = new Map([...incoming.lists.map(list => [list.uid, list]), ...localListsByUid]);
+
+  const plan = { newLists: [], newTasks: [], conflicts: [], unchangedCount: 0, preferences: incoming.preferences ?? [] };
+
+  for (const list of incoming.lists) {
+    const localList = localListsByUid.get(list.uid);
+    if (!localList) {
+      plan.newLists.push(list);
+      continue;
+    }
+    const fields = diffLists(localList, list);
+    if (fields.length === 0) {
+      plan.unchangedCount++;
+    } else {
+      plan.conflicts.push({ type: 'list', uid: list.uid, localId: localList.id, label: `List "${listDisplayName(localList)}"`, fields, incoming: list });
+    }
+  }
+
+  for (const task of withListUids(incoming.tasks, incoming.lists)) {
+    const localTask = localTasksByUid.get(task.uid);
+    if (!localTask) {
+      plan.newTasks.push(task);
+      continue;
+    }
+    const fields = diffTasks(localTask, task, listsByUid);
+    if (fields.length === 0) {
+      plan.unchangedCount++;
+    } else {
+      plan.conflicts.push({ type: 'task', uid: task.uid, localId: localTask.id, label: `Task "${localTask.text || 'blank task'}"`, fields, incoming: task });
+    }
+  }
+
+  return plan;
+}
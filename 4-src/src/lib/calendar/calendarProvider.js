@@ -0,0 +1,79 @@
+/**
+ * Calendar provider interface and registry
+ * 
+ * Calendar integrations are read-only: a provider knows how to authorize and how to
+ * fetch events, and calendarSync.js stores what it returns in the calendarEvents table.
+ * New calendar services are added by registering another provider object.
+ */
+
+/**
+ * A calendar event normalized for local storage and display
+ * @typedef {Object} CalendarEvent
+ * @property {string} externalId - The event's ID at the provider
+ * @property {string} title - Event title
+ * @property {string} date - Local start date ('YYYY-MM-DD')
+ * @property {string|null} startTime - Local start time ('HH:MM'), null for all-day events
+ * @property {number|null} durationMinutes - Duration in minutes, null for all-day events
+ * @property {boolean} allDay - Whether the event lasts the whole day
+ */
+
+/**
+ * Result of a provider event fetch
+ * @typedef {Object} CalendarFetchResult
+ * @property {Array<CalendarEvent>} events - Created or updated events
+ * @property {Array<string>} deletedIds - External IDs of events removed at the provider
+ * @property {string|null} nextSyncToken - Token for the next incremental fetch
+ * @property {boolean} fullSync - True if events is the complete set (replaces stored events)
+ */
+
+/**
+ * @typedef {Object} CalendarProvider
+ * @property {string} id - Unique provider ID, also used as the event source and sync state key
+ * @property {string} name - Display name (e.g. 'Google Calendar')
+ * @property {() => boolean} isConfigured - Whether the provider has the settings it needs (e.g. a client ID)
+ * @property {() => Promise<boolean>} isConnected - Whether the user has authorized the provider
+ * @property {() => Promise<string>} beginAuthorization - Prepare authorization and return the URL to navigate to
+ * @property {(url: URL) => Promise<boolean>} completeAuthorization - Finish authorization from a redirect URL; false if the URL is not a redirect for this provider
+ * @property {() => Promise<void>} disconnect - Forget stored credentials
+ * @property {(options: {syncToken: string|null}) => Promise<CalendarFetchResult>} fetchEvents - Fetch events (incrementally when a sync token is given)
+ */
+
+const providers = new Map();
+
+/**
+ * Register a calendar provider (replaces any provider with the same ID)
+ * @param {CalendarProvider} provider - The provider to register
+ * @returns {void}
+ */
+export function registerCalendarProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' || typeof provider.fetchEvents !== 'function') {
+    throw new Error('Invalid calendar provider');
+  }
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Remove a registered calendar provider
+ * @param {string} id - The provider ID
+ * @returns {void}
+ */
+export function unregisterCalendarProvider(id) {
+  providers.delete(id);
+}
+
+/**
+ * Look up a registered calendar provider
+ * @param {string} id - The provider ID
+ * @returns {CalendarProvider|null} The provider, or null if not registered
+ */
+export function getCalendarProvider(id) {
+  return providers.get(id) ?? null;
+}
+
+/**
+ * List all registered calendar providers
+ * @returns {Array<CalendarProvider>} Registered providers in registration order
+ */
+export function getCalendarProviders() {
+  return [...providers.values()];
+}
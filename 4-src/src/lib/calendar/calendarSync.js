@@ -0,0 +1,79 @@
+/**
+ * Calendar sync
+ * 
+ * Connects registered calendar providers to the calendarEvents table: full syncs replace a
+ * source's stored events, incremental syncs apply changes, and the provider's sync token and
+ * last sync time are kept in calendarSyncState under the provider ID.
+ */
+
+import { registerCalendarProvider, getCalendarProviders } from './calendarProvider.js';
+import { createGoogleCalendarProvider } from './googleCalendarProvider.js';
+import { getGoogleCalendarConfig } from './config.js';
+import {
+  replaceCalendarEvents,
+  applyCalendarEventChanges,
+  deleteCalendarEvents,
+  getCalendarSyncState,
+  setCalendarSyncState,
+  deleteCalendarSyncState
+} from '../dataAccess.js';
+
+/**
+ * Fetch events from a provider and store them
+ * @param {import('./calendarProvider.js').CalendarProvider} provider - The provider to sync
+ * @returns {Promise<void>}
+ */
+export async function syncCalendarProvider(provider) {
+  const syncState = await getCalendarSyncState(provider.id);
+  const result = await provider.fetchEvents({ syncToken: syncState?.syncToken ?? null });
+
+  if (result.fullSync) {
+    await replaceCalendarEvents(provider.id, result.events);
+  } else {
+    await applyCalendarEventChanges(provider.id, result.events, result.deletedIds);
+  }
+
+  await setCalendarSyncState(provider.id, {
+    syncToken: result.nextSyncToken,
+    lastSyncAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Disconnect a provider and remove everything stored for it
+ * @param {import('./calendarProvider.js').CalendarProvider} provider - The provider to disconnect
+ * @returns {Promise<void>}
+ */
+export async function disconnectCalendarProvider(provider) {
+  await provider.disconnect();
+  await deleteCalendarEvents(provider.id);
+  await deleteCalendarSyncState(provider.id);
+}
+
+/**
+ * Register the configured providers, finish a pending authorization redirect,
+ * and sync every connected provider. Sync errors are logged, not thrown,
+ * so a calendar outage never blocks the app from starting.
+ * @returns {Promise<void>}
+ */
+export async function initializeCalendars() {
+  const googleProvider = createGoogleCalendarProvider(getGoogleCalendarConfig());
+  if (googleProvider.isConfigured()) {
+    registerCalendarProvider(googleProvider);
+  }
+
+  const currentUrl = new URL(window.location.href);
+  for (const provider of getCalendarProviders()) {
+    try {
+      if (await provider.completeAuthorization(currentUrl)) {
+        // Remove the code and state from the address bar
+        window.history.replaceState(null, '', `${currentUrl.origin}${currentUrl.pathname}`);
+      }
+      if (await provider.isConnected()) {
+        await syncCalendarProvider(provider);
+      }
+    } catch (error) {
+      console.error(`Error syncing ${provider.name}:`, error);
+    }
+  }
+}
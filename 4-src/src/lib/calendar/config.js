@@ -0,0 +1,38 @@
+/**
+ * Calendar provider configuration
+ * 
+ * Values come from Vite env variables so a local mock server can stand in for Google:
+ * - VITE_GOOGLE_CLIENT_ID: OAuth client ID (the Google provider is disabled without it)
+ * - VITE_GOOGLE_CLIENT_SECRET: Optional; only for OAuth clients that require one with PKCE
+ * - VITE_GOOGLE_AUTH_URL: Authorization endpoint
+ * - VITE_GOOGLE_TOKEN_URL: Token endpoint
+ * - VITE_GOOGLE_CALENDAR_API_BASE_URL: Calendar API v3 base URL
+ */
+
+export const GOOGLE_DEFAULTS = {
+  authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+  tokenUrl: 'https://oauth2.googleapis.com/token',
+  apiBaseUrl: 'https://www.googleapis.com/calendar/v3',
+  scope: 'https://www.googleapis.com/auth/calendar.readonly'
+};
+
+/**
+ * Build the Google Calendar provider configuration from env variables
+ * @param {Record<string, string|undefined>} [env=import.meta.env] - Env variables
+ * @returns {{clientId: string, clientSecret: string, authUrl: string, tokenUrl: string, apiBaseUrl: string, scope: string, redirectUri: string}}
+ */
+export function getGoogleCalendarConfig(env = import.meta.env) {
+  const redirectUri = typeof window !== 'undefined'
+    ? new URL(env.BASE_URL || '/', window.location.origin).href
+    : '';
+
+  return {
+    clientId: env.VITE_GOOGLE_CLIENT_ID || '',
+    clientSecret: env.VITE_GOOGLE_CLIENT_SECRET || '',
+    authUrl: env.VITE_GOOGLE_AUTH_URL || GOOGLE_DEFAULTS.authUrl,
+    tokenUrl: env.VITE_GOOGLE_TOKEN_URL || GOOGLE_DEFAULTS.tokenUrl,
+    apiBaseUrl: env.VITE_GOOGLE_CALENDAR_API_BASE_URL || GOOGLE_DEFAULTS.apiBaseUrl,
+    scope: GOOGLE_DEFAULTS.scope,
+    redirectUri
+  };
+}
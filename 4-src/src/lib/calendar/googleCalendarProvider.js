@@ -0,0 +1,285 @@
+/**
+ * Google Calendar provider (read-only)
+ * 
+ * Authorizes with OAuth 2.0 authorization code + PKCE and reads the primary calendar
+ * through the Calendar API v3 events endpoint, using sync tokens for incremental syncs.
+ * All endpoints come from the config so tests can point the provider at a mock server.
+ */
+
+import { generateCodeVerifier, createCodeChallenge, generateRandomString } from './pkce.js';
+import { getCalendarSyncState, setCalendarSyncState, deleteCalendarSyncState } from '../dataAccess.js';
+import { toDateString } from '../weekUtils.js';
+
+const PROVIDER_ID = 'google';
+const AUTH_STATE_KEY = `${PROVIDER_ID}:auth`; // calendarSyncState key for OAuth tokens
+const PENDING_AUTH_STORAGE_KEY = 'calendarAuth:google'; // sessionStorage key for verifier/state during redirect
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000; // Refresh tokens a minute before they expire
+const FULL_SYNC_LOOKBACK_DAYS = 28; // Full syncs fetch events from four weeks ago onwards
+const MAX_RESULTS = 250;
+
+/**
+ * Convert a Google Calendar API event to a normalized calendar event
+ * @param {Object} googleEvent - Event resource from the Calendar API
+ * @returns {import('./calendarProvider.js').CalendarEvent} Normalized event
+ */
+export function normalizeGoogleEvent(googleEvent) {
+  const title = googleEvent.summary || '(No title)';
+
+  // All-day events use date-only values
+  if (googleEvent.start?.date) {
+    return {
+      externalId: googleEvent.id,
+      title,
+      date: googleEvent.start.date,
+      startTime: null,
+      durationMinutes: null,
+      allDay: true
+    };
+  }
+
+  const start = new Date(googleEvent.start.dateTime);
+  const end = googleEvent.end?.dateTime ? new Date(googleEvent.end.dateTime) : null;
+  const durationMinutes = end ? Math.round((end.getTime() - start.getTime()) / 60000) : null;
+
+  return {
+    externalId: googleEvent.id,
+    title,
+    date: toDateString(start),
+    startTime: `${String(start.getHours()).padStart(2, '0')}:${String(start.getMinutes()).padStart(2, '0')}`,
+    durationMinutes: durationMinutes && durationMinutes > 0 ? durationMinutes : null,
+    allDay: false
+  };
+}
+
+/**
+ * Create the Google Calendar provider
+ * 
+ * @param {Object} config - Provider configuration (see config.js)
+ * @param {string} config.clientId - OAuth client ID
+ * @param {string} [config.clientSecret] - OAuth client secret, if the client type requires one
+ * @param {string} config.authUrl - Authorization endpoint
+ * @param {string} config.tokenUrl - Token endpoint
+ * @param {string} config.apiBaseUrl - Calendar API v3 base URL
+ * @param {string} config.scope - OAuth scope
+ * @param {string} config.redirectUri - Redirect URI registered for the client
+ * @param {Function} [config.fetch] - fetch implementation (defaults to globalThis.fetch)
+ * @param {Storage} [config.storage] - Storage for the pending PKCE verifier (defaults to sessionStorage)
+ * @param {() => number} [config.now] - Clock (defaults to Date.now)
+ * @returns {import('./calendarProvider.js').CalendarProvider} The provider
+ */
+export function createGoogleCalendarProvider(config) {
+  const {
+    clientId,
+    clientSecret = '',
+    authUrl,
+    tokenUrl,
+    apiBaseUrl,
+    scope,
+    redirectUri,
+    fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+    storage = globalThis.sessionStorage,
+    now = () => Date.now()
+  } = config;
+
+  /**
+   * POST a form to the token endpoint and store the resulting tokens
+   * @param {Record<string, string>} params - Form parameters
+   * @returns {Promise<void>}
+   */
+  async function requestTokens(params) {
+    const body = new URLSearchParams({ client_id: clientId, ...params });
+    if (clientSecret) {
+      body.set('client_secret', clientSecret);
+    }
+
+    const response = await fetchImpl(tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: body.toString()
+    });
+    if (!response.ok) {
+      throw new Error(`Google token request failed: ${response.status}`);
+    }
+
+    const tokens = await response.json();
+    const existing = await getCalendarSyncState(AUTH_STATE_KEY);
+    await setCalendarSyncState(AUTH_STATE_KEY, {
+      accessToken: tokens.access_token,
+      // Refresh responses usually omit the refresh token - keep the one we have
+      refreshToken: tokens.refresh_token || existing?.refreshToken || null,
+      expiresAt: now() + (tokens.expires_in ?? 3600) * 1000
+    });
+  }
+
+  /**
+   * Get a valid access token, refreshing it if it is about to expire
+   * @param {boolean} [forceRefresh=false] - Refresh even if the token has not expired
+   * @returns {Promise<string>} Access token
+   */
+  async function getAccessToken(forceRefresh = false) {
+    const auth = await getCalendarSyncState(AUTH_STATE_KEY);
+    if (!auth?.accessToken) {
+      throw new Error('Google Calendar is not connected');
+    }
+
+    const isExpired = auth.expiresAt - TOKEN_EXPIRY_MARGIN_MS <= now();
+    if (!forceRefresh && !isExpired) {
+      return auth.accessToken;
+    }
+    if (!auth.refreshToken) {
+      throw new Error('Google Calendar authorization expired');
+    }
+
+    await requestTokens({ grant_type: 'refresh_token', refresh_token: auth.refreshToken });
+    const refreshed = await getCalendarSyncState(AUTH_STATE_KEY);
+    return refreshed.accessToken;
+  }
+
+  /**
+   * GET a Calendar API URL with the access token, retrying once after a token refresh on 401
+   * @param {URL} url - Request URL
+   * @returns {Promise<Response>} The response
+   */
+  async function authorizedGet(url) {
+    let accessToken = await getAccessToken();
+    let response = await fetchImpl(url.toString(), {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    if (response.status === 401) {
+      accessToken = await getAccessToken(true);
+      response = await fetchImpl(url.toString(), {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+    }
+    return response;
+  }
+
+  /**
+   * Fetch all pages of the events list
+   * @param {string|null} syncToken - Sync token from the previous fetch (null for a full sync)
+   * @returns {Promise<{items: Array, nextSyncToken: string|null} | null>} Items, or null if the sync token expired
+   */
+  async function fetchAllPages(syncToken) {
+    const items = [];
+    let pageToken = null;
+
+    do {
+      const url = new URL(`${apiBaseUrl.replace(/\/$/, '')}/calendars/primary/events`);
+      url.searchParams.set('singleEvents', 'true');
+      url.searchParams.set('maxResults', String(MAX_RESULTS));
+      if (syncToken) {
+        url.searchParams.set('syncToken', syncToken);
+      } else {
+        const timeMin = new Date(now() - FULL_SYNC_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+        url.searchParams.set('timeMin', timeMin.toISOString());
+      }
+      if (pageToken) {
+        url.searchParams.set('pageToken', pageToken);
+      }
+
+      const response = await authorizedGet(url);
+      // 410 Gone: the sync token is no longer valid and a full sync is required
+      if (response.status === 410 && syncToken) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Google Calendar events request failed: ${response.status}`);
+      }
+
+      const page = await response.json();
+      items.push(...(page.items || []));
+      pageToken = page.nextPageToken || null;
+      if (!pageToken) {
+        return { items, nextSyncToken: page.nextSyncToken || null };
+      }
+    } while (pageToken);
+
+    return { items, nextSyncToken: null };
+  }
+
+  return {
+    id: PROVIDER_ID,
+    name: 'Google Calendar',
+
+    isConfigured() {
+      return Boolean(clientId);
+    },
+
+    async isConnected() {
+      const auth = await getCalendarSyncState(AUTH_STATE_KEY);
+      return Boolean(auth?.accessToken);
+    },
+
+    async beginAuthorization() {
+      const codeVerifier = generateCodeVerifier();
+      const state = generateRandomString(16);
+      storage.setItem(PENDING_AUTH_STORAGE_KEY, JSON.stringify({ codeVerifier, state }));
+
+      const url = new URL(authUrl);
+      url.searchParams.set('client_id', clientId);
+      url.searchParams.set('redirect_uri', redirectUri);
+      url.searchParams.set('response_type', 'code');
+      url.searchParams.set('scope', scope);
+      url.searchParams.set('code_challenge', await createCodeChallenge(codeVerifier));
+      url.searchParams.set('code_challenge_method', 'S256');
+      url.searchParams.set('state', state);
+      url.searchParams.set('access_type', 'offline'); // Request a refresh token
+      url.searchParams.set('prompt', 'consent');
+      return url.toString();
+    },
+
+    async completeAuthorization(url) {
+      const pendingJson = storage.getItem(PENDING_AUTH_STORAGE_KEY);
+      const returnedState = url.searchParams.get('state');
+      if (!pendingJson || !returnedState) {
+        return false; // Not a redirect from our authorization request
+      }
+
+      const pending = JSON.parse(pendingJson);
+      if (pending.state !== returnedState) {
+        return false;
+      }
+      storage.removeItem(PENDING_AUTH_STORAGE_KEY);
+
+      const error = url.searchParams.get('error');
+      if (error) {
+        throw new Error(`Google Calendar authorization failed: ${error}`);
+      }
+
+      await requestTokens({
+        grant_type: 'authorization_code',
+        code: url.searchParams.get('code') || '',
+        code_verifier: pending.codeVerifier,
+        redirect_uri: redirectUri
+      });
+      return true;
+    },
+
+    async disconnect() {
+      await deleteCalendarSyncState(AUTH_STATE_KEY);
+    },
+
+    async fetchEvents({ syncToken = null } = {}) {
+      let result = await fetchAllPages(syncToken);
+      let fullSync = !syncToken;
+      if (result === null) {
+        // Sync token expired - start over with a full sync
+        result = await fetchAllPages(null);
+        fullSync = true;
+      }
+
+      const events = [];
+      const deletedIds = [];
+      for (const item of result.items) {
+        if (item.status === 'cancelled') {
+          deletedIds.push(item.id);
+        } else if (item.start) {
+          events.push(normalizeGoogleEvent(item));
+        }
+      }
+
+      return { events, deletedIds, nextSyncToken: result.nextSyncToken, fullSync };
+    }
+  };
+}
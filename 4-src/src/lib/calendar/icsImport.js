@@ -0,0 +1,87 @@
+/**
+ * .ics file import
+ * 
+ * Imported files are stored as calendar sources named 'ics:<file name>'. Re-importing a file
+ * with the same name replaces its events; the file's import details live in calendarSyncState
+ * under the same key.
+ */
+
+import { parseIcs } from './icsParser.js';
+import { readFileText } from '../fileUtils.js';
+import {
+  replaceCalendarEvents,
+  deleteCalendarEvents,
+  setCalendarSyncState,
+  deleteCalendarSyncState,
+  getCalendarSyncStatesWithPrefix
+} from '../dataAccess.js';
+
+export const ICS_SOURCE_PREFIX = 'ics:';
+const RECURRENCE_WEEKS_BEFORE = 52; // Recurring events are expanded from a year ago...
+const RECURRENCE_WEEKS_AFTER = 104; // ...to two years ahead
+
+/**
+ * Get the calendar source ID for an imported file
+ * @param {string} fileName - The file name
+ * @returns {string} Source ID
+ */
+export function getIcsSource(fileName) {
+  return `${ICS_SOURCE_PREFIX}${fileName}`;
+}
+
+/**
+ * Check whether a file looks like an iCalendar file
+ * @param {File} file - The file to check
+ * @returns {boolean} True for .ics files or text/calendar content
+ */
+export function isIcsFile(file) {
+  return file.type === 'text/calendar' || /\.ics$/i.test(file.name);
+}
+
+/**
+ * Import an .ics file, replacing any earlier import of a file with the same name
+ * @param {File} file - The .ics file
+ * @param {Date} [now=new Date()] - Reference date for expanding recurring events
+ * @returns {Promise<number>} The number of events imported
+ */
+export async function importIcsFile(file, now = new Date()) {
+  if (!isIcsFile(file)) {
+    throw new Error(`Not an .ics file: ${file.name}`);
+  }
+
+  const text = await readFileText(file);
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error(`Not a valid calendar file: ${file.name}`);
+  }
+
+  const rangeStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - RECURRENCE_WEEKS_BEFORE * 7);
+  const rangeEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate() + RECURRENCE_WEEKS_AFTER * 7);
+  const events = parseIcs(text, { rangeStart, rangeEnd });
+
+  const source = getIcsSource(file.name);
+  await replaceCalendarEvents(source, events);
+  await setCalendarSyncState(source, {
+    fileName: file.name,
+    importedAt: now.toISOString(),
+    eventCount: events.length
+  });
+  return events.length;
+}
+
+/**
+ * Remove an imported file and its events
+ * @param {string} source - Source ID of the import (see getIcsSource)
+ * @returns {Promise<void>}
+ */
+export async function removeIcsImport(source) {
+  await deleteCalendarEvents(source);
+  await deleteCalendarSyncState(source);
+}
+
+/**
+ * List imported .ics files
+ * @returns {Promise<Array<{key: string, fileName: string, importedAt: string, eventCount: number}>>} Imports ordered by source ID
+ */
+export async function getIcsImports() {
+  return await getCalendarSyncStatesWithPrefix(ICS_SOURCE_PREFIX);
+}
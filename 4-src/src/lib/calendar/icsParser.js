@@ -0,0 +1,501 @@
+/**
+ * iCalendar (.ics) parser
+ * 
+ * Reads VEVENTs from an iCalendar file and turns them into normalized calendar events
+ * (see calendarProvider.js). Supports TZID time zones (via Intl), UTC and floating times,
+ * all-day events, DTEND/DURATION, RRULE recurrences (DAILY/WEEKLY/MONTHLY/YEARLY with
+ * INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH), EXDATE and RECURRENCE-ID overrides.
+ * Recurrences are expanded into one event per occurrence within a date range.
+ */
+
+import { toDateString } from '../weekUtils.js';
+
+const MAX_RECURRENCE_PERIODS = 5000; // Safety cap on RRULE iterations
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Indexed like Date.getUTCDay()
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Unfold folded lines and split the file into content lines
+ * @param {string} text - Raw .ics file contents
+ * @returns {Array<{name: string, params: Record<string, string>, value: string}>} Parsed content lines
+ */
+function parseContentLines(text) {
+  const unfolded = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+  const lines = [];
+
+  for (const line of unfolded.split('\n')) {
+    if (!line.trim()) continue;
+
+    // The value starts at the first colon outside a quoted parameter value
+    let inQuotes = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        colonIndex = i;
+        break;
+      }
+    }
+    if (colonIndex === -1) continue;
+
+    const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+    const params = {};
+    for (const part of paramParts) {
+      const [paramName, ...paramValue] = part.split('=');
+      params[paramName.toUpperCase()] = paramValue.join('=').replace(/^"|"$/g, '');
+    }
+    lines.push({ name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) });
+  }
+
+  return lines;
+}
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Get the offset of a time zone from UTC at an instant
+ * @param {string} timeZone - IANA time zone name
+ * @param {number} utcMs - The instant in milliseconds since the epoch
+ * @returns {number} Offset in milliseconds (local time minus UTC)
+ */
+function getTimeZoneOffset(timeZone, utcMs) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(utcMs));
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Check whether Intl knows a time zone name
+ * @param {string} timeZone - Time zone name from a TZID parameter
+ * @returns {boolean} True if the zone can be used for conversion
+ */
+function isSupportedTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert a wall-clock time to an instant
+ * @param {{year: number, month: number, day: number, hour: number, minute: number, second: number}} wall - Wall-clock time (month 1-12)
+ * @param {string|null} timeZone - 'UTC', an IANA zone, or null for floating (local) time
+ * @returns {number} Milliseconds since the epoch
+ */
+function wallTimeToInstant(wall, timeZone) {
+  const { year, month, day, hour, minute, second } = wall;
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hour, minute, second).getTime();
+  }
+
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (timeZone === 'UTC') {
+    return asUtc;
+  }
+
+  // Guess with the offset at the wall time, then correct once for DST transitions
+  let instant = asUtc - getTimeZoneOffset(timeZone, asUtc);
+  instant = asUtc - getTimeZoneOffset(timeZone, instant);
+  return instant;
+}
+
+/**
+ * Parse a DATE or DATE-TIME property
+ * @param {{params: Record<string, string>, value: string}} line - Content line
+ * @param {string|null} [fallbackTimeZone=null] - Zone for floating values
+ * @returns {{wall: Object, allDay: boolean, timeZone: string|null} | null} Parsed value, or null if invalid
+ */
+function parseDateValue(line, fallbackTimeZone = null) {
+  const match = line.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const allDay = line.params.VALUE === 'DATE' || hour === undefined;
+  let timeZone = fallbackTimeZone;
+  if (utc) {
+    timeZone = 'UTC';
+  } else if (line.params.TZID) {
+    timeZone = isSupportedTimeZone(line.params.TZID) ? line.params.TZID : null;
+  }
+
+  return {
+    wall: {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: allDay ? 0 : Number(hour),
+      minute: allDay ? 0 : Number(minute),
+      second: allDay ? 0 : Number(second || 0)
+    },
+    allDay,
+    timeZone: allDay ? null : timeZone
+  };
+}
+
+/**
+ * Parse an iCalendar DURATION value (e.g. 'PT1H30M', 'P1D')
+ * @param {string} value - Duration value
+ * @returns {number|null} Duration in milliseconds, or null if invalid
+ */
+function parseDuration(value) {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 24 * 3600
+    + Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Parse an RRULE value into its parts
+ * @param {string} value - RRULE value (e.g. 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10')
+ * @returns {Record<string, string>} Rule parts keyed by name
+ */
+function parseRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [name, partValue] = part.split('=');
+    if (name && partValue !== undefined) {
+      rule[name.toUpperCase()] = partValue.toUpperCase();
+    }
+  }
+  return rule;
+}
+
+/**
+ * Build a day number (days since the epoch) for calendar date arithmetic
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {number} Day number
+ */
+function dayNumber(year, month, day) {
+  return Math.round(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+}
+
+/**
+ * Convert a day number back into a calendar date
+ * @param {number} number - Day number
+ * @returns {{year: number, month: number, day: number, weekday: number}} Date parts (weekday 0 = Sunday)
+ */
+function fromDayNumber(number) {
+  const date = new Date(number * MS_PER_DAY);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+}
+
+/**
+ * Days of a month matching BYDAY (e.g. 'MO', '2TU', '-1FR') or BYMONTHDAY rules
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {Record<string, string>} rule - Parsed RRULE
+ * @param {number} defaultDay - Day of month to use without BYDAY/BYMONTHDAY
+ * @returns {Array<number>} Sorted day numbers within the month
+ */
+function getMonthDays(year, month, rule, defaultDay) {
+  const first = dayNumber(year, month, 1);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const days = new Set();
+
+  if (rule.BYMONTHDAY) {
+    for (const part of rule.BYMONTHDAY.split(',')) {
+      const value = Number(part);
+      const day = value < 0 ? daysInMonth + value + 1 : value;
+      if (day >= 1 && day <= daysInMonth) days.add(first + day - 1);
+    }
+  } else if (rule.BYDAY) {
+    for (const part of rule.BYDAY.split(',')) {
+      const match = part.match(/^([+-]?\d+)?([A-Z]{2})$/);
+      if (!match) continue;
+      const weekday = WEEKDAY_CODES.indexOf(match[2]);
+      const matching = [];
+      for (let day = 0; day < daysInMonth; day++) {
+        if (fromDayNumber(first + day).weekday === weekday) matching.push(first + day);
+      }
+      if (match[1]) {
+        const ordinal = Number(match[1]);
+        const picked = ordinal < 0 ? matching[matching.length + ordinal] : matching[ordinal - 1];
+        if (picked !== undefined) days.add(picked);
+      } else {
+        matching.forEach(day => days.add(day));
+      }
+    }
+  } else if (defaultDay <= daysInMonth) {
+    days.add(first + defaultDay - 1);
+  }
+
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Expand an RRULE into occurrence start dates (as day numbers), in order
+ * @param {Object} start - Wall-clock start of the first occurrence
+ * @param {Record<string, string>} rule - Parsed RRULE
+ * @param {(dayNum: number) => boolean} isPastEnd - Returns true once a day is past UNTIL or the range end
+ * @returns {Array<number>} Day numbers of occurrences (the first is always the start day)
+ */
+function expandRuleDays(start, rule, isPastEnd) {
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+  const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+  const startDay = dayNumber(start.year, start.month, start.day);
+  const occurrences = [];
+
+  /** Add candidate days in order; returns false once iteration should stop */
+  const addDays = (candidates) => {
+    for (const day of candidates) {
+      if (day < startDay) continue;
+      if (occurrences.length >= count || isPastEnd(day)) return false;
+      occurrences.push(day);
+    }
+    return true;
+  };
+
+  for (let period = 0; period < MAX_RECURRENCE_PERIODS; period++) {
+    let candidates;
+    if (rule.FREQ === 'DAILY') {
+      candidates = [startDay + period * interval];
+    } else if (rule.FREQ === 'WEEKLY') {
+      if (rule.BYDAY) {
+        // Weeks start on Monday (WKST default)
+        const weekStartDay = startDay - ((fromDayNumber(startDay).weekday + 6) % 7) + period * interval * 7;
+        const weekdays = rule.BYDAY.split(',').map(code => WEEKDAY_CODES.indexOf(code.slice(-2))).filter(day => day !== -1);
+        candidates = weekdays.map(weekday => weekStartDay + ((weekday + 6) % 7)).sort((a, b) => a - b);
+      } else {
+        candidates = [startDay + period * interval * 7];
+      }
+    } else if (rule.FREQ === 'MONTHLY') {
+      const monthIndex = start.month - 1 + period * interval;
+      candidates = getMonthDays(start.year + Math.floor(monthIndex / 12), (monthIndex % 12) + 1, rule, start.day);
+    } else if (rule.FREQ === 'YEARLY') {
+      const year = start.year + period * interval;
+      const months = rule.BYMONTH ? rule.BYMONTH.split(',').map(Number).sort((a, b) => a - b) : [start.month];
+      candidates = months.flatMap(month => getMonthDays(year, month, rule, start.day));
+    } else {
+      // Unsupported frequency: keep just the first occurrence
+      return [startDay];
+    }
+
+    if (!addDays(candidates)) break;
+  }
+
+  return occurrences;
+}
+
+/**
+ * Build a normalized event for one occurrence
+ * @param {Object} vevent - Parsed VEVENT
+ * @param {{wall: Object, allDay: boolean, timeZone: string|null}} start - Occurrence start
+ * @param {string} externalId - External ID for the occurrence
+ * @returns {import('./calendarProvider.js').CalendarEvent} Normalized event
+ */
+function toCalendarEvent(vevent, start, externalId) {
+  if (start.allDay) {
+    const { year, month, day } = start.wall;
+    return {
+      externalId,
+      title: vevent.title,
+      date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+      startTime: null,
+      durationMinutes: null,
+      allDay: true
+    };
+  }
+
+  const instant = new Date(wallTimeToInstant(start.wall, start.timeZone));
+  const durationMinutes = vevent.durationMs ? Math.round(vevent.durationMs / 60000) : null;
+  return {
+    externalId,
+    title: vevent.title,
+    date: toDateString(instant),
+    startTime: `${String(instant.getHours()).padStart(2, '0')}:${String(instant.getMinutes()).padStart(2, '0')}`,
+    durationMinutes: durationMinutes && durationMinutes > 0 ? durationMinutes : null,
+    allDay: false
+  };
+}
+
+/**
+ * Key identifying an occurrence by its start, used to match EXDATE and RECURRENCE-ID
+ * @param {{wall: Object, allDay: boolean, timeZone: string|null}} start - Occurrence start
+ * @returns {string} Occurrence key (instant for timed events, date for all-day events)
+ */
+function occurrenceKey(start) {
+  if (start.allDay) {
+    const { year, month, day } = start.wall;
+    return `${year}-${month}-${day}`;
+  }
+  return String(wallTimeToInstant(start.wall, start.timeZone));
+}
+
+/**
+ * Collect the properties of each VEVENT in the file
+ * @param {string} text - Raw .ics file contents
+ * @returns {Array<Object>} VEVENTs with the properties the importer uses
+ */
+function readVEvents(text) {
+  const vevents = [];
+  let current = null;
+  let nestedDepth = 0; // VALARMs etc. inside a VEVENT
+
+  for (const line of parseContentLines(text)) {
+    if (line.name === 'BEGIN') {
+      if (line.value.toUpperCase() === 'VEVENT' && !current) {
+        current = { exdates: [] };
+      } else if (current) {
+        nestedDepth++;
+      }
+      continue;
+    }
+    if (line.name === 'END') {
+      if (current && nestedDepth > 0) {
+        nestedDepth--;
+      } else if (current && line.value.toUpperCase() === 'VEVENT') {
+        vevents.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (!current || nestedDepth > 0) continue;
+
+    switch (line.name) {
+      case 'UID': current.uid = line.value; break;
+      case 'SUMMARY': current.summary = unescapeText(line.value); break;
+      case 'STATUS': current.status = line.value.toUpperCase(); break;
+      case 'DTSTART': current.dtstart = line; break;
+      case 'DTEND': current.dtend = line; break;
+      case 'DURATION': current.duration = line.value; break;
+      case 'RRULE': current.rrule = line.value; break;
+      case 'RECURRENCE-ID': current.recurrenceId = line; break;
+      case 'EXDATE':
+        for (const value of line.value.split(',')) {
+          current.exdates.push({ params: line.params, value });
+        }
+        break;
+    }
+  }
+
+  return vevents;
+}
+
+/**
+ * Parse an .ics file into normalized calendar events
+ * 
+ * @param {string} text - Raw .ics file contents
+ * @param {Object} range - Occurrences of recurring events are expanded within this range
+ * @param {Date} range.rangeStart - Earliest occurrence start to include
+ * @param {Date} range.rangeEnd - Latest occurrence start to include
+ * @returns {Array<import('./calendarProvider.js').CalendarEvent>} Events sorted by date then start time
+ */
+export function parseIcs(text, { rangeStart, rangeEnd }) {
+  const events = [];
+  const vevents = readVEvents(text)
+    .filter(vevent => vevent.dtstart)
+    .map((vevent, index) => {
+      const start = parseDateValue(vevent.dtstart);
+      if (!start) return null;
+
+      let durationMs = null;
+      const end = vevent.dtend ? parseDateValue(vevent.dtend, start.timeZone) : null;
+      if (end && !start.allDay) {
+        durationMs = wallTimeToInstant(end.wall, end.timeZone) - wallTimeToInstant(start.wall, start.timeZone);
+      } else if (vevent.duration) {
+        durationMs = parseDuration(vevent.duration);
+      }
+
+      return {
+        ...vevent,
+        uid: vevent.uid || `event-${index}`,
+        title: vevent.summary || '(No title)',
+        start,
+        durationMs
+      };
+    })
+    .filter(Boolean);
+
+  // Overrides of single occurrences, keyed by UID and original start
+  const overrides = new Map();
+  for (const vevent of vevents) {
+    if (vevent.recurrenceId) {
+      const originalStart = parseDateValue(vevent.recurrenceId, vevent.start.timeZone);
+      if (originalStart) {
+        overrides.set(`${vevent.uid}|${occurrenceKey(originalStart)}`, vevent);
+      }
+    }
+  }
+
+  const rangeStartDay = dayNumber(rangeStart.getFullYear(), rangeStart.getMonth() + 1, rangeStart.getDate());
+  const rangeEndDay = dayNumber(rangeEnd.getFullYear(), rangeEnd.getMonth() + 1, rangeEnd.getDate());
+
+  for (const vevent of vevents) {
+    if (vevent.recurrenceId) {
+      // Overrides whose master has no RRULE are plain events
+      const master = vevents.find(other => other.uid === vevent.uid && other.rrule && !other.recurrenceId);
+      if (!master && vevent.status !== 'CANCELLED') {
+        events.push(toCalendarEvent(vevent, vevent.start, `${vevent.uid}|${occurrenceKey(vevent.start)}`));
+      }
+      continue;
+    }
+
+    if (vevent.status === 'CANCELLED') {
+      continue;
+    }
+
+    if (!vevent.rrule) {
+      events.push(toCalendarEvent(vevent, vevent.start, vevent.uid));
+      continue;
+    }
+
+    const rule = parseRule(vevent.rrule);
+    const until = rule.UNTIL ? parseDateValue({ params: {}, value: rule.UNTIL }, vevent.start.timeZone) : null;
+    const untilDay = until ? dayNumber(until.wall.year, until.wall.month, until.wall.day) : Infinity;
+    const untilInstant = until && !until.allDay ? wallTimeToInstant(until.wall, until.timeZone) : Infinity;
+    const excluded = new Set(
+      vevent.exdates
+        .map(exdate => parseDateValue(exdate, vevent.start.timeZone))
+        .filter(Boolean)
+        .map(occurrenceKey)
+    );
+
+    const days = expandRuleDays(vevent.start.wall, rule, (day) => day > untilDay || day > rangeEndDay);
+    for (const day of days) {
+      const { year, month, day: dayOfMonth } = fromDayNumber(day);
+      const occurrence = { ...vevent.start, wall: { ...vevent.start.wall, year, month, day: dayOfMonth } };
+      if (!occurrence.allDay && wallTimeToInstant(occurrence.wall, occurrence.timeZone) > untilInstant) break;
+      if (day < rangeStartDay) continue;
+
+      const key = occurrenceKey(occurrence);
+      if (excluded.has(key)) continue;
+
+      const override = overrides.get(`${vevent.uid}|${key}`);
+      if (override) {
+        if (override.status !== 'CANCELLED') {
+          events.push(toCalendarEvent(override, override.start, `${vevent.uid}|${key}`));
+        }
+      } else {
+        events.push(toCalendarEvent(vevent, occurrence, `${vevent.uid}|${key}`));
+      }
+    }
+  }
+
+  return events.sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    return (a.startTime || '').localeCompare(b.startTime || '');
+  });
+}
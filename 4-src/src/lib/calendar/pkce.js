@@ -0,0 +1,47 @@
+/**
+ * OAuth 2.0 PKCE (Proof Key for Code Exchange) helpers, RFC 7636
+ * Uses the Web Crypto API, available in browsers and Node 20+
+ */
+
+/**
+ * Base64url-encode bytes without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url string
+ */
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Generate a random URL-safe string
+ * @param {number} [byteLength=32] - Number of random bytes
+ * @returns {string} Base64url-encoded random string
+ */
+export function generateRandomString(byteLength = 32) {
+  const bytes = new Uint8Array(byteLength);
+  globalThis.crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+}
+
+/**
+ * Generate a PKCE code verifier (43 characters from 32 random bytes)
+ * @returns {string} Code verifier
+ */
+export function generateCodeVerifier() {
+  return generateRandomString(32);
+}
+
+/**
+ * Derive the S256 code challenge for a code verifier
+ * @param {string} codeVerifier - The code verifier
+ * @returns {Promise<string>} Base64url-encoded SHA-256 hash of the verifier
+ */
+export async function createCodeChallenge(codeVerifier) {
+  const data = new TextEncoder().encode(codeVerifier);
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', data);
+  return base64UrlEncode(new Uint8Array(digest));
+}
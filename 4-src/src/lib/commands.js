@@ -0,0 +1,109 @@
+/**
+ * Command registry for the command palette (see CommandPalette.svelte)
+ *
+ * Features add their commands with registerCommand() and remove them with the function it returns,
+ * usually from a component $effect so a command lives as long as the component that can run it.
+ * A command either runs as is ("Print"), or offers choices that each become an entry of the palette
+ * ("Archive list" + "Work" = "Archive list Work").
+ */
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {number|null} focusedTaskId - The task that had focus (or contained the focused element) when the palette was opened
+ */
+
+/**
+ * @typedef {Object} CommandChoice
+ * @property {string} label - Shown after the command title
+ * @property {*} value - Passed to run()
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} id - Unique ID, e.g. 'list.archive'
+ * @property {string} title - Shown in the palette, e.g. 'Archive list'
+ * @property {Array<string>} [keywords] - Other words the command is found by
+ * @property {(context: CommandContext) => boolean} [isAvailable] - Hide the command when it can't run
+ * @property {(context: CommandContext) => Array<CommandChoice>|Promise<Array<CommandChoice>>} [getChoices] - One palette entry per choice
+ * @property {(context: CommandContext, choice?: *) => void|Promise<void>} run - Runs the command (with the chosen value)
+ */
+
+/**
+ * @typedef {Object} CommandEntry
+ * @property {string} key - Unique key of the entry
+ * @property {string} title - Full title, including the choice label
+ * @property {Array<string>} keywords - The command's keywords
+ * @property {() => void|Promise<void>} run - Runs the command for this entry
+ */
+
+/** @type {Map<string, Command>} */
+const commands = new Map();
+
+/**
+ * Add a command to the palette
+ * @param {Command} command - The command
+ * @returns {() => void} Removes the command again
+ * @throws {Error} If a command with the same ID is already registered
+ */
+export function registerCommand(command) {
+  if (commands.has(command.id)) {
+    throw new Error(`Command already registered: ${command.id}`);
+  }
+  commands.set(command.id, command);
+  return () => {
+    if (commands.get(command.id) === command) {
+      commands.delete(command.id);
+    }
+  };
+}
+
+/**
+ * Get the registered commands
+ * @returns {Array<Command>} Commands in registration order
+ */
+export function getCommands() {
+  return [...commands.values()];
+}
+
+/**
+ * Build the palette entries of the commands available in a context
+ * A command whose choices fail to load is left out (and the error logged).
+ * @param {CommandContext} context - What had focus when the palette was opened
+ * @returns {Promise<Array<CommandEntry>>} Entries in registration order, choices in the order given
+ */
+export async function getCommandEntries(context) {
+  const entries = await Promise.all(getCommands().map(async (command) => {
+    if (command.isAvailable && !command.isAvailable(context)) {
+      return [];
+    }
+    const keywords = command.keywords ?? [];
+    if (!command.getChoices) {
+      return [{ key: command.id, title: command.title, keywords, run: () => command.run(context) }];
+    }
+    try {
+      const choices = await command.getChoices(context);
+      return choices.map((choice, index) => ({
+        key: `${command.id}:${index}`,
+        title: `${command.title} ${choice.label}`,
+        keywords,
+        run: () => command.run(context, choice.value)
+      }));
+    } catch (error) {
+      console.error(`Error loading choices for command ${command.id}:`, error);
+      return [];
+    }
+  }));
+  return entries.flat();
+}
+
+/**
+ * Find what had focus, for commands that act on the focused task
+ * @param {Element|null} element - The focused element (document.activeElement)
+ * @returns {CommandContext} The focused task ID (null when none)
+ */
+export function getFocusContext(element) {
+  const taskElement = element?.closest?.('li[data-id]') ?? null;
+  return {
+    focusedTaskId: taskElement ? Number(taskElement.getAttribute('data-id')) : null
+  };
+}
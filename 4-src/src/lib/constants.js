@@ -8,9 +8,38 @@ export const MAX_TEXTAREA_HEIGHT = 160; // max-h-[10rem] = 160px
 export const TASK_WIDTH = 150; // w-[150px] - consistent task and input width
 
 // Print layout dimensions
-// At 96 DPI (device independent pixels per inch), these correspond to 11" x 8.5" (landscape 8.5" x 11" paper)
-export const PRINT_CONTAINER_WIDTH = 1056; // 11" * 96 DPI = 1056px
-export const PRINT_CONTAINER_HEIGHT = 816; // 8.5" * 96 DPI = 816px
+// Paper sizes in portrait, at 96 DPI (device independent pixels per inch); landscape swaps width and height.
+// A4 is rounded down to whole pixels so the sheet never spills onto a second page.
+export const PAPER_SIZES = {
+  letter: { label: 'US Letter', width: 816, height: 1056, pageSize: 'letter' }, // 8.5" x 11"
+  a4: { label: 'A4', width: 793, height: 1122, pageSize: 'A4' } // 210mm x 297mm
+};
+export const PAPER_ORIENTATIONS = ['landscape', 'portrait'];
+export const DEFAULT_PAPER_FORMAT = { size: 'letter', orientation: 'landscape' };
+export const PRINT_SHEET_INSET = 16; // Border inset of the printed sheet (inset-[16px])
+export const MIN_COLUMN_WIDTH = 120; // Narrowest board column; limits the column count on narrow sheets
+export const FIDUCIAL_MARKER_SIZE = 10; // Solid squares printed in the sheet corners for locating the sheet in a photo
+export const FIDUCIAL_MARKER_OFFSET = 20; // Distance of the markers from the sheet edges (clear of the border line)
+
+// Week section (day-of-week slots above the backlog)
+// Days are indexed Monday-first: 0 = Monday ... 6 = Sunday (stored as task.dayOfWeek)
+export const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+export const WEEK_SECTION_HEIGHT = 232; // Height of the week section inside the print container
+
+// Board columns (user-configurable in settings, stored as the 'columnCount' preference)
+export const DEFAULT_COLUMN_COUNT = 5;
+export const MIN_COLUMN_COUNT = 1;
+export const MAX_COLUMN_COUNT = 8;
+
+// Blank write-in lines printed under each list (the 'writeInLines' preference, overridable per list)
+// A number of empty checkbox rows, or WRITE_IN_FILL for ruled lines down to the bottom of the column
+export const DEFAULT_WRITE_IN_LINES = 0;
+export const MAX_WRITE_IN_LINES = 10;
+export const WRITE_IN_FILL = 'fill';
+
+// How the tag filter shows tasks without a selected tag on screen (the 'tagFilter' preference)
+export const TAG_FILTER_MODES = ['dim', 'hide'];
+export const DEFAULT_TAG_FILTER_MODE = 'dim';
 
 // Spacing values (matching Tailwind spacing scale)
 export const SPACING_4 = 16; // 1rem = 16px (matches Tailwind spacing-4, mb-4, etc.)
@@ -1,4 +1,61 @@
 import db from './db.js';
+import { getWeekStart, isValidWeekStart, addWeeks } from './weekUtils.js';
+import { isValidStartTime, isValidDuration, sortDayTasks } from './timeUtils.js';
+import { recordUndoable, clearUndoHistory } from './undoHistory.js';
+import { DEFAULT_COLUMN_COUNT, MIN_COLUMN_COUNT, MAX_COLUMN_COUNT, DEFAULT_PAPER_FORMAT, DEFAULT_WRITE_IN_LINES, MAX_WRITE_IN_LINES, WRITE_IN_FILL, TAG_FILTER_MODES, DEFAULT_TAG_FILTER_MODE } from './constants.js';
+import { isValidPaperFormat, getPrintLayout } from './printLayout.js';
+import { isValidRecurrence, normalizeRecurrence, isSameRecurrence, getPeriodStart, getNextPeriodStart } from './recurrence.js';
+
+// Preference key for the week shown in the week section
+const CURRENT_WEEK_PREFERENCE_KEY = 'currentWeekStart';
+
+// Preference key for the number of board columns
+const COLUMN_COUNT_PREFERENCE_KEY = 'columnCount';
+
+// Preference key for the paper size and orientation of the printed sheet
+const PAPER_FORMAT_PREFERENCE_KEY = 'paperFormat';
+
+// Preference key for the blank write-in lines printed under each list
+const WRITE_IN_LINES_PREFERENCE_KEY = 'writeInLines';
+
+// Preference key for the tags selected in the tag filter bar
+const TAG_FILTER_PREFERENCE_KEY = 'tagFilter';
+
+// Oldest print snapshots are dropped from the print history beyond this many
+const MAX_PRINT_HISTORY_LENGTH = 50;
+
+// Task status applied for each reconciliation choice (carried-over day tasks also move to the next week)
+const RECONCILE_STATUSES = {
+  done: 'checked',
+  archived: 'archived',
+  carryOver: 'unchecked'
+};
+
+// Name of the list that receives tasks whose list was deleted without them
+const ORPHANED_LIST_NAME = 'Orphaned';
+
+// Undo history labels for task status changes
+const STATUS_CHANGE_LABELS = {
+  unchecked: 'Uncheck task',
+  checked: 'Check task',
+  archived: 'Archive task'
+};
+
+const BULK_STATUS_CHANGE_LABELS = {
+  unchecked: 'Uncheck tasks',
+  checked: 'Check tasks',
+  archived: 'Archive tasks'
+};
+
+/**
+ * Keep a stored column index inside the board (lists past the last column show in the last column)
+ * @param {number} columnIndex - The stored column index
+ * @param {number} columnCount - The number of board columns
+ * @returns {number} A column index from 0 to columnCount - 1
+ */
+function clampColumnIndex(columnIndex, columnCount) {
+  return Math.min(Math.max(columnIndex, 0), columnCount - 1);
+}
 
 /**
  * Calculate the next order value for a collection of items.
@@ -14,6 +71,183 @@ function getNextOrderValue(items) {
   return maxOrder + 1;
 }
 
+/**
+ * Check whether a list or task has been moved to the trash
+ * @param {{deletedAt?: number|null}} record - List or task object
+ * @returns {boolean} True if the record is soft-deleted
+ */
+function isDeleted(record) {
+  return record.deletedAt != null; // != null matches both null and undefined
+}
+
+/**
+ * Check whether a task is shown on the board (not archived and not deleted)
+ * @param {{status: string, deletedAt?: number|null}} task - Task object
+ * @returns {boolean} True if the task is unchecked or checked and not deleted
+ */
+function isActiveTask(task) {
+  return task.status !== 'archived' && !isDeleted(task);
+}
+
+/**
+ * Check whether a task belongs in its list's backlog view.
+ * Tasks assigned to a day of any week are shown in the week section instead.
+ * @param {{status: string, dayOfWeek?: number|null, deletedAt?: number|null}} task - Task object
+ * @returns {boolean} True if the task is active and not assigned to a day
+ */
+function isBacklogTask(task) {
+  return isActiveTask(task) && task.dayOfWeek == null; // == null matches both null and undefined
+}
+
+/**
+ * Validate a day-of-week index (0 = Monday ... 6 = Sunday)
+ * @param {number} dayOfWeek - The day index to validate
+ * @throws {Error} If the day index is not an integer between 0 and 6
+ */
+function assertValidDayOfWeek(dayOfWeek) {
+  if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+    throw new Error(`Invalid day of week: ${dayOfWeek}`);
+  }
+}
+
+/**
+ * Collect the distinct (weekStart, dayOfWeek) slots of a set of scheduled tasks
+ * @param {Array<{weekStart: string, dayOfWeek: number}>} tasks - Scheduled tasks
+ * @returns {Array<{weekStart: string, dayOfWeek: number}>} Unique day slots
+ */
+function uniqueDays(tasks) {
+  const days = new Map();
+  for (const task of tasks) {
+    days.set(`${task.weekStart}:${task.dayOfWeek}`, { weekStart: task.weekStart, dayOfWeek: task.dayOfWeek });
+  }
+  return [...days.values()];
+}
+
+/**
+ * Build the stored form of a calendar event, keyed by source and external ID
+ * @param {string} source - The calendar source ID (e.g. 'google')
+ * @param {Object} event - Normalized event with externalId, title, date, startTime, durationMinutes, allDay
+ * @returns {Object} Event record for the calendarEvents table
+ */
+function toStoredCalendarEvent(source, event) {
+  return { ...event, id: `${source}:${event.externalId}`, source };
+}
+
+/**
+ * Recalculate sequential order values (0, 1, 2, 3...) for the backlog tasks of a list.
+ * Must be called inside a 'rw' transaction on db.tasks.
+ * @param {number} listId - The ID of the list
+ * @returns {Promise<void>}
+ */
+async function resequenceListTasks(listId) {
+  const remainingTasks = await db.tasks
+    .where('listId')
+    .equals(listId)
+    .filter(isBacklogTask)
+    .sortBy('order');
+  
+  for (let index = 0; index < remainingTasks.length; index++) {
+    await db.tasks.update(remainingTasks[index].id, { order: index });
+  }
+}
+
+/**
+ * Validate a week start (the Monday of the week, as 'YYYY-MM-DD')
+ * @param {string} weekStart - The week start to validate
+ * @throws {Error} If the value is not a Monday date string
+ */
+function assertValidWeekStart(weekStart) {
+  if (!isValidWeekStart(weekStart)) {
+    throw new Error(`Invalid week start: ${weekStart}`);
+  }
+}
+
+/**
+ * Recalculate sequential order values (0, 1, 2, 3...) for the tasks assigned to a day of a week.
+ * Must be called inside a 'rw' transaction on db.tasks.
+ * @param {string} weekStart - The week start ('YYYY-MM-DD' Monday)
+ * @param {number} dayOfWeek - The day index (0 = Monday ... 6 = Sunday)
+ * @returns {Promise<void>}
+ */
+async function resequenceDayTasks(weekStart, dayOfWeek) {
+  const remainingTasks = await db.tasks
+    .where('[weekStart+dayOfWeek]')
+    .equals([weekStart, dayOfWeek])
+    .filter(isActiveTask)
+    .sortBy('order');
+  
+  for (let index = 0; index < remainingTasks.length; index++) {
+    await db.tasks.update(remainingTasks[index].id, { order: index });
+  }
+}
+
+/**
+ * Check whether two timestamps fall on the same local calendar day
+ * @param {number} a - First timestamp (ms)
+ * @param {number} b - Second timestamp (ms)
+ * @returns {boolean} True if both are on the same day
+ */
+function isSameCalendarDay(a, b) {
+  return new Date(a).toDateString() === new Date(b).toDateString();
+}
+
+/**
+ * Split the remaining tasks of an archived list into those archived on the day the list was
+ * archived and all others (archived on other days, or still active)
+ * @param {{id: number, archivedAt: number}} list - The archived list
+ * @returns {Promise<{sameDayTasks: Array, otherTasks: Array}>}
+ */
+async function partitionTasksByListArchiveDay(list) {
+  const tasks = await db.tasks
+    .where('listId')
+    .equals(list.id)
+    .filter(task => !isDeleted(task))
+    .toArray();
+  const isSameDayTask = task => task.status === 'archived' && task.archivedAt != null && isSameCalendarDay(task.archivedAt, list.archivedAt);
+  return {
+    sameDayTasks: tasks.filter(isSameDayTask),
+    otherTasks: tasks.filter(task => !isSameDayTask(task))
+  };
+}
+
+/**
+ * Get the ID of the "Orphaned" list, creating it if there is none
+ * Tasks whose list was deleted without them are moved here.
+ * Must be called inside a 'rw' transaction on db.lists and db.tasks.
+ * @returns {Promise<number>} The ID of the Orphaned list
+ */
+async function getOrCreateOrphanedListId() {
+  const orphanedList = await db.lists
+    .filter(list => list.isOrphanedList === true && !isDeleted(list))
+    .first();
+  if (orphanedList) {
+    return orphanedList.id;
+  }
+  const listId = await createList(ORPHANED_LIST_NAME);
+  await db.lists.update(listId, { isOrphanedList: true });
+  return listId;
+}
+
+/**
+ * Move tasks to another list, appending active backlog tasks after that list's backlog
+ * Scheduled tasks keep their day and archived tasks keep their archive date.
+ * Must be called inside a 'rw' transaction on db.tasks.
+ * @param {Array<Object>} tasks - Tasks to move
+ * @param {number} listId - The destination list ID
+ * @returns {Promise<void>}
+ */
+async function moveTasksToList(tasks, listId) {
+  const existingTasks = await db.tasks.where('listId').equals(listId).filter(isBacklogTask).toArray();
+  let nextOrder = getNextOrderValue(existingTasks);
+  for (const task of tasks) {
+    const updates = { listId };
+    if (isBacklogTask(task)) {
+      updates.order = nextOrder++;
+    }
+    await db.tasks.update(task.id, updates);
+  }
+}
+
 /**
  * Fetch all lists ordered by their order field
  * Only returns lists where archivedAt is null (excludes archived lists)
@@ -23,88 +257,96 @@ export async function getAllLists() {
   // Filter for lists where archivedAt is null or undefined (active lists)
   // This handles both existing lists (which may not have the field) and new lists
   const allLists = await db.lists.orderBy('order').toArray();
-  return allLists.filter(list => list.archivedAt == null); // == null matches both null and undefined
+  return allLists.filter(list => list.archivedAt == null && !isDeleted(list)); // == null matches both null and undefined
 }
 
 /**
  * Fetch all lists including archived ones, ordered by their order field
+ * Deleted lists are excluded (see getDeletedLists)
  * @returns {Promise<Array>} Array of list objects (both active and archived)
  */
 export async function getAllListsIncludingArchived() {
-  return await db.lists.orderBy('order').toArray();
+  const allLists = await db.lists.orderBy('order').toArray();
+  return allLists.filter(list => !isDeleted(list));
 }
 
 /**
  * Create a new list
  * @param {string} name - The list name (cannot be empty or whitespace-only)
- * @param {number} [columnIndex] - Optional column index (0-4). If not provided, distributes evenly across columns.
+ * @param {number} [columnIndex] - Optional column index (0 to column count - 1). If not provided, distributes evenly across columns.
  * @returns {Promise<number>} The ID of the created list
  */
 export async function createList(name, columnIndex = null) {
-  // Validate: name cannot be empty string '' or whitespace-only
-  // Handle null case (unnamed lists are not allowed - empty/whitespace should close input instead)
-  if (name === null || name === undefined) {
-    throw new Error('List name cannot be null or undefined');
-  }
-  const trimmedName = name.trim();
-  if (trimmedName === '') {
-    throw new Error('List name cannot be empty or whitespace-only');
-  }
-  
-  // Get all existing lists to determine the next order value
-  const existingLists = await db.lists.orderBy('order').toArray();
-  const nextOrder = getNextOrderValue(existingLists);
-  
-  // Assign columnIndex: use provided value, or distribute evenly across 5 columns (0-4)
-  const columnCount = 5;
-  let finalColumnIndex;
-  if (columnIndex !== null && columnIndex >= 0 && columnIndex < columnCount) {
-    finalColumnIndex = columnIndex;
-  } else {
-    // Fallback to distribution if invalid or not provided
-    finalColumnIndex = nextOrder % columnCount;
-  }
-  
-  // Create the list with trimmed name
-  const listId = await db.lists.add({
-    name: trimmedName,
-    order: nextOrder,
-    archivedAt: null,
-    columnIndex: finalColumnIndex
+  return await recordUndoable('Create list', async () => {
+    // Validate: name cannot be empty string '' or whitespace-only
+    // Handle null case (unnamed lists are not allowed - empty/whitespace should close input instead)
+    if (name === null || name === undefined) {
+      throw new Error('List name cannot be null or undefined');
+    }
+    const trimmedName = name.trim();
+    if (trimmedName === '') {
+      throw new Error('List name cannot be empty or whitespace-only');
+    }
+    
+    // Get all existing lists to determine the next order value
+    const existingLists = await db.lists.orderBy('order').toArray();
+    const nextOrder = getNextOrderValue(existingLists);
+    
+    // Assign columnIndex: use provided value, or distribute evenly across the board's columns
+    const columnCount = await getColumnCount();
+    let finalColumnIndex;
+    if (columnIndex !== null && columnIndex >= 0 && columnIndex < columnCount) {
+      finalColumnIndex = columnIndex;
+    } else {
+      // Fallback to distribution if invalid or not provided
+      finalColumnIndex = nextOrder % columnCount;
+    }
+    
+    // Create the list with trimmed name
+    const listId = await db.lists.add({
+      name: trimmedName,
+      order: nextOrder,
+      archivedAt: null,
+      deletedAt: null,
+      columnIndex: finalColumnIndex
+    });
+    
+    return listId;
   });
-  
-  return listId;
 }
 
 /**
  * Create a new unnamed list (name set to null)
- * @param {number} [columnIndex] - Optional column index (0-4). If not provided, distributes evenly across columns.
+ * @param {number} [columnIndex] - Optional column index (0 to column count - 1). If not provided, distributes evenly across columns.
  * @returns {Promise<number>} The ID of the created list
  */
 export async function createUnnamedList(columnIndex = null) {
-  // Get all existing lists to determine the next order value
-  const existingLists = await db.lists.orderBy('order').toArray();
-  const nextOrder = getNextOrderValue(existingLists);
-  
-  // Assign columnIndex: use provided value, or distribute evenly across 5 columns (0-4)
-  const columnCount = 5;
-  let finalColumnIndex;
-  if (columnIndex !== null && columnIndex >= 0 && columnIndex < columnCount) {
-    finalColumnIndex = columnIndex;
-  } else {
-    // Fallback to distribution if invalid or not provided
-    finalColumnIndex = nextOrder % columnCount;
-  }
-  
-  // Create the list with name set to null
-  const listId = await db.lists.add({
-    name: null,
-    order: nextOrder,
-    archivedAt: null,
-    columnIndex: finalColumnIndex
+  return await recordUndoable('Create list', async () => {
+    // Get all existing lists to determine the next order value
+    const existingLists = await db.lists.orderBy('order').toArray();
+    const nextOrder = getNextOrderValue(existingLists);
+    
+    // Assign columnIndex: use provided value, or distribute evenly across the board's columns
+    const columnCount = await getColumnCount();
+    let finalColumnIndex;
+    if (columnIndex !== null && columnIndex >= 0 && columnIndex < columnCount) {
+      finalColumnIndex = columnIndex;
+    } else {
+      // Fallback to distribution if invalid or not provided
+      finalColumnIndex = nextOrder % columnCount;
+    }
+    
+    // Create the list with name set to null
+    const listId = await db.lists.add({
+      name: null,
+      order: nextOrder,
+      archivedAt: null,
+      deletedAt: null,
+      columnIndex: finalColumnIndex
+    });
+    
+    return listId;
   });
-  
-  return listId;
 }
 
 /**
@@ -114,17 +356,35 @@ export async function createUnnamedList(columnIndex = null) {
  * @returns {Promise<number>} The number of lists updated (should be 1)
  */
 export async function updateListName(listId, name) {
-  const trimmedName = name.trim();
-  if (trimmedName === '') {
-    throw new Error('List name cannot be empty');
+  return await recordUndoable('Rename list', async () => {
+    const trimmedName = name.trim();
+    if (trimmedName === '') {
+      throw new Error('List name cannot be empty');
+    }
+    
+    return await db.lists.update(listId, { name: trimmedName });
+  });
+}
+
+/**
+ * Set how many blank write-in lines are printed under a list, overriding the global setting
+ * @param {number} listId - The ID of the list
+ * @param {number|string|null} writeInLines - A write-in lines value (see isValidWriteInLines), or null to use the global setting
+ * @returns {Promise<number>} The number of lists updated (should be 1)
+ */
+export async function updateListWriteInLines(listId, writeInLines) {
+  if (writeInLines !== null && !isValidWriteInLines(writeInLines)) {
+    throw new Error(`Invalid write-in lines: ${writeInLines}`);
   }
-  
-  return await db.lists.update(listId, { name: trimmedName });
+  return await recordUndoable('Change write-in lines', async () => {
+    return await db.lists.update(listId, { writeInLines });
+  });
 }
 
 /**
  * Fetch all tasks for a specific list, ordered by their order field
  * Only returns unchecked and checked tasks (excludes archived)
+ * Tasks assigned to a day of the week are excluded (they render in the week section)
  * @param {number} listId - The ID of the list
  * @returns {Promise<Array>} Array of task objects
  */
@@ -132,8 +392,264 @@ export async function getTasksForList(listId) {
   return await db.tasks
     .where('listId')
     .equals(listId)
-    .filter(task => task.status !== 'archived')
+    .filter(isBacklogTask)
+    .sortBy('order');
+}
+
+/**
+ * Fetch all active tasks of a list, including those assigned to days (for exports)
+ * Backlog tasks come first in list order, then scheduled tasks by week, day and order
+ * @param {number} listId - The ID of the list
+ * @returns {Promise<Array>} Array of task objects (excludes archived)
+ */
+export async function getActiveTasksForList(listId) {
+  const tasks = await db.tasks
+    .where('listId')
+    .equals(listId)
+    .filter(isActiveTask)
+    .toArray();
+  
+  const backlog = tasks.filter(isBacklogTask).sort((a, b) => a.order - b.order);
+  const scheduled = tasks
+    .filter(task => !isBacklogTask(task))
+    .sort((a, b) => a.weekStart.localeCompare(b.weekStart) || a.dayOfWeek - b.dayOfWeek || a.order - b.order);
+  return [...backlog, ...scheduled];
+}
+
+/**
+ * Fetch all tasks assigned to days of a week, ordered by their order field
+ * Only returns unchecked and checked tasks (excludes archived)
+ * Use groupTasksByDay() to get per-day display order
+ * @param {string} weekStart - The week start ('YYYY-MM-DD' Monday)
+ * @returns {Promise<Array>} Array of task objects with dayOfWeek and weekStart values
+ */
+export async function getTasksForWeek(weekStart) {
+  return await db.tasks
+    .where('weekStart')
+    .equals(weekStart)
+    .filter(task => task.dayOfWeek != null && isActiveTask(task))
+    .sortBy('order');
+}
+
+/**
+ * Fetch all tasks assigned to a specific day of a week, in display order
+ * Timed tasks come first chronologically, then untimed tasks by their order field
+ * Only returns unchecked and checked tasks (excludes archived)
+ * @param {string} weekStart - The week start ('YYYY-MM-DD' Monday)
+ * @param {number} dayOfWeek - The day index (0 = Monday ... 6 = Sunday)
+ * @returns {Promise<Array>} Array of task objects
+ */
+export async function getTasksForDay(weekStart, dayOfWeek) {
+  const tasks = await db.tasks
+    .where('[weekStart+dayOfWeek]')
+    .equals([weekStart, dayOfWeek])
+    .filter(isActiveTask)
     .sortBy('order');
+  return sortDayTasks(tasks);
+}
+
+/**
+ * Read a value from the preferences table
+ * @param {string} key - The preference key
+ * @param {*} [defaultValue=null] - Value returned when the preference is not set
+ * @returns {Promise<*>} The stored value, or defaultValue
+ */
+export async function getPreference(key, defaultValue = null) {
+  const preference = await db.preferences.get(key);
+  return preference === undefined ? defaultValue : preference.value;
+}
+
+/**
+ * Write a value to the preferences table
+ * @param {string} key - The preference key
+ * @param {*} value - The value to store (must be structured-cloneable)
+ * @returns {Promise<void>}
+ */
+export async function setPreference(key, value) {
+  await db.preferences.put({ key, value });
+}
+
+/**
+ * Get the week currently shown in the week section
+ * Falls back to this week if no week has been selected (or the stored value is invalid)
+ * @returns {Promise<string>} The week start ('YYYY-MM-DD' Monday)
+ */
+export async function getCurrentWeekStart() {
+  const weekStart = await getPreference(CURRENT_WEEK_PREFERENCE_KEY);
+  return isValidWeekStart(weekStart) ? weekStart : getWeekStart();
+}
+
+/**
+ * Persist the week shown in the week section
+ * @param {string} weekStart - The week start ('YYYY-MM-DD' Monday)
+ * @returns {Promise<void>}
+ */
+export async function setCurrentWeekStart(weekStart) {
+  assertValidWeekStart(weekStart);
+  await setPreference(CURRENT_WEEK_PREFERENCE_KEY, weekStart);
+}
+
+/**
+ * Check whether a value is a valid number of board columns
+ * @param {*} count - The value to check
+ * @returns {boolean} True for integers from MIN_COLUMN_COUNT to MAX_COLUMN_COUNT
+ */
+export function isValidColumnCount(count) {
+  return Number.isInteger(count) && count >= MIN_COLUMN_COUNT && count <= MAX_COLUMN_COUNT;
+}
+
+/**
+ * Get the number of board columns
+ * Falls back to DEFAULT_COLUMN_COUNT if not set (or the stored value is invalid)
+ * @returns {Promise<number>} The column count
+ */
+export async function getColumnCount() {
+  const count = await getPreference(COLUMN_COUNT_PREFERENCE_KEY);
+  return isValidColumnCount(count) ? count : DEFAULT_COLUMN_COUNT;
+}
+
+/**
+ * Change the number of board columns
+ * Lists in removed columns (active, archived and deleted alike) move to the end of the new last column,
+ * keeping their left-to-right, top-to-bottom order, and the undo history is cleared.
+ * @param {number} count - The new column count (MIN_COLUMN_COUNT to MAX_COLUMN_COUNT)
+ * @returns {Promise<void>}
+ */
+export async function setColumnCount(count) {
+  if (!isValidColumnCount(count)) {
+    throw new Error(`Invalid column count: ${count}`);
+  }
+  const listsMoved = await db.transaction('rw', db.lists, db.preferences, async () => {
+    const lastColumnIndex = count - 1;
+    const lists = await db.lists.toArray();
+    const displacedLists = lists.filter(list => (list.columnIndex ?? 0) > lastColumnIndex);
+    if (displacedLists.length > 0) {
+      const byColumnThenOrder = (a, b) =>
+        (a.columnIndex ?? 0) - (b.columnIndex ?? 0) || (a.order ?? 0) - (b.order ?? 0);
+      const lastColumnLists = lists
+        .filter(list => (list.columnIndex ?? 0) === lastColumnIndex)
+        .sort(byColumnThenOrder);
+      const mergedLists = [...lastColumnLists, ...displacedLists.sort(byColumnThenOrder)];
+      for (let index = 0; index < mergedLists.length; index++) {
+        await db.lists.update(mergedLists[index].id, { columnIndex: lastColumnIndex, order: index });
+      }
+    }
+    await setPreference(COLUMN_COUNT_PREFERENCE_KEY, count);
+    return displacedLists.length > 0;
+  });
+  // The column count is not part of the undo history, so earlier list moves could put lists back in removed columns
+  if (listsMoved) {
+    clearUndoHistory();
+  }
+}
+
+/**
+ * Get the paper size and orientation of the printed sheet
+ * Falls back to DEFAULT_PAPER_FORMAT if not set (or the stored value is invalid)
+ * @returns {Promise<{size: string, orientation: string}>} The paper format ('letter' | 'a4', 'landscape' | 'portrait')
+ */
+export async function getPaperFormat() {
+  const format = await getPreference(PAPER_FORMAT_PREFERENCE_KEY);
+  return isValidPaperFormat(format) ? { size: format.size, orientation: format.orientation } : { ...DEFAULT_PAPER_FORMAT };
+}
+
+/**
+ * Change the paper size and orientation of the printed sheet
+ * If the board has more columns than fit across the new sheet, the column count is reduced
+ * (see setColumnCount for how lists in removed columns are kept).
+ * @param {{size: string, orientation: string}} format - The new paper format
+ * @returns {Promise<void>}
+ */
+export async function setPaperFormat(format) {
+  if (!isValidPaperFormat(format)) {
+    throw new Error(`Invalid paper format: ${JSON.stringify(format)}`);
+  }
+  await db.transaction('rw', db.lists, db.preferences, async () => {
+    const { maxColumnCount } = getPrintLayout(format);
+    if (await getColumnCount() > maxColumnCount) {
+      await setColumnCount(maxColumnCount);
+    }
+    await setPreference(PAPER_FORMAT_PREFERENCE_KEY, { size: format.size, orientation: format.orientation });
+  });
+}
+
+/**
+ * Check whether a value is a valid number of write-in lines
+ * @param {*} value - The value to check
+ * @returns {boolean} True for integers from 0 to MAX_WRITE_IN_LINES, or WRITE_IN_FILL
+ */
+export function isValidWriteInLines(value) {
+  return value === WRITE_IN_FILL || (Number.isInteger(value) && value >= 0 && value <= MAX_WRITE_IN_LINES);
+}
+
+/**
+ * Get the number of blank write-in lines printed under each list (lists can override it)
+ * Falls back to DEFAULT_WRITE_IN_LINES if not set (or the stored value is invalid)
+ * @returns {Promise<number|string>} A number of lines, or WRITE_IN_FILL
+ */
+export async function getWriteInLines() {
+  const value = await getPreference(WRITE_IN_LINES_PREFERENCE_KEY);
+  return isValidWriteInLines(value) ? value : DEFAULT_WRITE_IN_LINES;
+}
+
+/**
+ * Change the number of blank write-in lines printed under each list
+ * @param {number|string} value - 0 to MAX_WRITE_IN_LINES, or WRITE_IN_FILL to rule the rest of the column
+ * @returns {Promise<void>}
+ */
+export async function setWriteInLines(value) {
+  if (!isValidWriteInLines(value)) {
+    throw new Error(`Invalid write-in lines: ${value}`);
+  }
+  await setPreference(WRITE_IN_LINES_PREFERENCE_KEY, value);
+}
+
+/**
+ * Check whether a value is a valid tag filter
+ * @param {*} filter - The value to check
+ * @returns {boolean} True for {tags, mode} with an array of non-empty tag strings and a mode from TAG_FILTER_MODES
+ */
+function isValidTagFilter(filter) {
+  return !!filter && typeof filter === 'object'
+    && Array.isArray(filter.tags) && filter.tags.every(tag => typeof tag === 'string' && tag !== '')
+    && TAG_FILTER_MODES.includes(filter.mode);
+}
+
+/**
+ * Get the tag filter selected in the tag filter bar
+ * Falls back to no tags selected (every task shown) if not set (or the stored value is invalid)
+ * @returns {Promise<{tags: Array<string>, mode: string}>} Selected tags, and whether other tasks are 'dim'med or 'hide'den
+ */
+export async function getTagFilter() {
+  const filter = await getPreference(TAG_FILTER_PREFERENCE_KEY);
+  return isValidTagFilter(filter) ? { tags: [...filter.tags], mode: filter.mode } : { tags: [], mode: DEFAULT_TAG_FILTER_MODE };
+}
+
+/**
+ * Change the tag filter
+ * @param {{tags: Array<string>, mode: string}} filter - Selected tags (matched case-insensitively) and mode ('dim' | 'hide')
+ * @returns {Promise<void>}
+ */
+export async function setTagFilter(filter) {
+  if (!isValidTagFilter(filter)) {
+    throw new Error(`Invalid tag filter: ${JSON.stringify(filter)}`);
+  }
+  const tags = [...new Set(filter.tags.map(tag => tag.toLowerCase()))];
+  await setPreference(TAG_FILTER_PREFERENCE_KEY, { tags, mode: filter.mode });
+}
+
+/**
+ * Fetch the tags used by tasks that are not archived or deleted
+ * @returns {Promise<Array<string>>} Tags in alphabetical order
+ */
+export async function getAllTags() {
+  const tags = new Set();
+  // The multi-entry index only holds tasks that have tags (once per tag)
+  await db.tasks
+    .orderBy('tags')
+    .filter(isActiveTask)
+    .each(task => task.tags.forEach(tag => tags.add(tag)));
+  return [...tags].sort();
 }
 
 /**
@@ -144,18 +660,29 @@ export async function getTasksForList(listId) {
 export async function getAllTasks() {
   return await db.tasks
     .orderBy('order')
-    .filter(task => task.status !== 'archived')
+    .filter(isActiveTask)
     .toArray();
 }
 
+/**
+ * Fetch a single task
+ * @param {number} taskId - The ID of the task
+ * @returns {Promise<Object|undefined>} The task object, or undefined if there is no such task
+ */
+export async function getTask(taskId) {
+  return await db.tasks.get(taskId);
+}
+
 /**
  * Fetch all archived tasks, ordered by archive time (newest first)
+ * Deleted tasks are excluded (see getDeletedTasks)
  * @returns {Promise<Array>} Array of archived task objects
  */
 export async function getArchivedTasks() {
   const tasks = await db.tasks
     .where('status')
     .equals('archived')
+    .filter(task => !isDeleted(task))
     .toArray();
   
   // Sort by archivedAt descending (newest first), fallback to order for tasks without archivedAt
@@ -176,78 +703,276 @@ export async function getArchivedTasks() {
  *   Note: null is only used as a parameter convention; the stored listId is always a number.
  *   The list's name field can be null (for unnamed lists), but listId is never null in the database.
  * @param {string} text - The task text content
- * @param {number} [columnIndex] - Optional column index (0-4) when creating unnamed list (only used if listId is null)
+ * @param {number} [columnIndex] - Optional column index (0 to column count - 1) when creating unnamed list (only used if listId is null)
  * @returns {Promise<number>} The ID of the created task
+ * Any #tags in the text are stored in task.tags (by the db.js hooks, like for every task write)
  */
 export async function createTask(listId, text, columnIndex = null) {
-  // If listId is null, create an unnamed list first (listId will be a number after this)
-  let targetListId = listId;
-  if (listId === null) {
-    targetListId = await createUnnamedList(columnIndex); // Returns a number (database ID)
-  }
-  
-  // At this point, targetListId is always a number (never null)
-  
-  // Get existing tasks for this list to determine the next order value
-  const existingTasks = await db.tasks
-    .where('listId')
-    .equals(targetListId)
-    .filter(task => task.status !== 'archived')
-    .sortBy('order');
-  
-  const nextOrder = getNextOrderValue(existingTasks);
-  
-  // Create the task
-  // Note: text can be empty string for blank tasks (whitespace-only input creates blank tasks)
-  // For non-empty text, trim whitespace; for empty/blank tasks, preserve empty string
-  const taskText = text === '' ? '' : text.trim();
-  
-  const taskId = await db.tasks.add({
-    text: taskText,
-    listId: targetListId,
-    order: nextOrder,
-    status: 'unchecked'
+  return await recordUndoable('Add task', async () => {
+    // If listId is null, create an unnamed list first (listId will be a number after this)
+    let targetListId = listId;
+    if (listId === null) {
+      targetListId = await createUnnamedList(columnIndex); // Returns a number (database ID)
+    }
+    
+    // At this point, targetListId is always a number (never null)
+    
+    // Get existing tasks for this list to determine the next order value
+    const existingTasks = await db.tasks
+      .where('listId')
+      .equals(targetListId)
+      .filter(isBacklogTask)
+      .sortBy('order');
+    
+    const nextOrder = getNextOrderValue(existingTasks);
+    
+    // Create the task
+    // Note: text can be empty string for blank tasks (whitespace-only input creates blank tasks)
+    // For non-empty text, trim whitespace; for empty/blank tasks, preserve empty string
+    const taskText = text === '' ? '' : text.trim();
+    
+    const taskId = await db.tasks.add({
+      text: taskText,
+      listId: targetListId,
+      order: nextOrder,
+      status: 'unchecked',
+      dayOfWeek: null,
+      weekStart: null,
+      startTime: null,
+      durationMinutes: null,
+      deletedAt: null
+    });
+    
+    return taskId;
   });
-  
-  return taskId;
 }
 
 /**
- * Update a task's text content
- * @param {number} taskId - The ID of the task
- * @param {string} text - The new text content (can be empty string for blank tasks)
- * @returns {Promise<number>} The number of tasks updated (should be 1)
+ * Create several tasks at the end of a list in one transaction (e.g. from a multi-line paste)
+ * @param {number} listId - The ID of the list
+ * @param {Array<string>} texts - Task texts in the order they should appear (blank texts are skipped)
+ * @returns {Promise<Array<number>>} The IDs of the created tasks, in order
+ */
+export async function createTasks(listId, texts) {
+  return await recordUndoable('Add tasks', async () => {
+    const taskTexts = texts.map(text => text.trim()).filter(text => text !== '');
+    if (taskTexts.length === 0) {
+      return [];
+    }
+    
+    return await db.transaction('rw', db.tasks, async () => {
+      const existingTasks = await db.tasks
+        .where('listId')
+        .equals(listId)
+        .filter(isBacklogTask)
+        .toArray();
+      const firstOrder = getNextOrderValue(existingTasks);
+      
+      return await db.tasks.bulkAdd(taskTexts.map((text, index) => ({
+        text,
+        listId,
+        order: firstOrder + index,
+        status: 'unchecked',
+        dayOfWeek: null,
+        weekStart: null,
+        startTime: null,
+        durationMinutes: null,
+        deletedAt: null
+      })), { allKeys: true });
+    });
+  });
+}
+
+/**
+ * Update a task's text content
+ * The task's tags are re-parsed from the new text (by the db.js hooks)
+ * @param {number} taskId - The ID of the task
+ * @param {string} text - The new text content (can be empty string for blank tasks)
+ * @returns {Promise<number>} The number of tasks updated (should be 1)
  */
 export async function updateTaskText(taskId, text) {
-  // Note: text can be empty string for blank tasks (whitespace-only input creates blank tasks)
-  // For non-empty text, trim whitespace; for empty/blank tasks, preserve empty string
-  const taskText = text === '' ? '' : text.trim();
+  return await recordUndoable('Edit task', async () => {
+    // Note: text can be empty string for blank tasks (whitespace-only input creates blank tasks)
+    // For non-empty text, trim whitespace; for empty/blank tasks, preserve empty string
+    const taskText = text === '' ? '' : text.trim();
+    
+    return await db.tasks.update(taskId, { text: taskText });
+  });
+}
+
+/**
+ * Update a task's optional start time and duration
+ * Pass null for either field to clear it; a duration without a start time is allowed
+ * (it is kept but only displayed once a start time is set)
+ * @param {number} taskId - The ID of the task
+ * @param {{startTime: string|null, durationMinutes: number|null}} schedule - 24-hour 'HH:MM' start time and duration in minutes
+ * @returns {Promise<number>} The number of tasks updated (should be 1)
+ * @throws {Error} If the start time or duration is invalid
+ */
+export async function updateTaskSchedule(taskId, { startTime = null, durationMinutes = null } = {}) {
+  return await recordUndoable('Change task time', async () => {
+    if (startTime !== null && !isValidStartTime(startTime)) {
+      throw new Error(`Invalid start time: ${startTime}`);
+    }
+    if (durationMinutes !== null && !isValidDuration(durationMinutes)) {
+      throw new Error(`Invalid duration: ${durationMinutes}`);
+    }
+    
+    return await db.tasks.update(taskId, { startTime, durationMinutes });
+  });
+}
+
+/**
+ * Set or clear a task's recurrence rule (see recurrence.js)
+ * The task becomes the occurrence for the current period; changing the rule starts the count again from today.
+ * Occurrences share a recurrenceId: the uid of the first one, which stays the same across devices and backups.
+ * @param {number} taskId - The ID of the task
+ * @param {Object|null} recurrence - A recurrence rule, or null to stop repeating
+ * @param {Date} [now=new Date()] - The current time
+ * @returns {Promise<number>} The number of tasks updated (0 if the rule is unchanged)
+ * @throws {Error} If the rule is invalid
+ */
+export async function updateTaskRecurrence(taskId, recurrence, now = new Date()) {
+  if (recurrence !== null && !isValidRecurrence(recurrence)) {
+    throw new Error(`Invalid recurrence: ${JSON.stringify(recurrence)}`);
+  }
+  return await recordUndoable('Change task repeat', async () => {
+    const task = await db.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    if (isSameRecurrence(task.recurrence ?? null, recurrence)) {
+      return 0;
+    }
+    if (recurrence === null) {
+      return await db.tasks.update(taskId, { recurrence: null });
+    }
+    const rule = normalizeRecurrence(recurrence);
+    return await db.tasks.update(taskId, {
+      recurrence: rule,
+      recurrenceId: task.recurrenceId ?? task.uid,
+      occurrenceStart: getPeriodStart(rule, now)
+    });
+  });
+}
+
+/**
+ * Add the next occurrence of a recurring task that was just archived, at the end of its list
+ * The occurrence is for the current period if the archived one is from an earlier period, otherwise for the next.
+ * Nothing is added while another occurrence of the same task is still on the board, or if its list is gone.
+ * @param {Object} task - The recurring task, as it was before it was archived
+ * @param {Date} now - The current time
+ * @returns {Promise<number|null>} The ID of the new task, or null if none was added
+ */
+async function createNextOccurrence(task, now) {
+  const rule = task.recurrence;
+  const recurrenceId = task.recurrenceId ?? task.uid;
+  const list = await db.lists.get(task.listId);
+  if (!list || list.archivedAt != null || isDeleted(list)) {
+    return null;
+  }
+  const hasOtherOccurrence = await db.tasks
+    .filter(other => other.id !== task.id && other.recurrence != null && other.recurrenceId === recurrenceId && isActiveTask(other))
+    .count() > 0;
+  if (hasOtherOccurrence) {
+    return null;
+  }
+  
+  const periodStart = task.occurrenceStart ?? getPeriodStart(rule, now);
+  const currentPeriodStart = getPeriodStart(rule, now, periodStart);
+  const existingTasks = await db.tasks
+    .where('listId')
+    .equals(task.listId)
+    .filter(isBacklogTask)
+    .toArray();
   
-  return await db.tasks.update(taskId, { text: taskText });
+  return await db.tasks.add({
+    text: task.text,
+    listId: task.listId,
+    order: getNextOrderValue(existingTasks),
+    status: 'unchecked',
+    dayOfWeek: null,
+    weekStart: null,
+    startTime: task.startTime ?? null,
+    durationMinutes: task.durationMinutes ?? null,
+    deletedAt: null,
+    recurrence: rule,
+    recurrenceId,
+    occurrenceStart: currentPeriodStart > periodStart ? currentPeriodStart : getNextPeriodStart(rule, periodStart)
+  });
+}
+
+/**
+ * Start a new period for recurring tasks: occurrences checked off in an earlier period are archived
+ * (keeping them in the archive as history) and replaced by a fresh unchecked copy at the end of their list.
+ * Occurrences that are still unchecked stay as they are. Not undoable, as it isn't a user action.
+ * @param {Date} [now=new Date()] - The current time
+ * @returns {Promise<number>} The number of occurrences added
+ */
+export async function regenerateRecurringTasks(now = new Date()) {
+  return await db.transaction('rw', db.lists, db.tasks, async () => {
+    const checkedOccurrences = await db.tasks
+      .filter(task => task.recurrence != null && task.status === 'checked' && !isDeleted(task))
+      .toArray();
+    let created = 0;
+    for (const task of checkedOccurrences) {
+      const periodStart = task.occurrenceStart ?? getPeriodStart(task.recurrence, now);
+      if (getPeriodStart(task.recurrence, now, periodStart) <= periodStart) {
+        continue; // Still in its own period
+      }
+      await db.tasks.update(task.id, { status: 'archived', archivedAt: now.getTime() });
+      if (await createNextOccurrence(task, now) !== null) {
+        created++;
+      }
+    }
+    return created;
+  });
 }
 
 /**
  * Update a task's status
+ * Archiving a recurring task adds its next occurrence at the end of the list (see createNextOccurrence).
  * @param {number} taskId - The ID of the task
  * @param {string} status - The new status ('unchecked', 'checked', 'archived')
  * @returns {Promise<number>} The number of tasks updated (should be 1)
  */
 export async function updateTaskStatus(taskId, status) {
-  if (!['unchecked', 'checked', 'archived'].includes(status)) {
-    throw new Error(`Invalid status: ${status}`);
-  }
-  
-  const updateData = { status };
-  
-  // Set archivedAt timestamp when archiving
-  if (status === 'archived') {
-    updateData.archivedAt = Date.now();
-  } else if (status !== 'archived') {
-    // Clear archivedAt when restoring or changing to non-archived status
-    updateData.archivedAt = null;
-  }
-  
-  return await db.tasks.update(taskId, updateData);
+  return await recordUndoable(STATUS_CHANGE_LABELS[status] ?? 'Update task', async () => {
+    if (!['unchecked', 'checked', 'archived'].includes(status)) {
+      throw new Error(`Invalid status: ${status}`);
+    }
+    
+    const task = status === 'archived' ? await db.tasks.get(taskId) : null;
+    const updateData = { status };
+    
+    // Set archivedAt timestamp when archiving
+    if (status === 'archived') {
+      updateData.archivedAt = Date.now();
+    } else if (status !== 'archived') {
+      // Clear archivedAt when restoring or changing to non-archived status
+      updateData.archivedAt = null;
+    }
+    
+    const updated = await db.tasks.update(taskId, updateData);
+    if (task?.recurrence && task.status !== 'archived' && !isDeleted(task)) {
+      await createNextOccurrence(task, new Date());
+    }
+    return updated;
+  }, { destructive: status === 'archived' });
+}
+
+/**
+ * Update the status of several tasks, undone in one step
+ * @param {Array<number>} taskIds - The IDs of the tasks
+ * @param {string} status - The new status ('unchecked', 'checked', 'archived')
+ * @returns {Promise<void>}
+ */
+export async function updateTasksStatus(taskIds, status) {
+  return await recordUndoable(BULK_STATUS_CHANGE_LABELS[status] ?? 'Update tasks', async () => {
+    for (const taskId of taskIds) {
+      await updateTaskStatus(taskId, status);
+    }
+  }, { destructive: status === 'archived' });
 }
 
 /**
@@ -258,42 +983,47 @@ export async function updateTaskStatus(taskId, status) {
  * @returns {Promise<{taskUpdated: number, listRestored: boolean}>} Object with task update count and whether list was restored
  */
 export async function restoreTask(taskId) {
-  // Get the task to find its listId
-  const task = await db.tasks.get(taskId);
-  if (!task) {
-    throw new Error(`Task ${taskId} not found`);
-  }
-  
-  // Check if the list exists and if it's archived
-  const list = await db.lists.get(task.listId);
-  if (!list) {
-    // List doesn't exist - deferred: will be handled when delete lists feature is added
-    throw new Error(`Task's list ${task.listId} not found`);
-  }
-  
-  let listRestored = false;
-  // If the list is archived, restore it first
-  if (list.archivedAt != null) {
-    await restoreList(task.listId);
-    listRestored = true;
-  }
-  
-  // Get existing tasks for this list to determine the next order value
-  const existingTasks = await db.tasks
-    .where('listId')
-    .equals(task.listId)
-    .filter(t => t.status !== 'archived' && t.id !== taskId)
-    .sortBy('order');
-  
-  const nextOrder = getNextOrderValue(existingTasks);
-  
-  // Update task status and order
-  const taskUpdated = await db.tasks.update(taskId, {
-    status: 'checked',
-    order: nextOrder
+  return await recordUndoable('Restore task', async () => {
+    // Get the task to find its listId
+    const task = await db.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    
+    // Check if the list exists and if it's archived
+    const list = await db.lists.get(task.listId);
+    if (!list) {
+      // List doesn't exist - deferred: will be handled when delete lists feature is added
+      throw new Error(`Task's list ${task.listId} not found`);
+    }
+    
+    let listRestored = false;
+    // If the list is archived, restore it first
+    if (list.archivedAt != null) {
+      await restoreList(task.listId);
+      listRestored = true;
+    }
+    
+    // Get existing tasks for this list to determine the next order value
+    const existingTasks = await db.tasks
+      .where('listId')
+      .equals(task.listId)
+      .filter(t => isBacklogTask(t) && t.id !== taskId)
+      .sortBy('order');
+    
+    const nextOrder = getNextOrderValue(existingTasks);
+    
+    // Update task status and order
+    // Restored tasks return to their list, even if they were archived from a day
+    const taskUpdated = await db.tasks.update(taskId, {
+      status: 'checked',
+      order: nextOrder,
+      dayOfWeek: null,
+      weekStart: null
+    });
+    
+    return { taskUpdated, listRestored };
   });
-  
-  return { taskUpdated, listRestored };
 }
 
 /**
@@ -304,30 +1034,32 @@ export async function restoreTask(taskId) {
  * @returns {Promise<void>}
  */
 export async function updateTaskOrder(listId, reorderedTasks) {
-  if (!reorderedTasks || reorderedTasks.length === 0) {
-    return; // No tasks to update
-  }
-  
-  // Validate that all tasks belong to the specified list
-  const taskIds = reorderedTasks.map(t => t.id);
-  const tasks = await db.tasks.bulkGet(taskIds);
-  const invalidTasks = tasks.filter(t => !t || t.listId !== listId);
-  if (invalidTasks.length > 0) {
-    throw new Error(`Cannot update order: some tasks do not belong to list ${listId}`);
-  }
-  
-  // Calculate new sequential order values based on array position
-  // Array index becomes the order value (0, 1, 2, 3...)
-  const updates = reorderedTasks.map((task, index) => ({
-    id: task.id,
-    order: index
-  }));
-  
-  // Update all tasks in a transaction for atomicity
-  await db.transaction('rw', db.tasks, async () => {
-    for (const update of updates) {
-      await db.tasks.update(update.id, { order: update.order });
+  return await recordUndoable('Reorder tasks', async () => {
+    if (!reorderedTasks || reorderedTasks.length === 0) {
+      return; // No tasks to update
+    }
+    
+    // Validate that all tasks belong to the specified list
+    const taskIds = reorderedTasks.map(t => t.id);
+    const tasks = await db.tasks.bulkGet(taskIds);
+    const invalidTasks = tasks.filter(t => !t || t.listId !== listId);
+    if (invalidTasks.length > 0) {
+      throw new Error(`Cannot update order: some tasks do not belong to list ${listId}`);
     }
+    
+    // Calculate new sequential order values based on array position
+    // Array index becomes the order value (0, 1, 2, 3...)
+    const updates = reorderedTasks.map((task, index) => ({
+      id: task.id,
+      order: index
+    }));
+    
+    // Update all tasks in a transaction for atomicity
+    await db.transaction('rw', db.tasks, async () => {
+      for (const update of updates) {
+        await db.tasks.update(update.id, { order: update.order });
+      }
+    });
   });
 }
 
@@ -339,57 +1071,167 @@ export async function updateTaskOrder(listId, reorderedTasks) {
  * @returns {Promise<void>}
  */
 export async function updateTaskOrderCrossList(destinationListId, newTasks) {
-  if (!newTasks || newTasks.length === 0) {
-    // If destination list is now empty, we still need to update source lists
-    // Get all tasks that might have been moved out
-    // But actually, if newTasks is empty, there's nothing to do
-    return;
-  }
-  
-  const taskIds = newTasks.map(t => t.id);
-  const currentTasks = await db.tasks.bulkGet(taskIds);
-  
-  // Filter out any tasks that don't exist
-  const validTasks = currentTasks.filter(t => t !== undefined);
-  if (validTasks.length === 0) {
-    return; // No valid tasks
-  }
-  
-  // Identify tasks that changed lists (moved from another list to this one)
-  const movedTasks = validTasks.filter(t => t.listId !== destinationListId);
-  const sourceListIds = new Set(movedTasks.map(t => t.listId));
-  
-  // Update all tasks in a transaction for atomicity
-  await db.transaction('rw', db.tasks, async () => {
-    // Step 1: Update listId and order for tasks in destination list
-    for (let index = 0; index < newTasks.length; index++) {
-      const taskId = newTasks[index].id;
-      const currentTask = validTasks.find(t => t.id === taskId);
-      if (!currentTask) continue;
+  return await recordUndoable('Move tasks', async () => {
+    if (!newTasks || newTasks.length === 0) {
+      // If destination list is now empty, we still need to update source lists
+      // Get all tasks that might have been moved out
+      // But actually, if newTasks is empty, there's nothing to do
+      return;
+    }
+    
+    const taskIds = newTasks.map(t => t.id);
+    const currentTasks = await db.tasks.bulkGet(taskIds);
+    
+    // Filter out any tasks that don't exist
+    const validTasks = currentTasks.filter(t => t !== undefined);
+    if (validTasks.length === 0) {
+      return; // No valid tasks
+    }
+    
+    // Identify tasks that changed lists (moved from another list to this one)
+    const movedTasks = validTasks.filter(t => t.listId !== destinationListId);
+    const sourceListIds = new Set(movedTasks.map(t => t.listId));
+    
+    // Tasks dropped back from the week section leave their day
+    const unscheduledTasks = validTasks.filter(t => t.dayOfWeek != null);
+    const sourceDays = uniqueDays(unscheduledTasks);
+    
+    // Update all tasks in a transaction for atomicity
+    await db.transaction('rw', db.tasks, async () => {
+      // Step 1: Update listId and order for tasks in destination list
+      for (let index = 0; index < newTasks.length; index++) {
+        const taskId = newTasks[index].id;
+        const currentTask = validTasks.find(t => t.id === taskId);
+        if (!currentTask) continue;
+        
+        const updates = { order: index };
+        // Update listId if task moved from another list
+        if (currentTask.listId !== destinationListId) {
+          updates.listId = destinationListId;
+        }
+        // Clear day assignment if task moved out of the week section
+        if (currentTask.dayOfWeek != null) {
+          updates.dayOfWeek = null;
+          updates.weekStart = null;
+        }
+        
+        await db.tasks.update(taskId, updates);
+      }
       
-      const updates = { order: index };
-      // Update listId if task moved from another list
-      if (currentTask.listId !== destinationListId) {
-        updates.listId = destinationListId;
+      // Step 2: Recalculate order for source lists (tasks that were moved out)
+      for (const sourceListId of sourceListIds) {
+        await resequenceListTasks(sourceListId);
       }
       
-      await db.tasks.update(taskId, updates);
+      // Step 3: Recalculate order for source days (tasks that were unscheduled)
+      for (const sourceDay of sourceDays) {
+        await resequenceDayTasks(sourceDay.weekStart, sourceDay.dayOfWeek);
+      }
+    });
+  });
+}
+
+/**
+ * Move several tasks to the end of a list, keeping their order
+ * Tasks on a day of the week leave the day.
+ * @param {Array<number>} taskIds - The IDs of the tasks, in the order they should have
+ * @param {number} listId - The ID of the destination list
+ * @returns {Promise<void>}
+ */
+export async function appendTasksToList(taskIds, listId) {
+  return await recordUndoable('Move tasks', async () => {
+    const remainingTasks = (await getTasksForList(listId)).filter(task => !taskIds.includes(task.id));
+    await updateTaskOrderCrossList(listId, [...remainingTasks, ...taskIds.map(id => ({ id }))]);
+  });
+}
+
+/**
+ * Update task order for a day of a week, with support for moves from lists and other days
+ * Tasks keep their listId so they can return to their list when unscheduled
+ * @param {string} weekStart - The week start ('YYYY-MM-DD' Monday)
+ * @param {number} dayOfWeek - The day index where tasks were dropped (0 = Monday ... 6 = Sunday)
+ * @param {Array<{id: number}>} newTasks - Array of tasks in their new order for the day (must include id field)
+ * @returns {Promise<void>}
+ */
+export async function updateTaskDayOrder(weekStart, dayOfWeek, newTasks) {
+  return await recordUndoable('Move tasks', async () => {
+    assertValidWeekStart(weekStart);
+    assertValidDayOfWeek(dayOfWeek);
+    
+    if (!newTasks || newTasks.length === 0) {
+      return;
     }
     
-    // Step 2: Recalculate order for source lists (tasks that were moved out)
-    for (const sourceListId of sourceListIds) {
-      // Get all remaining tasks in the source list (excluding archived)
-      const remainingTasks = await db.tasks
-        .where('listId')
-        .equals(sourceListId)
-        .filter(task => task.status !== 'archived')
-        .sortBy('order');
+    const taskIds = newTasks.map(t => t.id);
+    const currentTasks = await db.tasks.bulkGet(taskIds);
+    const validTasks = currentTasks.filter(t => t !== undefined);
+    if (validTasks.length === 0) {
+      return; // No valid tasks
+    }
+    
+    // Tasks coming from a list backlog leave a gap in that list's order
+    const sourceListIds = new Set(validTasks.filter(t => t.dayOfWeek == null).map(t => t.listId));
+    // Tasks coming from another day (of this or another week) leave a gap in that day's order
+    const sourceDays = uniqueDays(
+      validTasks.filter(t => t.dayOfWeek != null && (t.dayOfWeek !== dayOfWeek || t.weekStart !== weekStart))
+    );
+    
+    await db.transaction('rw', db.tasks, async () => {
+      // Step 1: Update weekStart, dayOfWeek and order for tasks in the target day
+      for (let index = 0; index < newTasks.length; index++) {
+        const taskId = newTasks[index].id;
+        const currentTask = validTasks.find(t => t.id === taskId);
+        if (!currentTask) continue;
+        
+        await db.tasks.update(taskId, { weekStart, dayOfWeek, order: index });
+      }
       
-      // Recalculate sequential order values (0, 1, 2, 3...)
-      for (let index = 0; index < remainingTasks.length; index++) {
-        await db.tasks.update(remainingTasks[index].id, { order: index });
+      // Step 2: Recalculate order for source lists and days
+      for (const sourceListId of sourceListIds) {
+        await resequenceListTasks(sourceListId);
+      }
+      for (const sourceDay of sourceDays) {
+        await resequenceDayTasks(sourceDay.weekStart, sourceDay.dayOfWeek);
       }
+    });
+  });
+}
+
+/**
+ * Assign a task to a day of a week, appending it to the end of that day
+ * @param {number} taskId - The ID of the task
+ * @param {string} weekStart - The week start ('YYYY-MM-DD' Monday)
+ * @param {number} dayOfWeek - The day index (0 = Monday ... 6 = Sunday)
+ * @returns {Promise<void>}
+ */
+export async function assignTaskToDay(taskId, weekStart, dayOfWeek) {
+  return await recordUndoable('Schedule task', async () => {
+    assertValidWeekStart(weekStart);
+    assertValidDayOfWeek(dayOfWeek);
+    
+    const dayTasks = await getTasksForDay(weekStart, dayOfWeek);
+    const newTasks = [...dayTasks.filter(t => t.id !== taskId), { id: taskId }];
+    await updateTaskDayOrder(weekStart, dayOfWeek, newTasks);
+  });
+}
+
+/**
+ * Remove a task from its day of the week, returning it to the end of its list
+ * @param {number} taskId - The ID of the task
+ * @returns {Promise<void>}
+ */
+export async function unscheduleTask(taskId) {
+  return await recordUndoable('Unschedule task', async () => {
+    const task = await db.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    if (task.dayOfWeek == null) {
+      return; // Already in its list
     }
+    
+    const listTasks = await getTasksForList(task.listId);
+    await updateTaskOrderCrossList(task.listId, [...listTasks, { id: taskId }]);
   });
 }
 
@@ -399,8 +1241,10 @@ export async function updateTaskOrderCrossList(destinationListId, newTasks) {
  * @returns {Promise<number>} The number of lists updated (should be 1)
  */
 export async function archiveList(listId) {
-  const archivedAt = Date.now();
-  return await db.lists.update(listId, { archivedAt });
+  return await recordUndoable('Archive list', async () => {
+    const archivedAt = Date.now();
+    return await db.lists.update(listId, { archivedAt });
+  }, { destructive: true });
 }
 
 /**
@@ -409,7 +1253,9 @@ export async function archiveList(listId) {
  * @returns {Promise<number>} The number of lists updated (should be 1)
  */
 export async function restoreList(listId) {
-  return await db.lists.update(listId, { archivedAt: null });
+  return await recordUndoable('Restore list', async () => {
+    return await db.lists.update(listId, { archivedAt: null });
+  });
 }
 
 /**
@@ -419,26 +1265,28 @@ export async function restoreList(listId) {
  * @returns {Promise<number>} The number of tasks archived
  */
 export async function archiveAllTasksInList(listId) {
-  const archivedAt = Date.now();
-  
-  // Get all active tasks in the list
-  const activeTasks = await db.tasks
-    .where('listId')
-    .equals(listId)
-    .filter(task => task.status === 'unchecked' || task.status === 'checked')
-    .toArray();
-  
-  // Archive each task
-  const updatePromises = activeTasks.map(task =>
-    db.tasks.update(task.id, {
-      status: 'archived',
-      archivedAt: archivedAt
-    })
-  );
-  
-  await Promise.all(updatePromises);
-  
-  return activeTasks.length;
+  return await recordUndoable('Archive tasks', async () => {
+    const archivedAt = Date.now();
+    
+    // Get all active tasks in the list
+    const activeTasks = await db.tasks
+      .where('listId')
+      .equals(listId)
+      .filter(isActiveTask)
+      .toArray();
+    
+    // Archive each task
+    const updatePromises = activeTasks.map(task =>
+      db.tasks.update(task.id, {
+        status: 'archived',
+        archivedAt: archivedAt
+      })
+    );
+    
+    await Promise.all(updatePromises);
+    
+    return activeTasks.length;
+  }, { destructive: true });
 }
 
 /**
@@ -448,30 +1296,32 @@ export async function archiveAllTasksInList(listId) {
  * @returns {Promise<void>}
  */
 export async function updateListOrder(reorderedLists) {
-  if (!reorderedLists || reorderedLists.length === 0) {
-    return; // No lists to update
-  }
-  
-  // Validate that all lists exist
-  const listIds = reorderedLists.map(l => l.id);
-  const lists = await db.lists.bulkGet(listIds);
-  const invalidLists = lists.filter(l => !l);
-  if (invalidLists.length > 0) {
-    throw new Error('Cannot update order: some lists do not exist');
-  }
-  
-  // Calculate new sequential order values based on array position
-  // Array index becomes the order value (0, 1, 2, 3...)
-  const updates = reorderedLists.map((list, index) => ({
-    id: list.id,
-    order: index
-  }));
-  
-  // Update all lists in a transaction for atomicity
-  await db.transaction('rw', db.lists, async () => {
-    for (const update of updates) {
-      await db.lists.update(update.id, { order: update.order });
+  return await recordUndoable('Reorder lists', async () => {
+    if (!reorderedLists || reorderedLists.length === 0) {
+      return; // No lists to update
+    }
+    
+    // Validate that all lists exist
+    const listIds = reorderedLists.map(l => l.id);
+    const lists = await db.lists.bulkGet(listIds);
+    const invalidLists = lists.filter(l => !l);
+    if (invalidLists.length > 0) {
+      throw new Error('Cannot update order: some lists do not exist');
     }
+    
+    // Calculate new sequential order values based on array position
+    // Array index becomes the order value (0, 1, 2, 3...)
+    const updates = reorderedLists.map((list, index) => ({
+      id: list.id,
+      order: index
+    }));
+    
+    // Update all lists in a transaction for atomicity
+    await db.transaction('rw', db.lists, async () => {
+      for (const update of updates) {
+        await db.lists.update(update.id, { order: update.order });
+      }
+    });
   });
 }
 
@@ -483,75 +1333,716 @@ export async function updateListOrder(reorderedLists) {
  * @returns {Promise<void>}
  */
 export async function updateListOrderWithColumn(targetColumnIndex, reorderedLists) {
-  if (!reorderedLists || reorderedLists.length === 0) {
-    return; // No lists to update
-  }
-  
-  // Validate column index
-  if (targetColumnIndex < 0 || targetColumnIndex >= 5) {
-    throw new Error(`Invalid column index: ${targetColumnIndex}`);
-  }
-  
-  // Validate that all lists exist
-  const listIds = reorderedLists.map(l => l.id);
-  const lists = await db.lists.bulkGet(listIds);
-  const invalidLists = lists.filter(l => !l);
-  if (invalidLists.length > 0) {
-    throw new Error('Cannot update order: some lists do not exist');
-  }
-  
-  // Get current list data to detect column changes
-  const currentLists = lists.filter(l => l !== undefined);
-  
-  // Identify lists that changed columns (moved from another column to this one)
-  const movedLists = currentLists.filter(l => (l.columnIndex ?? 0) !== targetColumnIndex);
-  const sourceColumnIndices = new Set(movedLists.map(l => l.columnIndex ?? 0));
-  
-  // Update all lists in a transaction for atomicity
-  await db.transaction('rw', db.lists, async () => {
-    // Step 1: Update columnIndex and order for lists in target column
-    const affectedSourceColumns = new Set();
-    for (let index = 0; index < reorderedLists.length; index++) {
-      const listId = reorderedLists[index].id;
-      const currentList = currentLists.find(l => l.id === listId);
-      if (!currentList) continue;
+  return await recordUndoable('Move lists', async () => {
+    if (!reorderedLists || reorderedLists.length === 0) {
+      return; // No lists to update
+    }
+    
+    // Validate column index
+    const columnCount = await getColumnCount();
+    if (targetColumnIndex < 0 || targetColumnIndex >= columnCount) {
+      throw new Error(`Invalid column index: ${targetColumnIndex}`);
+    }
+    
+    // Validate that all lists exist
+    const listIds = reorderedLists.map(l => l.id);
+    const lists = await db.lists.bulkGet(listIds);
+    const invalidLists = lists.filter(l => !l);
+    if (invalidLists.length > 0) {
+      throw new Error('Cannot update order: some lists do not exist');
+    }
+    
+    // Get current list data to detect column changes
+    const currentLists = lists.filter(l => l !== undefined);
+    
+    // Identify lists that changed columns (moved from another column to this one)
+    const movedLists = currentLists.filter(l => (l.columnIndex ?? 0) !== targetColumnIndex);
+    const sourceColumnIndices = new Set(movedLists.map(l => l.columnIndex ?? 0));
+    
+    // Update all lists in a transaction for atomicity
+    await db.transaction('rw', db.lists, async () => {
+      // Step 1: Update columnIndex and order for lists in target column
+      const affectedSourceColumns = new Set();
+      for (let index = 0; index < reorderedLists.length; index++) {
+        const listId = reorderedLists[index].id;
+        const currentList = currentLists.find(l => l.id === listId);
+        if (!currentList) continue;
+        
+        const updates = { order: index };
+        // Update columnIndex if list moved from another column
+        const oldColumnIndex = currentList.columnIndex ?? 0;
+        if (oldColumnIndex !== targetColumnIndex) {
+          updates.columnIndex = targetColumnIndex;
+          affectedSourceColumns.add(oldColumnIndex);
+        }
+        
+        await db.lists.update(listId, updates);
+      }
       
-      const updates = { order: index };
-      // Update columnIndex if list moved from another column
-      const oldColumnIndex = currentList.columnIndex ?? 0;
-      if (oldColumnIndex !== targetColumnIndex) {
-        updates.columnIndex = targetColumnIndex;
-        affectedSourceColumns.add(oldColumnIndex);
+      // Step 2: Recalculate order for affected columns
+      // Get all active lists
+      const allLists = await db.lists.orderBy('order').toArray();
+      const activeLists = allLists.filter(list => list.archivedAt == null && !isDeleted(list));
+      
+      // Group lists by column
+      const listsByColumn = Array(columnCount).fill(null).map(() => []);
+      for (const list of activeLists) {
+        listsByColumn[clampColumnIndex(list.columnIndex ?? 0, columnCount)].push(list);
       }
       
-      await db.lists.update(listId, updates);
+      // Recalculate order for target column and affected source columns
+      const columnsToRecalculate = new Set(
+        [targetColumnIndex, ...affectedSourceColumns].map(colIndex => clampColumnIndex(colIndex, columnCount))
+      );
+      for (const colIndex of columnsToRecalculate) {
+        const columnLists = listsByColumn[colIndex];
+        // Sort by current order to maintain relative order
+        columnLists.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+        
+        // Update order values sequentially
+        for (let index = 0; index < columnLists.length; index++) {
+          await db.lists.update(columnLists[index].id, { order: index });
+        }
+      }
+    });
+  });
+}
+
+
+/**
+ * Count the tasks affected by deleting an archived list (for the delete confirmation)
+ * @param {number} listId - The ID of the archived list
+ * @returns {Promise<{listArchivedAt: number, sameDayCount: number, otherCount: number}>}
+ *   Tasks archived on the day the list was archived, and tasks that would be orphaned
+ * @throws {Error} If the list does not exist or is not archived
+ */
+export async function getListDeletionSummary(listId) {
+  const list = await db.lists.get(listId);
+  if (!list || isDeleted(list)) {
+    throw new Error(`List ${listId} not found`);
+  }
+  if (list.archivedAt == null) {
+    throw new Error('Only archived lists can be deleted');
+  }
+  const { sameDayTasks, otherTasks } = await partitionTasksByListArchiveDay(list);
+  return { listArchivedAt: list.archivedAt, sameDayCount: sameDayTasks.length, otherCount: otherTasks.length };
+}
+
+/**
+ * Move an archived list to the trash (soft delete via deletedAt)
+ * 'sameDay' deletes the tasks archived on the day the list was archived and moves the remaining
+ * tasks to the Orphaned list; 'all' deletes every task of the list.
+ * The list and its deleted tasks share one deletedAt value, so they can be restored together.
+ * @param {number} listId - The ID of the archived list
+ * @param {'sameDay'|'all'} mode - Which tasks to delete with the list
+ * @returns {Promise<{deleted: number, orphaned: number}>} Number of tasks deleted and orphaned
+ * @throws {Error} If the mode is invalid, or the list does not exist or is not archived
+ */
+export async function deleteList(listId, mode) {
+  return await recordUndoable('Delete list', async () => {
+    if (mode !== 'sameDay' && mode !== 'all') {
+      throw new Error(`Invalid delete mode: ${mode}`);
+    }
+    const list = await db.lists.get(listId);
+    if (!list || isDeleted(list)) {
+      throw new Error(`List ${listId} not found`);
+    }
+    if (list.archivedAt == null) {
+      throw new Error('Only archived lists can be deleted');
     }
     
-    // Step 2: Recalculate order for affected columns
-    // Get all active lists
-    const allLists = await db.lists.orderBy('order').toArray();
-    const activeLists = allLists.filter(list => list.archivedAt == null);
+    const { sameDayTasks, otherTasks } = await partitionTasksByListArchiveDay(list);
+    const tasksToDelete = mode === 'all' ? [...sameDayTasks, ...otherTasks] : sameDayTasks;
+    const orphanedTasks = mode === 'all' ? [] : otherTasks;
     
-    // Group lists by column
-    const listsByColumn = Array(5).fill(null).map(() => []);
-    for (const list of activeLists) {
-      const colIndex = list.columnIndex ?? 0;
-      const safeColIndex = colIndex >= 5 ? 4 : colIndex;
-      listsByColumn[safeColIndex].push(list);
+    const deletedAt = Date.now();
+    await db.lists.update(listId, { deletedAt });
+    for (const task of tasksToDelete) {
+      await db.tasks.update(task.id, { deletedAt });
+    }
+    // The list is deleted first, so deleting the Orphaned list itself orphans into a new one
+    if (orphanedTasks.length > 0) {
+      await moveTasksToList(orphanedTasks, await getOrCreateOrphanedListId());
     }
     
-    // Recalculate order for target column and affected source columns
-    const columnsToRecalculate = new Set([targetColumnIndex, ...affectedSourceColumns]);
-    for (const colIndex of columnsToRecalculate) {
-      const columnLists = listsByColumn[colIndex];
-      // Sort by current order to maintain relative order
-      columnLists.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
-      
-      // Update order values sequentially
-      for (let index = 0; index < columnLists.length; index++) {
-        await db.lists.update(columnLists[index].id, { order: index });
+    return { deleted: tasksToDelete.length, orphaned: orphanedTasks.length };
+  }, { destructive: true });
+}
+
+/**
+ * Move a task to the trash (soft delete via deletedAt)
+ * @param {number} taskId - The ID of the task
+ * @returns {Promise<void>}
+ * @throws {Error} If the task does not exist
+ */
+export async function deleteTask(taskId) {
+  return await recordUndoable('Delete task', async () => {
+    const task = await db.tasks.get(taskId);
+    if (!task || isDeleted(task)) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    
+    await db.tasks.update(taskId, { deletedAt: Date.now() });
+    
+    // Close the gap the task leaves in its list or day
+    if (isActiveTask(task)) {
+      if (task.dayOfWeek != null) {
+        await resequenceDayTasks(task.weekStart, task.dayOfWeek);
+      } else {
+        await resequenceListTasks(task.listId);
+      }
+    }
+  }, { destructive: true });
+}
+
+/**
+ * Move several tasks to the trash, undone in one step
+ * @param {Array<number>} taskIds - The IDs of the tasks
+ * @returns {Promise<void>}
+ * @throws {Error} If one of the tasks does not exist (none are deleted)
+ */
+export async function deleteTasks(taskIds) {
+  return await recordUndoable('Delete tasks', async () => {
+    for (const taskId of taskIds) {
+      await deleteTask(taskId);
+    }
+  }, { destructive: true });
+}
+
+/**
+ * Fetch all lists in the trash, most recently deleted first
+ * @returns {Promise<Array>} Array of deleted list objects
+ */
+export async function getDeletedLists() {
+  const lists = await db.lists.where('deletedAt').above(0).toArray();
+  return lists.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Fetch all tasks in the trash, most recently deleted first
+ * Includes tasks deleted together with a list (same listId and deletedAt as the list)
+ * @returns {Promise<Array>} Array of deleted task objects
+ */
+export async function getDeletedTasks() {
+  const tasks = await db.tasks.where('deletedAt').above(0).toArray();
+  return tasks.sort((a, b) => b.deletedAt - a.deletedAt || a.order - b.order);
+}
+
+/**
+ * Restore a list from the trash, together with the tasks deleted with it
+ * The list comes back archived (as it was when deleted); tasks orphaned by the deletion stay in the Orphaned list.
+ * @param {number} listId - The ID of the deleted list
+ * @returns {Promise<number>} The number of tasks restored with the list
+ * @throws {Error} If the list is not in the trash
+ */
+export async function restoreDeletedList(listId) {
+  return await recordUndoable('Restore list from trash', async () => {
+    const list = await db.lists.get(listId);
+    if (!list || !isDeleted(list)) {
+      throw new Error(`List ${listId} is not in the trash`);
+    }
+    
+    const deletedTogether = await db.tasks
+      .where('listId')
+      .equals(listId)
+      .filter(task => task.deletedAt === list.deletedAt)
+      .toArray();
+    await db.lists.update(listId, { deletedAt: null });
+    for (const task of deletedTogether) {
+      await db.tasks.update(task.id, { deletedAt: null });
+    }
+    return deletedTogether.length;
+  });
+}
+
+/**
+ * Restore a task from the trash
+ * Active tasks return to the end of their list or day; tasks whose list is gone (or still in
+ * the trash) are moved to the Orphaned list.
+ * @param {number} taskId - The ID of the deleted task
+ * @returns {Promise<void>}
+ * @throws {Error} If the task is not in the trash
+ */
+export async function restoreDeletedTask(taskId) {
+  return await recordUndoable('Restore task from trash', async () => {
+    const task = await db.tasks.get(taskId);
+    if (!task || !isDeleted(task)) {
+      throw new Error(`Task ${taskId} is not in the trash`);
+    }
+    
+    const list = await db.lists.get(task.listId);
+    const listId = list && !isDeleted(list) ? task.listId : await getOrCreateOrphanedListId();
+    const updates = { deletedAt: null, listId };
+    if (task.status !== 'archived') {
+      const destinationTasks = task.dayOfWeek != null
+        ? await getTasksForDay(task.weekStart, task.dayOfWeek)
+        : await getTasksForList(listId);
+      updates.order = getNextOrderValue(destinationTasks);
+    }
+    await db.tasks.update(taskId, updates);
+  });
+}
+
+/**
+ * Permanently remove a list from the trash, with the tasks deleted together with it
+ * @param {number} listId - The ID of the deleted list
+ * @returns {Promise<void>}
+ * @throws {Error} If the list is not in the trash
+ */
+export async function purgeDeletedList(listId) {
+  return await recordUndoable('Delete list permanently', async () => {
+    const list = await db.lists.get(listId);
+    if (!list || !isDeleted(list)) {
+      throw new Error(`List ${listId} is not in the trash`);
+    }
+    // Every task still pointing at a deleted list is itself deleted (the rest were orphaned)
+    await db.tasks.where('listId').equals(listId).filter(isDeleted).delete();
+    await db.lists.delete(listId);
+  }, { destructive: true });
+}
+
+/**
+ * Permanently remove a task from the trash
+ * @param {number} taskId - The ID of the deleted task
+ * @returns {Promise<void>}
+ * @throws {Error} If the task is not in the trash
+ */
+export async function purgeDeletedTask(taskId) {
+  return await recordUndoable('Delete task permanently', async () => {
+    const task = await db.tasks.get(taskId);
+    if (!task || !isDeleted(task)) {
+      throw new Error(`Task ${taskId} is not in the trash`);
+    }
+    await db.tasks.delete(taskId);
+  }, { destructive: true });
+}
+
+/**
+ * Permanently remove everything in the trash
+ * @returns {Promise<{lists: number, tasks: number}>} Number of lists and tasks removed
+ */
+export async function emptyTrash() {
+  return await recordUndoable('Empty trash', async () => {
+    const tasks = await db.tasks.where('deletedAt').above(0).delete();
+    const lists = await db.lists.where('deletedAt').above(0).delete();
+    return { lists, tasks };
+  }, { destructive: true });
+}
+
+/**
+ * A task as it appeared on the printed sheet
+ * @typedef {Object} PrintedTask
+ * @property {number} id - The task ID
+ * @property {string} text - The task text at print time
+ * @property {string} status - The task status at print time ('unchecked' | 'checked')
+ * @property {number} listId - The task's list
+ * @property {string} listName - Name of the task's list
+ * @property {number} order - Position within its list or day
+ * @property {string|null} weekStart - The week of its day, or null for board tasks
+ * @property {number|null} dayOfWeek - The day the task was printed under, or null for board tasks
+ * @property {string|null} startTime - Start time ('HH:MM'), if scheduled
+ * @property {number|null} durationMinutes - Duration, if scheduled
+ * @property {{x: number, y: number, width: number, height: number}|null} [checkbox] - Where its checkbox was printed (sheet pixels), if known
+ */
+
+/**
+ * A snapshot of the sheet, stored in the print history each time it is printed
+ * @typedef {Object} PrintSnapshot
+ * @property {number} id - The print history ID
+ * @property {number} printedAt - Print timestamp
+ * @property {string} weekStart - The week shown on the sheet ('YYYY-MM-DD' Monday)
+ * @property {{paperFormat: {size: string, orientation: string}, columnCount: number, fontSize: string|null, printScale: number}} layout - How the sheet was laid out
+ * @property {{width: number, height: number}|null} sheet - Sheet size, when checkbox positions are known (for scanning)
+ * @property {Array<{id: number, name: string|null, columnIndex: number, order: number, writeInLines: number|string}>} lists - Board lists,
+ *   left to right and top to bottom, with the write-in lines printed under them
+ * @property {Array<PrintedTask>} tasks - Day tasks (Monday to Sunday) followed by board tasks (in board order)
+ * @property {Array<Object>} events - Calendar events of the week
+ * @property {number|null} reconciledAt - When the print was reconciled, or null
+ */
+
+/**
+ * Collect the lists and tasks shown on the sheet for a week
+ * @param {string} weekStart - The week start ('YYYY-MM-DD' Monday)
+ * @returns {Promise<{lists: Array<Object>, tasks: Array<PrintedTask>}>} Board lists and sheet tasks, in sheet order
+ */
+export async function getSheetContents(weekStart) {
+  const columnCount = await getColumnCount();
+  const defaultWriteInLines = await getWriteInLines();
+  const listNames = new Map((await getAllListsIncludingArchived()).map(list => [list.id, list.name]));
+  const boardLists = (await getAllLists())
+    .map(list => ({
+      id: list.id,
+      name: list.name ?? null,
+      columnIndex: clampColumnIndex(list.columnIndex ?? 0, columnCount),
+      order: list.order ?? 0,
+      writeInLines: list.writeInLines ?? defaultWriteInLines
+    }))
+    .sort((a, b) => a.columnIndex - b.columnIndex || a.order - b.order);
+
+  const dayTasks = [];
+  for (let dayOfWeek = 0; dayOfWeek < 7; dayOfWeek++) {
+    dayTasks.push(...await getTasksForDay(weekStart, dayOfWeek));
+  }
+  const boardTasks = [];
+  for (const list of boardLists) {
+    boardTasks.push(...await getTasksForList(list.id));
+  }
+
+  const toPrintedTask = (task) => ({
+    id: task.id,
+    text: task.text,
+    status: task.status,
+    listId: task.listId,
+    listName: listNames.get(task.listId) ?? '',
+    order: task.order,
+    weekStart: task.dayOfWeek != null ? task.weekStart : null,
+    dayOfWeek: task.dayOfWeek ?? null,
+    startTime: task.startTime ?? null,
+    durationMinutes: task.durationMinutes ?? null
+  });
+  return { lists: boardLists, tasks: [...dayTasks, ...boardTasks].map(toPrintedTask) };
+}
+
+/**
+ * Add a snapshot of the sheet about to be printed to the print history
+ * @param {Object} [options]
+ * @param {{width: number, height: number, checkboxes: Object<number, Object>}|null} [options.sheet=null] - Sheet size and
+ *   checkbox positions per task ID (see measureCheckboxPositions), kept so a photo of the sheet can be scanned
+ * @param {string|null} [options.fontSize=null] - Font size preset the sheet is printed with
+ * @param {number} [options.printScale=1] - Auto-fit scale applied to the printed text
+ * @returns {Promise<PrintSnapshot>} The stored snapshot
+ */
+export async function savePrintSnapshot({ sheet = null, fontSize = null, printScale = 1 } = {}) {
+  return await db.transaction('rw', [db.lists, db.tasks, db.preferences, db.calendarEvents, db.printHistory], async () => {
+    const weekStart = await getCurrentWeekStart();
+    const { lists, tasks } = await getSheetContents(weekStart);
+    const snapshot = {
+      printedAt: Date.now(),
+      weekStart,
+      layout: { paperFormat: await getPaperFormat(), columnCount: await getColumnCount(), fontSize, printScale },
+      sheet: sheet ? { width: sheet.width, height: sheet.height } : null,
+      lists,
+      tasks: tasks.map(task => ({ ...task, checkbox: sheet?.checkboxes[task.id] ?? null })),
+      events: await getCalendarEventsForWeek(weekStart),
+      reconciledAt: null
+    };
+    snapshot.id = await db.printHistory.add(snapshot);
+
+    const excess = await db.printHistory.count() - MAX_PRINT_HISTORY_LENGTH;
+    if (excess > 0) {
+      await db.printHistory.bulkDelete(await db.printHistory.limit(excess).primaryKeys());
+    }
+    return snapshot;
+  });
+}
+
+/**
+ * Fetch the print history, most recent print first
+ * @returns {Promise<Array<PrintSnapshot>>} Array of print snapshots
+ */
+export async function getPrintHistory() {
+  return await db.printHistory.reverse().toArray();
+}
+
+/**
+ * Get the snapshot taken when the sheet was last printed
+ * @returns {Promise<PrintSnapshot|null>} The snapshot, or null if nothing has been printed
+ */
+export async function getLastPrintSnapshot() {
+  return (await db.printHistory.toCollection().last()) ?? null;
+}
+
+/**
+ * Apply what was marked on the last printed sheet and mark that print as reconciled
+ * Each choice becomes a status change through updateTaskStatus, recorded as a single undoable action.
+ * Carried-over tasks of the printed week's days also move to the same day of the next week, so they
+ * show up on the next sheet. Tasks deleted or archived since printing, and tasks the choice doesn't
+ * change, are left alone.
+ * @param {Object<number, 'done'|'archived'|'carryOver'>} decisions - Choice per printed task ID
+ * @returns {Promise<{updated: number, skipped: number}>} Number of tasks changed and left alone
+ */
+export async function applyPrintReconciliation(decisions) {
+  const entries = Object.entries(decisions);
+  for (const [, decision] of entries) {
+    if (!(decision in RECONCILE_STATUSES)) {
+      throw new Error(`Invalid reconciliation choice: ${decision}`);
+    }
+  }
+
+  const snapshot = await getLastPrintSnapshot();
+  const result = await recordUndoable('Reconcile print', async () => {
+    let updated = 0;
+    for (const [taskId, decision] of entries) {
+      const task = await db.tasks.get(Number(taskId));
+      if (!task || isDeleted(task) || task.status === 'archived') {
+        continue;
+      }
+      const status = RECONCILE_STATUSES[decision];
+      const carriedToNextWeek = decision === 'carryOver' && task.dayOfWeek != null && task.weekStart === snapshot?.weekStart;
+      if (task.status === status && !carriedToNextWeek) {
+        continue;
+      }
+      if (task.status !== status) {
+        await updateTaskStatus(task.id, status);
       }
+      if (carriedToNextWeek) {
+        await assignTaskToDay(task.id, addWeeks(task.weekStart, 1), task.dayOfWeek);
+      }
+      updated++;
     }
+    return { updated, skipped: entries.length - updated };
+  }, { destructive: entries.some(([, decision]) => decision === 'archived') });
+
+  if (snapshot) {
+    await db.printHistory.update(snapshot.id, { reconciledAt: Date.now() });
+  }
+  return result;
+}
+
+/**
+ * Fetch calendar events that start within a week, sorted by date then start time
+ * All-day events come before timed events on the same day
+ * @param {string} weekStart - The week start ('YYYY-MM-DD' Monday)
+ * @returns {Promise<Array>} Array of calendar event objects
+ */
+export async function getCalendarEventsForWeek(weekStart) {
+  const weekEnd = addWeeks(weekStart, 1);
+  const events = await db.calendarEvents
+    .where('date')
+    .between(weekStart, weekEnd, true, false)
+    .toArray();
+  
+  return events.sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    return (a.startTime || '').localeCompare(b.startTime || '');
   });
 }
 
+/**
+ * Replace all stored events from a calendar source (used after a full sync or import)
+ * @param {string} source - The calendar source ID (e.g. 'google')
+ * @param {Array<Object>} events - Normalized events (must include externalId)
+ * @returns {Promise<void>}
+ */
+export async function replaceCalendarEvents(source, events) {
+  await db.transaction('rw', db.calendarEvents, async () => {
+    await db.calendarEvents.where('source').equals(source).delete();
+    await db.calendarEvents.bulkPut(events.map(event => toStoredCalendarEvent(source, event)));
+  });
+}
+
+/**
+ * Apply incremental changes from a calendar source
+ * @param {string} source - The calendar source ID (e.g. 'google')
+ * @param {Array<Object>} events - Created or updated events (must include externalId)
+ * @param {Array<string>} deletedExternalIds - External IDs of events removed at the source
+ * @returns {Promise<void>}
+ */
+export async function applyCalendarEventChanges(source, events, deletedExternalIds = []) {
+  await db.transaction('rw', db.calendarEvents, async () => {
+    await db.calendarEvents.bulkDelete(deletedExternalIds.map(externalId => `${source}:${externalId}`));
+    await db.calendarEvents.bulkPut(events.map(event => toStoredCalendarEvent(source, event)));
+  });
+}
+
+/**
+ * Delete all stored events from a calendar source
+ * @param {string} source - The calendar source ID
+ * @returns {Promise<number>} The number of events deleted
+ */
+export async function deleteCalendarEvents(source) {
+  return await db.calendarEvents.where('source').equals(source).delete();
+}
+
+/**
+ * Read an entry from the calendarSyncState table
+ * @param {string} key - The sync state key (e.g. 'google')
+ * @returns {Promise<Object|null>} The stored state (without its key), or null
+ */
+export async function getCalendarSyncState(key) {
+  const entry = await db.calendarSyncState.get(key);
+  if (!entry) {
+    return null;
+  }
+  const { key: _key, ...state } = entry;
+  return state;
+}
+
+/**
+ * Merge values into an entry of the calendarSyncState table
+ * @param {string} key - The sync state key (e.g. 'google')
+ * @param {Object} values - Values to merge into the stored state
+ * @returns {Promise<void>}
+ */
+export async function setCalendarSyncState(key, values) {
+  await db.transaction('rw', db.calendarSyncState, async () => {
+    const existing = await db.calendarSyncState.get(key);
+    await db.calendarSyncState.put({ ...existing, ...values, key });
+  });
+}
+
+/**
+ * Remove an entry from the calendarSyncState table
+ * @param {string} key - The sync state key
+ * @returns {Promise<void>}
+ */
+export async function deleteCalendarSyncState(key) {
+  await db.calendarSyncState.delete(key);
+}
+
+/**
+ * List calendarSyncState entries whose key starts with a prefix (e.g. 'ics:' for imported files)
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<Array<Object>>} Stored states including their key, ordered by key
+ */
+export async function getCalendarSyncStatesWithPrefix(prefix) {
+  return await db.calendarSyncState.where('key').startsWith(prefix).toArray();
+}
+
+/**
+ * Read every list, task (including archived) and preference, for backups
+ * @returns {Promise<{lists: Array, tasks: Array, preferences: Array}>} Raw table contents ordered by ID
+ */
+export async function exportDatabaseData() {
+  return await db.transaction('r', db.lists, db.tasks, db.preferences, async () => ({
+    lists: await db.lists.toArray(),
+    tasks: await db.tasks.toArray(),
+    preferences: await db.preferences.toArray()
+  }));
+}
+
+/**
+ * Replace all lists, tasks and preferences with backup data (IDs are kept)
+ * @param {{lists: Array, tasks: Array, preferences: Array}} data - Validated, migrated backup data
+ * @returns {Promise<void>}
+ */
+export async function replaceDatabaseData(data) {
+  await db.transaction('rw', db.lists, db.tasks, db.preferences, async () => {
+    await db.lists.clear();
+    await db.tasks.clear();
+    await db.preferences.clear();
+    await db.lists.bulkAdd(data.lists);
+    await db.tasks.bulkAdd(data.tasks);
+    await db.preferences.bulkAdd(data.preferences);
+  });
+  // Recorded rows refer to the replaced data
+  clearUndoHistory();
+}
+
+/**
+ * Apply a backup merge plan (see backupMerge.js).
+ * New lists go after the existing ones and new tasks after the existing tasks of their list or day.
+ * Conflicts use this device's version unless resolved as 'incoming'; existing preferences always win.
+ * @param {import('./backupMerge.js').MergePlan} plan - The merge plan
+ * @param {Record<string, 'local'|'incoming'>} [resolutions={}] - Conflict resolutions by record uid
+ * @returns {Promise<{lists: number, tasks: number, updated: number}>} Number of lists and tasks added, and records updated
+ */
+export async function applyMergePlan(plan, resolutions = {}) {
+  const result = await db.transaction('rw', db.lists, db.tasks, db.preferences, async () => {
+    const existingLists = await db.lists.toArray();
+    const listIdsByUid = new Map(existingLists.map(list => [list.uid, list.id]));
+    const orderOffset = getNextOrderValue(existingLists);
+
+    const sortedLists = [...plan.newLists].sort((a, b) => a.order - b.order);
+    for (const [index, { id, ...fields }] of sortedLists.entries()) {
+      listIdsByUid.set(fields.uid, await db.lists.add({ ...fields, order: orderOffset + index }));
+    }
+
+    // Next free order value per list backlog or day slot, filled in on first use
+    const nextOrders = new Map();
+    const takeNextOrder = async (task) => {
+      const key = task.dayOfWeek != null ? `day:${task.weekStart}:${task.dayOfWeek}` : `list:${task.listId}`;
+      if (!nextOrders.has(key)) {
+        const destinationTasks = task.dayOfWeek != null
+          ? await db.tasks.where('[weekStart+dayOfWeek]').equals([task.weekStart, task.dayOfWeek]).filter(isActiveTask).toArray()
+          : await db.tasks.where('listId').equals(task.listId).filter(isBacklogTask).toArray();
+        nextOrders.set(key, getNextOrderValue(destinationTasks));
+      }
+      const order = nextOrders.get(key);
+      nextOrders.set(key, order + 1);
+      return order;
+    };
+
+    let addedTasks = 0;
+    const sortedTasks = [...plan.newTasks].sort((a, b) => a.order - b.order);
+    for (const { id, listUid, ...fields } of sortedTasks) {
+      const listId = listIdsByUid.get(listUid);
+      if (listId === undefined) continue; // List missing from both sides
+      const task = { ...fields, listId };
+      if (isActiveTask(task)) {
+        task.order = await takeNextOrder(task);
+      }
+      await db.tasks.add(task);
+      addedTasks++;
+    }
+
+    let updated = 0;
+    const sourceLists = new Set();
+    const sourceDays = [];
+    for (const conflict of plan.conflicts) {
+      if (resolutions[conflict.uid] !== 'incoming') continue;
+      const { incoming } = conflict;
+
+      if (conflict.type === 'list') {
+        await db.lists.update(conflict.localId, {
+          name: incoming.name,
+          columnIndex: incoming.columnIndex,
+          archivedAt: incoming.archivedAt ?? null,
+          deletedAt: incoming.deletedAt ?? null
+        });
+      } else {
+        const localTask = await db.tasks.get(conflict.localId);
+        const listId = listIdsByUid.get(incoming.listUid);
+        if (!localTask || listId === undefined) continue;
+
+        const changes = {
+          text: incoming.text,
+          status: incoming.status,
+          archivedAt: incoming.archivedAt ?? null,
+          deletedAt: incoming.deletedAt ?? null,
+          listId,
+          dayOfWeek: incoming.dayOfWeek ?? null,
+          weekStart: incoming.weekStart ?? null,
+          startTime: incoming.startTime ?? null,
+          durationMinutes: incoming.durationMinutes ?? null,
+          recurrence: incoming.recurrence ?? null,
+          recurrenceId: incoming.recurrenceId ?? null,
+          occurrenceStart: incoming.occurrenceStart ?? null
+        };
+        const movedDestination = changes.listId !== localTask.listId
+          || changes.dayOfWeek !== (localTask.dayOfWeek ?? null)
+          || changes.weekStart !== (localTask.weekStart ?? null);
+        if (movedDestination && isActiveTask(changes)) {
+          changes.order = await takeNextOrder(changes);
+        }
+        await db.tasks.update(conflict.localId, changes);
+
+        if (localTask.dayOfWeek != null) {
+          sourceDays.push(localTask);
+        } else {
+          sourceLists.add(localTask.listId);
+        }
+      }
+      updated++;
+    }
+
+    // Close the gaps left by tasks that moved away
+    for (const listId of sourceLists) {
+      await resequenceListTasks(listId);
+    }
+    for (const { weekStart, dayOfWeek } of uniqueDays(sourceDays)) {
+      await resequenceDayTasks(weekStart, dayOfWeek);
+    }
+
+    for (const preference of plan.preferences) {
+      if (!(await db.preferences.get(preference.key))) {
+        await db.preferences.put(preference);
+      }
+    }
+
+    return { lists: plan.newLists.length, tasks: addedTasks, updated };
+  });
+  // Merged rows are not part of the undo history, so earlier entries could overwrite them
+  clearUndoHistory();
+  return result;
+}
@@ -1,4 +1,8 @@
 import Dexie from 'dexie';
+import { getWeekStart } from './weekUtils.js';
+import { generateUid } from './uid.js';
+import { parseTags } from './tags.js';
+import { DEFAULT_COLUMN_COUNT } from './constants.js';
 
 const db = new Dexie('TaskPlannerDB');
 
@@ -61,18 +65,159 @@ db.version(5).stores({
   preferences: 'key',
   calendarSyncState: 'key'
 }).upgrade(tx => {
-  // Migration: Assign columnIndex to existing lists (distribute evenly across 5 columns)
+  // Migration: Assign columnIndex to existing lists (distribute evenly across the default columns)
   // Lists are already ordered by 'order', so we can assign columnIndex based on order
   return tx.lists.toCollection().modify((list, cursor) => {
     if (list.columnIndex === undefined) {
-      // Distribute lists evenly across 5 columns (0-4) based on their order
+      // Distribute lists evenly across the columns based on their order
       // This preserves the existing order while assigning column indices
-      const columnCount = 5;
-      list.columnIndex = list.order % columnCount;
+      list.columnIndex = list.order % DEFAULT_COLUMN_COUNT;
     }
   });
 });
 
+// Version 6: Add dayOfWeek field to tasks for the weekly day-of-week section
+db.version(6).stores({
+  lists: '++id, name, order, archivedAt, columnIndex',
+  tasks: '++id, text, listId, order, status, archivedAt, dayOfWeek',
+  preferences: 'key',
+  calendarSyncState: 'key'
+}).upgrade(tx => {
+  // Migration: Existing tasks are not assigned to a day (they stay in their list)
+  return tx.tasks.toCollection().modify(task => {
+    if (task.dayOfWeek === undefined) {
+      task.dayOfWeek = null;
+    }
+  });
+});
+
+// Version 7: Add weekStart field to tasks so day assignments are kept per week
+db.version(7).stores({
+  lists: '++id, name, order, archivedAt, columnIndex',
+  tasks: '++id, text, listId, order, status, archivedAt, dayOfWeek, weekStart, [weekStart+dayOfWeek]',
+  preferences: 'key',
+  calendarSyncState: 'key'
+}).upgrade(tx => {
+  // Migration: Tasks already placed on a day belong to the week of the upgrade
+  const currentWeekStart = getWeekStart();
+  return tx.tasks.toCollection().modify(task => {
+    if (task.weekStart === undefined) {
+      task.weekStart = task.dayOfWeek != null ? currentWeekStart : null;
+    }
+  });
+});
+
+// Version 8: Add optional startTime ('HH:MM') and durationMinutes fields to tasks
+db.version(8).stores({
+  lists: '++id, name, order, archivedAt, columnIndex',
+  tasks: '++id, text, listId, order, status, archivedAt, dayOfWeek, weekStart, [weekStart+dayOfWeek]',
+  preferences: 'key',
+  calendarSyncState: 'key'
+}).upgrade(tx => {
+  // Migration: Existing tasks are untimed
+  return tx.tasks.toCollection().modify(task => {
+    if (task.startTime === undefined) {
+      task.startTime = null;
+    }
+    if (task.durationMinutes === undefined) {
+      task.durationMinutes = null;
+    }
+  });
+});
+
+// Version 9: Add calendarEvents table for read-only events from calendar providers
+// Events are keyed by `${source}:${externalId}` and indexed by local start date for week queries
+db.version(9).stores({
+  lists: '++id, name, order, archivedAt, columnIndex',
+  tasks: '++id, text, listId, order, status, archivedAt, dayOfWeek, weekStart, [weekStart+dayOfWeek]',
+  preferences: 'key',
+  calendarSyncState: 'key',
+  calendarEvents: 'id, source, date'
+});
+
+// Version 10: Add stable uid (UUID) to lists and tasks so backups from other devices can be merged
+db.version(10).stores({
+  lists: '++id, &uid, name, order, archivedAt, columnIndex',
+  tasks: '++id, &uid, text, listId, order, status, archivedAt, dayOfWeek, weekStart, [weekStart+dayOfWeek]',
+  preferences: 'key',
+  calendarSyncState: 'key',
+  calendarEvents: 'id, source, date'
+}).upgrade(async tx => {
+  // Migration: Give every existing list and task its own uid
+  await tx.lists.toCollection().modify(list => {
+    list.uid ??= generateUid();
+  });
+  await tx.tasks.toCollection().modify(task => {
+    task.uid ??= generateUid();
+  });
+});
+
+// Version 11: Add deletedAt timestamp to lists and tasks (soft delete; deleted rows are kept for the trash)
+db.version(11).stores({
+  lists: '++id, &uid, name, order, archivedAt, columnIndex, deletedAt',
+  tasks: '++id, &uid, text, listId, order, status, archivedAt, dayOfWeek, weekStart, [weekStart+dayOfWeek], deletedAt',
+  preferences: 'key',
+  calendarSyncState: 'key',
+  calendarEvents: 'id, source, date'
+}).upgrade(async tx => {
+  // Migration: Nothing is deleted yet
+  await tx.lists.toCollection().modify(list => {
+    list.deletedAt ??= null;
+  });
+  await tx.tasks.toCollection().modify(task => {
+    task.deletedAt ??= null;
+  });
+});
+
+// Version 12: Add printHistory table for snapshots of the sheet taken each time it is printed
+// The snapshot of the last print moves there from the 'lastPrint' preference
+db.version(12).stores({
+  lists: '++id, &uid, name, order, archivedAt, columnIndex, deletedAt',
+  tasks: '++id, &uid, text, listId, order, status, archivedAt, dayOfWeek, weekStart, [weekStart+dayOfWeek], deletedAt',
+  preferences: 'key',
+  calendarSyncState: 'key',
+  calendarEvents: 'id, source, date',
+  printHistory: '++id'
+}).upgrade(async tx => {
+  // Migration: Keep the last print, so it can still be reconciled
+  const lastPrint = await tx.preferences.get('lastPrint');
+  if (lastPrint?.value) {
+    await tx.printHistory.add({ layout: null, lists: [], events: [], ...lastPrint.value });
+  }
+  await tx.preferences.delete('lastPrint');
+});
+
+// Version 13: Add multi-entry tags index to tasks (the #tags in the task text, see tags.js)
+db.version(13).stores({
+  lists: '++id, &uid, name, order, archivedAt, columnIndex, deletedAt',
+  tasks: '++id, &uid, text, listId, order, status, archivedAt, dayOfWeek, weekStart, [weekStart+dayOfWeek], deletedAt, *tags',
+  preferences: 'key',
+  calendarSyncState: 'key',
+  calendarEvents: 'id, source, date',
+  printHistory: '++id'
+}).upgrade(async tx => {
+  // Migration: Tag existing tasks from their text
+  await tx.tasks.toCollection().modify(task => {
+    task.tags = parseTags(task.text);
+  });
+});
+
+// Every new list and task gets a uid, whichever code path creates it (seeding, imports, dataAccess)
+db.lists.hook('creating', (primaryKey, list) => {
+  list.uid ??= generateUid();
+});
+db.tasks.hook('creating', (primaryKey, task) => {
+  task.uid ??= generateUid();
+  task.tags = parseTags(task.text);
+});
+
+// Tags follow the task text, whichever code path changes it
+db.tasks.hook('updating', (modifications) => {
+  if ('text' in modifications) {
+    return { tags: parseTags(modifications.text) };
+  }
+});
+
 export default db;
 
 
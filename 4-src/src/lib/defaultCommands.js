@@ -0,0 +1,69 @@
+/**
+ * Built-in palette commands that only need the data layer and the theme
+ * Commands that drive a component (printing, opening the create-list input) are registered by that component.
+ */
+
+import { registerCommand } from './commands.js';
+import { getAllLists, getTask, archiveList, archiveAllTasksInList } from './dataAccess.js';
+import { recordUndoable } from './undoHistory.js';
+import { moveTaskToListPosition } from './drag/taskDragHandlers.js';
+import { FONT_SIZE_PRESETS, getFontSizePreference, setFontSize } from './theme.js';
+import { createBackup, getBackupFileName } from './backup.js';
+import { downloadFile } from './fileUtils.js';
+
+// Font sizes in the order "Toggle font size" steps through them
+const FONT_SIZES = Object.keys(FONT_SIZE_PRESETS);
+
+async function getListChoices() {
+  return (await getAllLists()).map(list => ({ label: list.name ?? 'Unnamed list', value: list.id }));
+}
+
+const DEFAULT_COMMANDS = [
+  {
+    id: 'list.archive',
+    title: 'Archive list',
+    getChoices: getListChoices,
+    // Same as archiving from the list's edit dialog: the tasks go with it, undone in one step
+    run: (context, listId) => recordUndoable('Archive list', async () => {
+      await archiveAllTasksInList(listId);
+      await archiveList(listId);
+    }, { destructive: true })
+  },
+  {
+    id: 'task.moveToList',
+    title: 'Move focused task to list',
+    isAvailable: (context) => context.focusedTaskId != null,
+    getChoices: async (context) => {
+      const task = await getTask(context.focusedTaskId);
+      return (await getListChoices()).filter(choice => choice.value !== task?.listId || task?.dayOfWeek != null);
+    },
+    run: (context, listId) => moveTaskToListPosition(context.focusedTaskId, listId)
+  },
+  {
+    id: 'theme.toggleFontSize',
+    title: 'Toggle font size',
+    keywords: ['small', 'medium', 'large', 'text'],
+    run: () => {
+      const index = FONT_SIZES.indexOf(getFontSizePreference());
+      setFontSize(FONT_SIZES[(index + 1) % FONT_SIZES.length]);
+    }
+  },
+  {
+    id: 'backup.export',
+    title: 'Export backup',
+    keywords: ['download', 'json', 'save'],
+    run: async () => {
+      const backup = await createBackup();
+      downloadFile(JSON.stringify(backup, null, 2), getBackupFileName(), 'application/json');
+    }
+  }
+];
+
+/**
+ * Register the built-in commands
+ * @returns {() => void} Removes them again
+ */
+export function registerDefaultCommands() {
+  const unregisters = DEFAULT_COMMANDS.map(command => registerCommand(command));
+  return () => unregisters.forEach(unregister => unregister());
+}
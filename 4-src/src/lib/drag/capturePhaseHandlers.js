@@ -115,11 +115,12 @@ export function setupAddTaskButtonKeydownCapture(addTaskContainerElement, onAddT
  * @param {Array} draggableTasks - Current draggable tasks array
  * @param {number} listId - Current list ID
  * @param {Array} allLists - All lists array (for finding neighbors)
+ * @param {number} columnCount - Number of board columns
  * @param {Object} callbacks - Callbacks object with:
  *   - onTaskTextEdit: (taskId, taskText, targetElement) => void - Called when Enter/Space on task text
  * @returns {Function} Cleanup function to remove the event listener
  */
-export function setupTaskTextKeydownCapture(ulElement, draggableTasks, listId, allLists, callbacks) {
+export function setupTaskTextKeydownCapture(ulElement, draggableTasks, listId, allLists, columnCount, callbacks) {
   if (!ulElement) {
     return () => {}; // No-op cleanup
   }
@@ -151,7 +152,8 @@ export function setupTaskTextKeydownCapture(ulElement, draggableTasks, listId, a
     // svelte-dnd-action uses Space to start dragging, then Arrow keys to move
     // We need to intercept when at boundaries
     // Check for any arrow key combination that might be used for navigation
-    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    // (Shift+Arrow extends the task selection instead, see TaskList.svelte)
+    if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !e.shiftKey) {
       // Find the focused task - check if any task element has focus
       const activeElement = document.activeElement;
       if (!activeElement) return;
@@ -178,7 +180,7 @@ export function setupTaskTextKeydownCapture(ulElement, draggableTasks, listId, a
         e.preventDefault();
         e.stopImmediatePropagation();
         
-        const nextListId = findNeighborListId(listId, allLists, 'next');
+        const nextListId = findNeighborListId(listId, allLists, 'next', columnCount);
         if (nextListId != null) {
           // Move to next list in column order
           await moveTaskToNextList(taskId, nextListId);
@@ -188,7 +190,7 @@ export function setupTaskTextKeydownCapture(ulElement, draggableTasks, listId, a
         e.preventDefault();
         e.stopImmediatePropagation();
         
-        const prevListId = findNeighborListId(listId, allLists, 'prev');
+        const prevListId = findNeighborListId(listId, allLists, 'prev', columnCount);
         if (prevListId != null) {
           // Move to previous list in column order
           await moveTaskToPreviousList(taskId, prevListId);
@@ -0,0 +1,52 @@
+/**
+ * Pure functions for keyboard-based dragging of tasks in the week section
+ * 
+ * Day slots are indexed Monday-first (0 = Monday ... 6 = Sunday).
+ * While a task is in keyboard drag mode, digit keys 1-7 drop it onto a day,
+ * and inside the week section arrow keys move it between and within days.
+ */
+
+import { DAYS_OF_WEEK } from '../constants.js';
+
+/**
+ * Map a digit key to a day-of-week index
+ * @param {string} key - KeyboardEvent.key value
+ * @returns {number|null} Day index (0 = Monday ... 6 = Sunday), or null if the key is not 1-7
+ */
+export function getDayOfWeekForKey(key) {
+  if (typeof key !== 'string' || !/^[1-7]$/.test(key)) {
+    return null;
+  }
+  return parseInt(key, 10) - 1;
+}
+
+/**
+ * Calculate the target position for a task move within the week section
+ * Left/Right move to the neighbouring day, keeping the row where possible.
+ * 
+ * @param {Object} position - Current position {dayOfWeek, index}
+ * @param {string} direction - 'up', 'down', 'left', or 'right'
+ * @param {Array<Array>} days - Tasks grouped by day (7 arrays, Monday-first)
+ * @returns {{dayOfWeek: number, index: number} | null} Target position or null if move is invalid
+ */
+export function calculateDayMoveTarget(position, direction, days) {
+  const { dayOfWeek, index } = position;
+  const currentDayTasks = days[dayOfWeek] || [];
+
+  if (direction === 'up') {
+    if (index === 0) return null; // Already at top
+    return { dayOfWeek, index: index - 1 };
+  }
+  if (direction === 'down') {
+    if (index >= currentDayTasks.length - 1) return null; // Already at bottom
+    return { dayOfWeek, index: index + 1 };
+  }
+  if (direction === 'left' || direction === 'right') {
+    const targetDay = direction === 'left' ? dayOfWeek - 1 : dayOfWeek + 1;
+    if (targetDay < 0 || targetDay >= DAYS_OF_WEEK.length) return null; // Already at first/last day
+    const targetDayTasks = days[targetDay] || [];
+    return { dayOfWeek: targetDay, index: Math.min(index, targetDayTasks.length) };
+  }
+
+  return null;
+}
@@ -2,7 +2,8 @@
  * Pure functions and handlers for task drag-and-drop logic
  */
 
-import { getTasksForList, updateTaskOrderCrossList } from '../dataAccess.js';
+import { getTasksForList, updateTaskOrderCrossList, getTasksForDay, updateTaskDayOrder } from '../dataAccess.js';
+import { DEFAULT_COLUMN_COUNT } from '../constants.js';
 
 /**
  * Filter out invalid items from drag event items.
@@ -83,27 +84,27 @@ export function getListsInColumnOrder(lists) {
  * using visual column order (left-to-right columns, top-to-bottom rows).
  * 
  * The visual layout is row-first:
- * - Row 0: Column 0, Column 1, Column 2, Column 3, Column 4
- * - Row 1: Column 0, Column 1, Column 2, Column 3, Column 4
+ * - Row 0: Column 0, Column 1, ..., last column
+ * - Row 1: Column 0, Column 1, ..., last column
  * - etc.
  * 
  * @param {number} currentListId - The current list ID
  * @param {Array} lists - Array of all lists
  * @param {string} direction - 'next' or 'prev'
+ * @param {number} [columnCount] - Number of board columns
  * @returns {number|null} The neighbor list ID, or null if none exists
  */
-export function findNeighborListId(currentListId, lists, direction) {
+export function findNeighborListId(currentListId, lists, direction, columnCount = DEFAULT_COLUMN_COUNT) {
   if (!Array.isArray(lists) || lists.length === 0) return null;
   
   // Find the current list
   const currentList = lists.find(l => l.id === currentListId);
   if (!currentList) return null;
   
-  const currentColumnIndex = currentList.columnIndex ?? 0;
+  const currentColumnIndex = Math.min(currentList.columnIndex ?? 0, columnCount - 1);
   const currentOrder = currentList.order ?? 0;
   
   // Group lists by column
-  const columnCount = 5;
   const listsByColumn = Array(columnCount).fill(null).map(() => []);
   for (const list of lists) {
     const colIndex = list.columnIndex ?? 0;
@@ -208,3 +209,86 @@ export async function moveTaskToPreviousList(taskId, prevListId) {
   }
 }
 
+
+/**
+ * Insert a task at a position in an ordered task array.
+ * Any existing entry for the task is removed first, so this also handles reordering.
+ * 
+ * @param {Array} tasks - Tasks in their current order
+ * @param {number} taskId - The task ID to insert
+ * @param {number|null} index - Target position (null or out of range appends to the end)
+ * @returns {Array<{id: number}>} New array with the task at the requested position
+ */
+export function insertTaskAtIndex(tasks, taskId, index) {
+  const remaining = (Array.isArray(tasks) ? tasks : []).filter(t => t.id !== taskId);
+  const targetIndex = index === null || index === undefined || index < 0 || index > remaining.length
+    ? remaining.length
+    : index;
+  return [...remaining.slice(0, targetIndex), { id: taskId }, ...remaining.slice(targetIndex)];
+}
+
+/**
+ * Move task into a day of a week at a given position.
+ * Works for tasks coming from a list, from another day, or reordering within the same day.
+ * 
+ * @param {number} taskId - The task ID to move
+ * @param {string} weekStart - The target week ('YYYY-MM-DD' Monday)
+ * @param {number} dayOfWeek - The target day (0 = Monday ... 6 = Sunday)
+ * @param {number|null} [index=null] - Target position within the day (null appends)
+ * @returns {Promise<void>}
+ */
+export async function moveTaskToDay(taskId, weekStart, dayOfWeek, index = null) {
+  try {
+    const dayTasks = await getTasksForDay(weekStart, dayOfWeek);
+    await updateTaskDayOrder(weekStart, dayOfWeek, insertTaskAtIndex(dayTasks, taskId, index));
+  } catch (error) {
+    console.error('Error moving task to day:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move several tasks into a day of a week at a given position, keeping their order.
+ * Used when a selection of tasks is dragged onto a day.
+ * 
+ * @param {Array<number>} taskIds - The task IDs to move, in order
+ * @param {string} weekStart - The target week ('YYYY-MM-DD' Monday)
+ * @param {number} dayOfWeek - The target day (0 = Monday ... 6 = Sunday)
+ * @param {number|null} [index=null] - Target position of the first task within the day (null appends)
+ * @returns {Promise<void>}
+ */
+export async function moveTasksToDay(taskIds, weekStart, dayOfWeek, index = null) {
+  try {
+    const dayTasks = (await getTasksForDay(weekStart, dayOfWeek)).filter(t => !taskIds.includes(t.id));
+    const targetIndex = index === null || index === undefined || index < 0 || index > dayTasks.length
+      ? dayTasks.length
+      : index;
+    await updateTaskDayOrder(weekStart, dayOfWeek, [
+      ...dayTasks.slice(0, targetIndex),
+      ...taskIds.map(id => ({ id })),
+      ...dayTasks.slice(targetIndex)
+    ]);
+  } catch (error) {
+    console.error('Error moving tasks to day:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move task into a list at a given position.
+ * Used when a task is dragged out of the week section back into a list.
+ * 
+ * @param {number} taskId - The task ID to move
+ * @param {number} listId - The target list ID
+ * @param {number|null} [index=null] - Target position within the list (null appends)
+ * @returns {Promise<void>}
+ */
+export async function moveTaskToListPosition(taskId, listId, index = null) {
+  try {
+    const listTasks = await getTasksForList(listId);
+    await updateTaskOrderCrossList(listId, insertTaskAtIndex(listTasks, taskId, index));
+  } catch (error) {
+    console.error('Error moving task to list:', error);
+    throw error;
+  }
+}
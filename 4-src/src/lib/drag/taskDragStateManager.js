@@ -11,6 +11,18 @@
  * - Global drag flag to prevent liveQuery conflicts
  */
 
+/**
+ * Build a signature string for a task array, used to detect changes that need a re-render
+ * Covers order (IDs), status (checkbox toggles), text edits, schedule (start time/duration) and repeat edits
+ * @param {Array} tasks - Array of task objects
+ * @returns {string} Signature string
+ */
+export function getTaskSignature(tasks) {
+  return tasks
+    .map(t => `${t.id}:${t.status}:${t.text || ''}:${t.startTime || ''}:${t.durationMinutes || ''}:${t.recurrence ? JSON.stringify(t.recurrence) : ''}`)
+    .join(',');
+}
+
 class TaskDragStateManager {
   constructor() {
     // Independent state per list: Map<listId, {tasks, isDragActive, pendingUpdates, version}>
@@ -109,9 +121,8 @@ class TaskDragStateManager {
     // Only update if not actively dragging for this list
     if (!listState.isDragActive) {
       // Check if state actually changed to prevent infinite loops
-      // Compare IDs, statuses, and text to detect status changes (checkbox toggles) and text edits
-      const newTaskSignature = activeTasks.map(t => `${t.id}:${t.status}:${t.text || ''}`).join(',');
-      const currentTaskSignature = listState.tasks.map(t => `${t.id}:${t.status}:${t.text || ''}`).join(',');
+      const newTaskSignature = getTaskSignature(activeTasks);
+      const currentTaskSignature = getTaskSignature(listState.tasks);
       
       if (newTaskSignature !== currentTaskSignature) {
         listState.tasks = activeTasks.map(task => ({ ...task }));
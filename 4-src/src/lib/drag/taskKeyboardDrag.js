@@ -8,11 +8,13 @@
 
 import { tick } from 'svelte';
 import { isDragActive, hasActiveDropZone } from './dragDetectionUtils.js';
-import { findNeighborListId, moveTaskToNextList, moveTaskToPreviousList } from './taskDragHandlers.js';
-import { getTasksForList, updateTaskOrderCrossList } from '../dataAccess.js';
+import { findNeighborListId, moveTaskToNextList, moveTaskToPreviousList, moveTaskToDay } from './taskDragHandlers.js';
+import { getDayOfWeekForKey } from './dayKeyboardDrag.js';
+import { getTasksForList, updateTaskOrderCrossList, getCurrentWeekStart } from '../dataAccess.js';
 import { groupListsIntoColumns } from '../listDndUtils.js';
 import { taskDragStateManager } from './taskDragStateManager.js';
 import { createTabResumeElementHandler } from './tabResumeUtils.js';
+import { focusElementWithRetry } from '../focusUtils.js';
 
 /**
  * Create a capture-phase keydown handler for task list items.
@@ -178,6 +180,7 @@ export function createTaskItemBlurHandler(state) {
  * @param {HTMLElement} ulElement - The ul element (dndzone) for this list
  * @param {number} listId - The current list ID
  * @param {Array} allLists - All lists for finding neighbors
+ * @param {number} columnCount - Number of board columns
  * @param {Function} getDraggableTasks - Getter function for current draggable tasks
  * @param {Function} setDraggableTasks - Setter function to update draggable tasks
  * @param {HTMLElement} addTaskContainerElement - Add task container for fallback focus
@@ -188,6 +191,7 @@ export function setupTaskKeyboardDragDocumentHandler(
   ulElement,
   listId,
   allLists,
+  columnCount,
   getDraggableTasks,
   setDraggableTasks,
   addTaskContainerElement
@@ -211,8 +215,11 @@ export function setupTaskKeyboardDragDocumentHandler(
     const isKeyboardTaskDragging = getIsKeyboardTaskDragging();
     const hasActiveDrag = isDragActive();
     
+    // Digit keys 1-7 drop the dragged task onto a day of the current week (1 = Monday ... 7 = Sunday)
+    const targetDayOfWeek = getDayOfWeekForKey(key);
+    
     // Prevent concurrent processing of arrow keys
-    if ((key === 'ArrowDown' || key === 'ArrowUp' || key === 'ArrowLeft' || key === 'ArrowRight') && isProcessing) {
+    if ((key === 'ArrowDown' || key === 'ArrowUp' || key === 'ArrowLeft' || key === 'ArrowRight' || targetDayOfWeek !== null) && isProcessing) {
       e.preventDefault();
       e.stopPropagation();
       return;
@@ -285,7 +292,7 @@ export function setupTaskKeyboardDragDocumentHandler(
     if (!isKeyboardTaskDragging) {
       return;
     }
-    if (key !== 'ArrowDown' && key !== 'ArrowUp' && key !== 'ArrowLeft' && key !== 'ArrowRight') return;
+    if (key !== 'ArrowDown' && key !== 'ArrowUp' && key !== 'ArrowLeft' && key !== 'ArrowRight' && targetDayOfWeek === null) return;
     
     // Check if focus is on a task element (can be in any list after cross-list moves)
     const activeElement = document.activeElement;
@@ -331,6 +338,40 @@ export function setupTaskKeyboardDragDocumentHandler(
       return;
     }
     
+    if (targetDayOfWeek !== null) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      e.stopPropagation();
+      
+      isProcessing = true;
+      try {
+        // Remove from the list immediately; the week section renders it once persisted
+        if (!taskDragStateManager.globalDragActive) {
+          taskDragStateManager.startDrag(actualListId, actualListId);
+        }
+        taskDragStateManager.updateDragState(actualListId, draggableTasks.filter(t => t.id !== taskId));
+        
+        // Digits target the week currently shown in the week section
+        await moveTaskToDay(taskId, await getCurrentWeekStart(), targetDayOfWeek);
+        
+        // Dropping onto a day ends the keyboard drag session
+        taskDragStateManager.completeDrag(actualListId, actualListId, true);
+        setIsKeyboardTaskDragging(false);
+        setLastKeyboardDraggedTaskId(taskId);
+        
+        // The week section re-renders from liveQuery, so the element may take a moment to appear
+        await focusElementWithRetry(
+          () => document.querySelector(`ul[data-day="${targetDayOfWeek}"] li[data-id="${taskId}"]`)
+        );
+      } catch (error) {
+        console.error('Error moving task to day:', error);
+        taskDragStateManager.completeDrag(actualListId, actualListId, false);
+      } finally {
+        isProcessing = false;
+      }
+      return;
+    }
+    
         const taskIndex = draggableTasks.findIndex(t => t.id === taskId);
         if (taskIndex === -1) {
           return; // Should not happen if task was found
@@ -351,7 +392,7 @@ export function setupTaskKeyboardDragDocumentHandler(
           if (key === 'ArrowDown') {
       if (isLast) {
         // At end of list - move to next list (in visual column order)
-        const nextListId = findNeighborListId(actualListId, allLists, 'next');
+        const nextListId = findNeighborListId(actualListId, allLists, 'next', columnCount);
         if (nextListId != null) {
           // Start drag if not already active
           if (!taskDragStateManager.globalDragActive) {
@@ -446,7 +487,7 @@ export function setupTaskKeyboardDragDocumentHandler(
     } else if (key === 'ArrowUp') {
           if (isFirst) {
             // At start of list - check if we should move to previous list
-            const prevListId = findNeighborListId(actualListId, allLists, 'prev');
+            const prevListId = findNeighborListId(actualListId, allLists, 'prev', columnCount);
             if (prevListId != null) {
               // Check if prevListId is in a different column (cross-column move)
               const currentList = allLists.find(l => l.id === actualListId);
@@ -585,11 +626,11 @@ export function setupTaskKeyboardDragDocumentHandler(
       const currentColumnIndex = currentList.columnIndex ?? 0;
       const targetColumnIndex = key === 'ArrowLeft' ? currentColumnIndex - 1 : currentColumnIndex + 1;
       
-      // Check if target column is valid (0-4)
-      if (targetColumnIndex < 0 || targetColumnIndex >= 5) return;
+      // Check if target column is valid
+      if (targetColumnIndex < 0 || targetColumnIndex >= columnCount) return;
       
       // Group lists into columns and find target list
-      const columns = groupListsIntoColumns(allLists, 5);
+      const columns = groupListsIntoColumns(allLists, columnCount);
       const targetColumn = columns[targetColumnIndex] || [];
       
       // Find list at same position in target column, or use first/last list
@@ -8,12 +8,18 @@
 import { applyDropZoneStyles, removeDropZoneStyles } from './dropZoneUtils.js';
 
 /**
- * Apply drop zones to all task lists
+ * Selector matching every container a task can be dropped into:
+ * list task containers and the day slots of the week section
+ */
+const TASK_CONTAINER_SELECTOR = 'ul[data-list-id], ul[data-day]';
+
+/**
+ * Apply drop zones to all task lists (including week day slots)
  * @returns {void}
  */
 function applyDropZonesToAllTaskLists() {
   if (typeof document === 'undefined') return;
-  const allTaskLists = document.querySelectorAll('ul[data-list-id]');
+  const allTaskLists = document.querySelectorAll(TASK_CONTAINER_SELECTOR);
   allTaskLists.forEach(ul => {
     if (ul instanceof HTMLElement) {
       applyDropZoneStyles(ul);
@@ -22,12 +28,12 @@ function applyDropZonesToAllTaskLists() {
 }
 
 /**
- * Remove drop zones from all task lists
+ * Remove drop zones from all task lists (including week day slots)
  * @returns {void}
  */
 function removeDropZonesFromAllTaskLists() {
   if (typeof document === 'undefined') return;
-  const allTaskLists = document.querySelectorAll('ul[data-list-id]');
+  const allTaskLists = document.querySelectorAll(TASK_CONTAINER_SELECTOR);
   allTaskLists.forEach(ul => {
     if (ul instanceof HTMLElement) {
       removeDropZoneStyles(ul);
@@ -63,7 +69,7 @@ export function createTaskMouseDragHandlers(config) {
       const item = evt.item;
       if (item && item instanceof HTMLElement) {
         // Remove ghost class from any other elements in ALL lists, not just this one
-        const allTaskLists = document.querySelectorAll('ul[data-list-id]');
+        const allTaskLists = document.querySelectorAll(TASK_CONTAINER_SELECTOR);
         allTaskLists.forEach(ul => {
           const siblings = Array.from(ul.children);
           siblings.forEach(sibling => {
@@ -146,3 +152,21 @@ export function getTaskSortableConfig(config) {
   };
 }
 
+
+/**
+ * Return a dragged element to its original position in the source container.
+ * Used when a drop is persisted through the database instead of the DOM, so that
+ * Svelte stays in control of rendering both containers.
+ * 
+ * @param {Object} evt - SortableJS onEnd event
+ * @returns {void}
+ */
+export function revertSortableDrop(evt) {
+  const { item, from, oldIndex } = evt || {};
+  if (!item || !from || typeof oldIndex !== 'number') return;
+  if (item.parentNode === from && Array.from(from.children).indexOf(item) === oldIndex) return;
+  
+  item.remove();
+  const reference = from.children[oldIndex] || null;
+  from.insertBefore(item, reference);
+}
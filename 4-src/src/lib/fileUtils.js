@@ -0,0 +1,61 @@
+/**
+ * Helpers for reading files picked or dropped by the user and for saving generated files
+ */
+
+/**
+ * Read a file as text
+ * Uses FileReader rather than Blob.text(), which not every environment implements.
+ * @param {Blob} file - The file to read
+ * @returns {Promise<string>} File contents
+ */
+export function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Save generated content as a file download
+ * @param {BlobPart} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type (e.g. 'application/json')
+ * @returns {void}
+ */
+export function downloadFile(content, fileName, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Open the print dialog for generated content (e.g. a PDF) without leaving the page
+ * The content loads in a hidden frame, which is removed once the dialog has had time to close.
+ * @param {BlobPart} content - File contents
+ * @param {string} type - MIME type (e.g. 'application/pdf')
+ * @returns {void}
+ */
+export function printFile(content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const frame = document.createElement('iframe');
+  // Not display: none, which keeps some browsers from loading the frame's viewer at all
+  frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  };
+  frame.src = url;
+  document.body.appendChild(frame);
+  setTimeout(() => {
+    frame.remove();
+    URL.revokeObjectURL(url);
+  }, 60000);
+}
@@ -133,3 +133,21 @@ export function findNextFocusTarget(container, itemSelector, focusableSelector)
   return null;
 }
 
+
+/**
+ * Check whether an element takes text input (its own undo/redo and shortcuts apply)
+ * @param {EventTarget|null} element - The element to check (e.g. event.target)
+ * @returns {boolean} True for text inputs, textareas, selects and contenteditable elements
+ */
+export function isEditableElement(element) {
+  if (!(element instanceof HTMLElement)) {
+    return false;
+  }
+  if (element.isContentEditable || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') {
+    return true;
+  }
+  if (element.tagName === 'INPUT') {
+    return !['checkbox', 'radio', 'button', 'submit', 'reset', 'file'].includes(/** @type {HTMLInputElement} */ (element).type);
+  }
+  return false;
+}
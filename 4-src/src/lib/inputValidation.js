@@ -53,3 +53,17 @@ export function validateAndNormalizeListInput(input) {
   return { valid: !isBlank, normalized: text };
 }
 
+// Bullet, numbering and checkbox prefixes stripped from pasted lines: '- ', '* ', '• ', '1. ', '1) ', '[ ] ', '- [x] '
+const PASTED_LINE_PREFIX = /^\s*(?:(?:[-*+•]|\d+[.)])\s+)?(?:\[[ xX]?\]\s*)?/;
+
+/**
+ * Splits pasted text into one task text per non-empty line, stripping common list prefixes.
+ * @param {string} text - The pasted text
+ * @returns {string[]} Task texts in their original order (blank lines are dropped)
+ */
+export function splitPastedLines(text) {
+  return text
+    .split(/\r\n?|\n/)
+    .map(line => line.replace(PASTED_LINE_PREFIX, '').trim())
+    .filter(line => line !== '');
+}
@@ -2,6 +2,8 @@
  * Utility functions for list drag-and-drop operations
  */
 
+import { DEFAULT_COLUMN_COUNT } from './constants.js';
+
 /**
  * Check if an item is a placeholder used by the drag library
  */
@@ -13,10 +15,10 @@ export function isPlaceholderItem(item) {
 /**
  * Group lists into columns based on their columnIndex
  * @param {Array} draggableLists - Array of list objects with columnIndex property
- * @param {number} columnCount - Number of columns (default 5)
+ * @param {number} columnCount - Number of columns (default DEFAULT_COLUMN_COUNT)
  * @returns {Array} Array of columns, each containing lists for that column
  */
-export function groupListsIntoColumns(draggableLists, columnCount = 5) {
+export function groupListsIntoColumns(draggableLists, columnCount = DEFAULT_COLUMN_COUNT) {
   if (!draggableLists || draggableLists.length === 0) {
     return Array(columnCount).fill(null).map(() => []);
   }
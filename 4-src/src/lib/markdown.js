@@ -0,0 +1,147 @@
+/**
+ * Markdown checklist import and export
+ * 
+ * Format: one heading per list, then one checkbox item per task:
+ * 
+ *   ## Groceries
+ *   - [ ] Milk
+ *   - [x] Bread
+ * 
+ * Multi-line task text continues on lines indented under the item. On import, plain bullets
+ * ('- task') become unchecked tasks, and items before the first heading go into an unnamed list.
+ */
+
+import { getAllLists, getColumnCount, getActiveTasksForList, createList, createUnnamedList, createTask, updateTaskStatus } from './dataAccess.js';
+import { groupListsIntoColumns } from './listDndUtils.js';
+import { recordUndoable } from './undoHistory.js';
+
+const CONTINUATION_INDENT = '      '; // Width of '- [ ] ', so continuation lines align with the text
+const HEADING_PATTERN = /^#{1,6}(?:\s+(.*?))?\s*#*\s*$/;
+const ITEM_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\](?:\s+|$))?(.*)$/;
+
+/**
+ * Format tasks as Markdown checkbox items
+ * @param {Array<{text: string, status: string}>} tasks - Tasks in display order
+ * @returns {string} One item per task (no trailing newline)
+ */
+export function tasksToMarkdown(tasks) {
+  return tasks
+    .map(task => {
+      const [firstLine, ...moreLines] = (task.text || '').split('\n');
+      const checkbox = task.status === 'checked' ? '[x]' : '[ ]';
+      return [`- ${checkbox} ${firstLine}`.trimEnd(), ...moreLines.map(line => `${CONTINUATION_INDENT}${line}`)].join('\n');
+    })
+    .join('\n');
+}
+
+/**
+ * Format a list and its tasks as Markdown
+ * @param {{name: string|null}} list - The list
+ * @param {Array<{text: string, status: string}>} tasks - The list's tasks in display order
+ * @returns {string} Markdown section ending in a newline
+ */
+export function listToMarkdown(list, tasks) {
+  const heading = list.name ? `## ${list.name}` : '##';
+  return tasks.length > 0 ? `${heading}\n\n${tasksToMarkdown(tasks)}\n` : `${heading}\n`;
+}
+
+/**
+ * Build a file name for an export
+ * @param {string|null} name - List name, or null for the whole board
+ * @returns {string} e.g. 'groceries.md' or 'board.md'
+ */
+export function getMarkdownFileName(name) {
+  const slug = (name || 'board').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'list'}.md`;
+}
+
+/**
+ * Export one list as Markdown
+ * @param {{id: number, name: string|null}} list - The list to export
+ * @returns {Promise<string>} Markdown text
+ */
+export async function exportListMarkdown(list) {
+  return listToMarkdown(list, await getActiveTasksForList(list.id));
+}
+
+/**
+ * Export every active list as Markdown, column by column (left to right, top to bottom)
+ * @param {number} [columnCount] - Number of board columns (defaults to the Columns setting)
+ * @returns {Promise<string>} Markdown text
+ */
+export async function exportBoardMarkdown(columnCount) {
+  const columns = groupListsIntoColumns(await getAllLists(), columnCount ?? await getColumnCount());
+  const sections = [];
+  for (const list of columns.flat()) {
+    sections.push(await exportListMarkdown(list));
+  }
+  return sections.join('\n');
+}
+
+/**
+ * Parse Markdown into lists of tasks
+ * @param {string} text - Markdown text
+ * @returns {Array<{name: string|null, tasks: Array<{text: string, status: 'checked'|'unchecked'}>}>} Parsed lists
+ */
+export function parseMarkdownChecklist(text) {
+  const lists = [];
+  let currentList = null;
+  let currentTask = null;
+
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      currentList = { name: heading[1]?.trim() || null, tasks: [] };
+      lists.push(currentList);
+      currentTask = null;
+      continue;
+    }
+
+    const item = line.match(ITEM_PATTERN);
+    if (item) {
+      if (!currentList) {
+        currentList = { name: null, tasks: [] };
+        lists.push(currentList);
+      }
+      currentTask = { text: item[2].trim(), status: item[1] && item[1] !== ' ' ? 'checked' : 'unchecked' };
+      currentList.tasks.push(currentTask);
+      continue;
+    }
+
+    // Indented lines continue the previous item's text; anything else ends it
+    if (currentTask && /^\s+\S/.test(line)) {
+      currentTask.text += `\n${line.trim()}`;
+    } else {
+      currentTask = null;
+    }
+  }
+
+  return lists;
+}
+
+/**
+ * Create lists and tasks from Markdown, all or nothing (undone as one action)
+ * @param {string} text - Markdown text
+ * @returns {Promise<{lists: number, tasks: number}>} Number of lists and tasks created
+ */
+export async function importMarkdown(text) {
+  const parsedLists = parseMarkdownChecklist(text);
+  if (parsedLists.length === 0) {
+    throw new Error('No lists or tasks found in the Markdown');
+  }
+
+  return await recordUndoable('Import Markdown', async () => {
+    let taskCount = 0;
+    for (const parsedList of parsedLists) {
+      const listId = parsedList.name ? await createList(parsedList.name) : await createUnnamedList();
+      for (const task of parsedList.tasks) {
+        const taskId = await createTask(listId, task.text);
+        if (task.status === 'checked') {
+          await updateTaskStatus(taskId, 'checked');
+        }
+        taskCount++;
+      }
+    }
+    return { lists: parsedLists.length, tasks: taskCount };
+  });
+}
@@ -0,0 +1,426 @@
+/**
+ * Vector PDF of the planner sheet
+ *
+ * Draws the week section and the board with pdf-lib, laid out like the printed sheet (same paper format,
+ * columns and font size preset), from the database or from a print history snapshot. Text is real PDF
+ * text, so it can be selected, searched and annotated. Fonts are the PDF standard fonts closest to the
+ * app's: Times for the Gilda Display headings and Helvetica for the Urbanist body text.
+ */
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { getAllLists, getTasksForList, getTasksForWeek, getCalendarEventsForWeek, getCurrentWeekStart, getColumnCount, getPaperFormat, getWriteInLines } from './dataAccess.js';
+import { groupListsIntoColumns } from './listDndUtils.js';
+import { groupTasksByDay, groupEventsByDay, getDateForDay } from './weekUtils.js';
+import { formatTaskTime } from './timeUtils.js';
+import { getPrintLayout } from './printLayout.js';
+import { FONT_SIZE_PRESETS, getFontSizePreference, scalePreset, getWriteInLineHeight } from './theme.js';
+import { DAYS_OF_WEEK, WEEK_SECTION_HEIGHT, PRINT_SHEET_INSET, DEFAULT_PAPER_FORMAT, DEFAULT_COLUMN_COUNT, WRITE_IN_FILL } from './constants.js';
+
+const POINTS_PER_PIXEL = 72 / 96; // CSS pixels are 1/96in, PDF points 1/72in
+
+// Colors from tailwind.config.js
+const COLORS = {
+  text: rgb(0x32 / 255, 0x32 / 255, 0x32 / 255), // grey-110
+  mutedText: rgb(0x75 / 255, 0x73 / 255, 0x73 / 255), // grey-100
+  sheetBorder: rgb(0xB6 / 255, 0xB6 / 255, 0xB0 / 255), // grey-80
+  divider: rgb(0xDB / 255, 0xDB / 255, 0xD5 / 255), // grey-50
+  eventBackground: rgb(0xF0 / 255, 0xF0 / 255, 0xEC / 255) // grey-20
+};
+
+const COLUMN_PADDING_X = 12; // px-2 on the column plus px-1 on its sortable container
+const UNNAMED_LIST_NAME = 'Unnamed list';
+
+// Blank rows printed under lists: write-in lines with an empty checkbox, and the ruled lines of WRITE_IN_FILL
+// Both are one write-in line pitch tall, like on the printed sheet
+const WRITE_IN_ROW = { text: '', time: null, checkbox: false, writeIn: true };
+const RULED_ROW = { text: '', time: null, checkbox: null, writeIn: true };
+
+/**
+ * Get a file name for the planner PDF
+ * @param {string} weekStart - The week shown on the sheet ('YYYY-MM-DD' Monday)
+ * @returns {string} File name (e.g. 'planner-2025-03-10.pdf')
+ */
+export function getPdfFileName(weekStart) {
+  return `planner-${weekStart}.pdf`;
+}
+
+/**
+ * Collect what the sheet shows now
+ * @returns {Promise<Object>} Sheet data for drawPlannerPdf
+ */
+async function getCurrentSheetData() {
+  const weekStart = await getCurrentWeekStart();
+  const columnCount = await getColumnCount();
+  const lists = await getAllLists();
+  const defaultWriteInLines = await getWriteInLines();
+  const columns = [];
+  for (const columnLists of groupListsIntoColumns(lists, columnCount)) {
+    const column = [];
+    for (const list of columnLists) {
+      column.push({
+        name: list.name ?? UNNAMED_LIST_NAME,
+        tasks: await getTasksForList(list.id),
+        writeInLines: list.writeInLines ?? defaultWriteInLines
+      });
+    }
+    columns.push(column);
+  }
+  return {
+    weekStart,
+    layout: getPrintLayout(await getPaperFormat()),
+    config: FONT_SIZE_PRESETS[getFontSizePreference()],
+    columns,
+    days: groupTasksByDay(await getTasksForWeek(weekStart)),
+    dayEvents: groupEventsByDay(await getCalendarEventsForWeek(weekStart), weekStart)
+  };
+}
+
+/**
+ * Lay out a print snapshot the way it was printed (paper, columns, font size and auto-fit scale)
+ * @param {import('./dataAccess.js').PrintSnapshot} snapshot - A print history entry
+ * @returns {Object} Sheet data for drawPlannerPdf
+ */
+function getSnapshotSheetData(snapshot) {
+  const { paperFormat = DEFAULT_PAPER_FORMAT, columnCount = DEFAULT_COLUMN_COUNT, fontSize = null, printScale = 1 } = snapshot.layout ?? {};
+  const preset = FONT_SIZE_PRESETS[fontSize] ?? FONT_SIZE_PRESETS[getFontSizePreference()];
+  const columns = groupListsIntoColumns(snapshot.lists, columnCount).map(columnLists => columnLists.map(list => ({
+    name: list.name ?? UNNAMED_LIST_NAME,
+    tasks: snapshot.tasks.filter(task => task.dayOfWeek == null && task.listId === list.id),
+    writeInLines: list.writeInLines ?? 0 // Printed before write-in lines existed
+  })));
+  return {
+    weekStart: snapshot.weekStart,
+    layout: getPrintLayout(paperFormat),
+    config: printScale < 1 ? scalePreset(preset, printScale) : preset,
+    columns,
+    days: groupTasksByDay(snapshot.tasks.filter(task => task.dayOfWeek != null)),
+    dayEvents: groupEventsByDay(snapshot.events, snapshot.weekStart)
+  };
+}
+
+/**
+ * Build a PDF of the planner sheet
+ * @param {import('./dataAccess.js').PrintSnapshot|null} [snapshot=null] - A print history entry to reprint, or null for the current data
+ * @returns {Promise<Uint8Array>} PDF file contents
+ */
+export async function buildPlannerPdf(snapshot = null) {
+  const { weekStart, layout, config, columns, days, dayEvents } = snapshot ? getSnapshotSheetData(snapshot) : await getCurrentSheetData();
+
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(`Planner - week of ${weekStart}`);
+  pdfDoc.setCreator('Time Blocker');
+
+  const sheet = new SheetWriter(pdfDoc, layout, config, {
+    heading: await pdfDoc.embedFont(StandardFonts.TimesRoman),
+    body: await pdfDoc.embedFont(StandardFonts.Helvetica)
+  });
+  sheet.drawFrame();
+  sheet.drawWeek(weekStart, days, dayEvents);
+  sheet.drawBoard(columns);
+  return await pdfDoc.save();
+}
+
+/**
+ * Draws the sheet onto one PDF page
+ * Positions are worked out in CSS pixels from the top of the sheet (like the on-screen layout)
+ * and converted to PDF points, whose origin is at the bottom left.
+ */
+class SheetWriter {
+  /**
+   * @param {PDFDocument} pdfDoc - The document to add the page to
+   * @param {{width: number, height: number}} layout - Sheet size in pixels (from getPrintLayout)
+   * @param {Object} config - Font size preset (a FONT_SIZE_PRESETS entry)
+   * @param {{heading: Object, body: Object}} fonts - Embedded pdf-lib fonts
+   */
+  constructor(pdfDoc, layout, config, fonts) {
+    this.layout = layout;
+    this.config = config;
+    this.fonts = fonts;
+    this.page = pdfDoc.addPage([layout.width * POINTS_PER_PIXEL, layout.height * POINTS_PER_PIXEL]);
+    this.headingLineHeight = Math.round(config.heading * 1.2);
+    this.supportedCharacters = new Map(
+      Object.values(fonts).map(font => [font, new Set(font.getCharacterSet())])
+    );
+  }
+
+  /** Inner area of the sheet, inside the border */
+  get inner() {
+    const inset = PRINT_SHEET_INSET;
+    return { left: inset, top: inset, width: this.layout.width - 2 * inset, height: this.layout.height - 2 * inset };
+  }
+
+  drawFrame() {
+    const { left, top, width, height } = this.inner;
+    this.page.drawRectangle({
+      ...this.toPoints(left, top + height),
+      width: width * POINTS_PER_PIXEL,
+      height: height * POINTS_PER_PIXEL,
+      borderColor: COLORS.sheetBorder,
+      borderWidth: POINTS_PER_PIXEL
+    });
+  }
+
+  /**
+   * Draw the seven day slots above the board
+   * @param {string} weekStart - The week shown
+   * @param {Array<Array>} days - Tasks per day (from groupTasksByDay)
+   * @param {Array<Array>} dayEvents - Calendar events per day (from groupEventsByDay)
+   */
+  drawWeek(weekStart, days, dayEvents) {
+    const { left, top, width } = this.inner;
+    const dayWidth = width / DAYS_OF_WEEK.length;
+    const bottom = top + WEEK_SECTION_HEIGHT;
+    this.drawLine(left, bottom, left + width, bottom);
+
+    DAYS_OF_WEEK.forEach((dayName, dayOfWeek) => {
+      const x = left + dayOfWeek * dayWidth;
+      if (dayOfWeek > 0) {
+        this.drawLine(x, top, x, bottom);
+      }
+      const padding = this.config.taskItemGap;
+      const slot = { left: x + padding, width: dayWidth - 2 * padding, bottom };
+      let y = this.drawHeading(`${dayName} ${getDateForDay(weekStart, dayOfWeek).getDate()}`, slot, top);
+      for (const event of dayEvents[dayOfWeek]) {
+        const time = event.allDay ? 'All day' : formatTaskTime(event);
+        y = this.drawRow({ text: event.title, time, checkbox: null, background: COLORS.eventBackground }, slot, y);
+      }
+      for (const task of days[dayOfWeek]) {
+        y = this.drawTask(task, slot, y);
+      }
+    });
+  }
+
+  /**
+   * Draw the board columns below the week section
+   * Lists with WRITE_IN_FILL write-in lines share the space left at the bottom of their column, as on screen.
+   * @param {Array<Array<{name: string, tasks: Array, writeInLines: number|string}>>} columns - Lists per column, in display order
+   */
+  drawBoard(columns) {
+    const { left, top, width, height } = this.inner;
+    const columnWidth = width / columns.length;
+    const boardTop = top + WEEK_SECTION_HEIGHT + this.config.boardPaddingY;
+    const boardBottom = top + height - this.config.boardPaddingY;
+
+    columns.forEach((columnLists, columnIndex) => {
+      const x = left + columnIndex * columnWidth;
+      if (columnIndex < columns.length - 1) {
+        this.drawLine(x + columnWidth, boardTop, x + columnWidth, boardBottom);
+      }
+      const slot = { left: x + COLUMN_PADDING_X, width: columnWidth - 2 * COLUMN_PADDING_X, bottom: boardBottom };
+      const fillLineCount = this.getFillLineCount(columnLists, slot, boardTop);
+      let y = boardTop;
+      columnLists.forEach((list, index) => {
+        if (index > 0) y += this.config.listGap;
+        y = this.drawHeading(list.name, slot, y);
+        for (const task of list.tasks) {
+          y = this.drawTask(task, slot, y);
+        }
+        const isFill = list.writeInLines === WRITE_IN_FILL;
+        for (let line = 0; line < (isFill ? fillLineCount : list.writeInLines); line++) {
+          y = this.drawRow(isFill ? RULED_ROW : WRITE_IN_ROW, slot, y);
+        }
+      });
+    });
+  }
+
+  /**
+   * Work out how many ruled lines each WRITE_IN_FILL list of a column gets
+   * Each gets at least one line, plus an equal share of the space the column's lists leave free.
+   * @returns {number} Lines per fill list
+   */
+  getFillLineCount(columnLists, slot, top) {
+    const fillListCount = columnLists.filter(list => list.writeInLines === WRITE_IN_FILL).length;
+    if (fillListCount === 0) return 0;
+    const writeInLineHeight = getWriteInLineHeight(this.config);
+    let usedHeight = this.config.listGap * (columnLists.length - 1);
+    for (const list of columnLists) {
+      usedHeight += this.layoutHeading(list.name, slot).height;
+      usedHeight += list.tasks.reduce((total, task) => total + this.layoutRow(this.getTaskRow(task), slot).height, 0);
+      usedHeight += (list.writeInLines === WRITE_IN_FILL ? 1 : list.writeInLines) * writeInLineHeight;
+    }
+    const freeHeight = Math.max(0, slot.bottom - top - usedHeight);
+    return 1 + Math.floor(freeHeight / fillListCount / writeInLineHeight);
+  }
+
+  /**
+   * Wrap a list or day heading
+   * @returns {{lines: Array<string>, height: number}}
+   */
+  layoutHeading(text, slot) {
+    const lines = this.wrapText(text, this.fonts.heading, this.config.heading, slot.width);
+    return { lines, height: 2 * this.config.listTitlePaddingY + lines.length * this.headingLineHeight };
+  }
+
+  /**
+   * Draw a list or day heading
+   * @returns {number} The y position below the heading
+   */
+  drawHeading(text, slot, y) {
+    const { listTitlePaddingY, heading } = this.config;
+    const lineTop = y + listTitlePaddingY;
+    const { lines, height } = this.layoutHeading(text, slot);
+    if (y + height > slot.bottom) return slot.bottom; // Doesn't fit: leave the rest of the slot empty
+    lines.forEach((line, index) => {
+      this.drawTextLine(line, this.fonts.heading, heading, COLORS.text, slot.left, lineTop + index * this.headingLineHeight, this.headingLineHeight);
+    });
+    return y + height;
+  }
+
+  /**
+   * Draw a task row with its checkbox and time
+   * @returns {number} The y position below the row
+   */
+  drawTask(task, slot, y) {
+    return this.drawRow(this.getTaskRow(task), slot, y);
+  }
+
+  /** The drawRow row for a task */
+  getTaskRow(task) {
+    return { text: task.text, time: formatTaskTime(task), checkbox: task.status === 'checked' };
+  }
+
+  /**
+   * Lay out a row: where its text starts, its wrapped lines and its height
+   * @param {{text: string, time: string|null, checkbox: boolean|null, writeIn?: boolean}} row - See drawRow
+   * @returns {{textLeft: number, lines: Array<string>, contentHeight: number, height: number}}
+   */
+  layoutRow(row, slot) {
+    const { body, checkbox, lineHeight, taskItemPaddingY, taskItemGap } = this.config;
+    const font = this.fonts.body;
+    let textLeft = slot.left;
+    if (row.checkbox !== null) textLeft += checkbox + taskItemGap;
+    if (row.time) textLeft += font.widthOfTextAtSize(this.encodable(row.time, font), body * POINTS_PER_PIXEL) / POINTS_PER_PIXEL + taskItemGap;
+
+    const lines = this.wrapText(row.text || '', font, body, slot.left + slot.width - textLeft);
+    if (row.writeIn) {
+      const height = getWriteInLineHeight(this.config);
+      return { textLeft, lines, contentHeight: height - 2 * taskItemPaddingY, height };
+    }
+    const contentHeight = Math.max(row.checkbox !== null ? checkbox : 0, lines.length * lineHeight);
+    return { textLeft, lines, contentHeight, height: contentHeight + 2 * taskItemPaddingY };
+  }
+
+  /**
+   * Draw a row of the task layout: optional checkbox, optional time, wrapped text and a bottom divider
+   * Rows that don't fit above the bottom of the slot are left out, as the printed sheet would cut them off.
+   * @param {{text: string, time: string|null, checkbox: boolean|null, writeIn?: boolean, background?: Object}} row - checkbox null for no checkbox, writeIn for blank write-in rows
+   * @returns {number} The y position below the row (the slot bottom if the row didn't fit)
+   */
+  drawRow(row, slot, y) {
+    const { body, checkbox, lineHeight, taskItemPaddingY, taskItemGap } = this.config;
+    const font = this.fonts.body;
+    const { textLeft, lines, contentHeight, height } = this.layoutRow(row, slot);
+    if (y + height > slot.bottom) return slot.bottom;
+
+    if (row.background) {
+      this.page.drawRectangle({
+        ...this.toPoints(slot.left, y + height),
+        width: slot.width * POINTS_PER_PIXEL,
+        height: height * POINTS_PER_PIXEL,
+        color: row.background
+      });
+    }
+    const contentTop = y + taskItemPaddingY;
+    const middle = contentTop + contentHeight / 2;
+    if (row.checkbox !== null) {
+      this.drawCheckbox(slot.left, middle - checkbox / 2, checkbox, row.checkbox);
+    }
+    if (row.time) {
+      this.drawTextLine(row.time, font, body, COLORS.mutedText, slot.left + (row.checkbox !== null ? checkbox + taskItemGap : 0), middle - lineHeight / 2, lineHeight);
+    }
+    const textTop = middle - (lines.length * lineHeight) / 2;
+    lines.forEach((line, index) => {
+      const lineTop = textTop + index * lineHeight;
+      this.drawTextLine(line, font, body, COLORS.mutedText, textLeft, lineTop, lineHeight);
+      if (row.checkbox === true && line) {
+        // Checked tasks are struck through, as on screen
+        const lineWidth = font.widthOfTextAtSize(line, body * POINTS_PER_PIXEL) / POINTS_PER_PIXEL;
+        this.drawLine(textLeft, lineTop + lineHeight / 2, textLeft + lineWidth, lineTop + lineHeight / 2, COLORS.mutedText);
+      }
+    });
+    this.drawLine(slot.left, y + height, slot.left + slot.width, y + height);
+    return y + height;
+  }
+
+  drawCheckbox(x, y, size, isChecked) {
+    this.page.drawRectangle({
+      ...this.toPoints(x, y + size),
+      width: size * POINTS_PER_PIXEL,
+      height: size * POINTS_PER_PIXEL,
+      borderColor: COLORS.text,
+      borderWidth: POINTS_PER_PIXEL
+    });
+    if (isChecked) {
+      const points = [[0.2, 0.5], [0.42, 0.72], [0.8, 0.28]].map(([px, py]) => this.toPoints(x + px * size, y + py * size));
+      for (let i = 0; i < points.length - 1; i++) {
+        this.page.drawLine({ start: points[i], end: points[i + 1], thickness: 1.5 * POINTS_PER_PIXEL, color: COLORS.text });
+      }
+    }
+  }
+
+  /**
+   * Draw one line of text vertically centered in a line box
+   */
+  drawTextLine(text, font, size, color, x, lineTop, lineHeight) {
+    if (!text) return;
+    const sizeInPoints = size * POINTS_PER_PIXEL;
+    // Center the cap height in the line box, like CSS centers the text in its line-height
+    const baseline = lineTop + lineHeight / 2 + font.heightAtSize(sizeInPoints, { descender: false }) / POINTS_PER_PIXEL / 2;
+    this.page.drawText(text, { ...this.toPoints(x, baseline), size: sizeInPoints, font, color });
+  }
+
+  drawLine(x1, y1, x2, y2, color = COLORS.divider) {
+    this.page.drawLine({ start: this.toPoints(x1, y1), end: this.toPoints(x2, y2), thickness: POINTS_PER_PIXEL, color });
+  }
+
+  /**
+   * Break text into lines that fit a width, breaking inside words only when a word is too long
+   * Explicit line breaks in the text are kept.
+   * @returns {Array<string>} Lines (at least one)
+   */
+  wrapText(text, font, size, maxWidth) {
+    const sizeInPoints = size * POINTS_PER_PIXEL;
+    const fits = (candidate) => font.widthOfTextAtSize(candidate, sizeInPoints) / POINTS_PER_PIXEL <= maxWidth;
+    const lines = [];
+    for (const paragraph of this.encodable(text, font).split('\n')) {
+      let line = '';
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (fits(candidate)) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+        // Break words wider than the column character by character
+        line = '';
+        for (const character of word) {
+          if (line && !fits(line + character)) {
+            lines.push(line);
+            line = '';
+          }
+          line += character;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Replace characters the standard fonts can't encode (emoji, most non-Latin scripts) with '?'
+   */
+  encodable(text, font) {
+    const supported = this.supportedCharacters.get(font);
+    return Array.from(text.replace(/\r\n?/g, '\n').replace(/\t/g, ' '))
+      .map(character => (character === '\n' || supported.has(character.codePointAt(0)) ? character : '?'))
+      .join('');
+  }
+
+  /**
+   * Convert a position in sheet pixels (from the top left) to PDF points (from the bottom left)
+   * @returns {{x: number, y: number}}
+   */
+  toPoints(x, y) {
+    return { x: x * POINTS_PER_PIXEL, y: (this.layout.height - y) * POINTS_PER_PIXEL };
+  }
+}
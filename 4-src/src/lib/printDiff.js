@@ -0,0 +1,49 @@
+/**
+ * Comparing a printed sheet with the board as it is now
+ * Tasks are matched by ID between a print snapshot and getSheetContents() for the same week.
+ */
+
+import { DAYS_OF_WEEK } from './constants.js';
+
+/**
+ * Describe where a task sits on the sheet
+ * @param {{listName: string, dayOfWeek: number|null}} task - A printed task (see PrintedTask in dataAccess.js)
+ * @returns {string} The list name, preceded by the day for day tasks (e.g. 'Tuesday · Work')
+ */
+export function describeTaskPlacement(task) {
+  return task.dayOfWeek == null ? task.listName : `${DAYS_OF_WEEK[task.dayOfWeek]} · ${task.listName}`;
+}
+
+/**
+ * Compare the tasks of a printed sheet with the tasks on the sheet now
+ * A task is moved when it changed list or day (reordering within a list doesn't count), and completed
+ * when it was printed unchecked and is checked now. A moved task can also be completed.
+ * @param {Array<Object>} printedTasks - Tasks of the print snapshot
+ * @param {Array<Object>} currentTasks - Tasks on the sheet now (from getSheetContents for the printed week)
+ * @returns {{added: Array<Object>, removed: Array<Object>, moved: Array<{task: Object, from: Object}>, completed: Array<Object>}}
+ *   Added tasks (current), removed tasks (printed), moved tasks (current, with the printed task) and completed tasks (current)
+ */
+export function diffSheets(printedTasks, currentTasks) {
+  const printedById = new Map(printedTasks.map(task => [task.id, task]));
+  const currentIds = new Set(currentTasks.map(task => task.id));
+
+  const moved = [];
+  const completed = [];
+  for (const task of currentTasks) {
+    const printed = printedById.get(task.id);
+    if (!printed) continue;
+    if (printed.listId !== task.listId || printed.dayOfWeek !== task.dayOfWeek) {
+      moved.push({ task, from: printed });
+    }
+    if (printed.status === 'unchecked' && task.status === 'checked') {
+      completed.push(task);
+    }
+  }
+
+  return {
+    added: currentTasks.filter(task => !printedById.has(task.id)),
+    removed: printedTasks.filter(task => !currentIds.has(task.id)),
+    moved,
+    completed
+  };
+}
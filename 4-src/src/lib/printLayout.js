@@ -0,0 +1,38 @@
+/**
+ * Print layout for the selected paper format
+ * The on-screen sheet, the @page rule and the number of columns that fit all derive from it.
+ */
+
+import { PAPER_SIZES, PAPER_ORIENTATIONS, DEFAULT_PAPER_FORMAT, PRINT_SHEET_INSET, MIN_COLUMN_WIDTH, MAX_COLUMN_COUNT } from './constants.js';
+
+/**
+ * Check whether a value is a valid paper format
+ * @param {*} format - The value to check
+ * @returns {boolean} True for {size, orientation} with a known size and orientation
+ */
+export function isValidPaperFormat(format) {
+  return format != null
+    && Object.hasOwn(PAPER_SIZES, format.size)
+    && PAPER_ORIENTATIONS.includes(format.orientation);
+}
+
+/**
+ * Get the sheet dimensions and page rule for a paper format
+ * @param {{size: string, orientation: string}} format - The paper format (invalid formats use the default)
+ * @returns {{width: number, height: number, pageSize: string, maxColumnCount: number}}
+ *   Sheet size in pixels, the CSS @page size value and the most board columns that fit across the sheet
+ */
+export function getPrintLayout(format) {
+  const { size, orientation } = isValidPaperFormat(format) ? format : DEFAULT_PAPER_FORMAT;
+  const paper = PAPER_SIZES[size];
+  const isLandscape = orientation === 'landscape';
+  const width = isLandscape ? paper.height : paper.width;
+  const height = isLandscape ? paper.width : paper.height;
+  const boardWidth = width - 2 * PRINT_SHEET_INSET;
+  return {
+    width,
+    height,
+    pageSize: `${paper.pageSize} ${orientation}`,
+    maxColumnCount: Math.min(MAX_COLUMN_COUNT, Math.floor(boardWidth / MIN_COLUMN_WIDTH))
+  };
+}
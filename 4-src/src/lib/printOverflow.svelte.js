@@ -0,0 +1,103 @@
+/**
+ * Print overflow detection
+ * Each board column measures its lists against the printable area of the sheet, marks the lists and
+ * tasks that would be cut off, and reports itself here so the Print button can warn before printing.
+ */
+
+// Attribute set on lists and tasks that don't fit on the page (styled in app.css, screen only)
+export const OVERFLOW_ATTRIBUTE = 'data-print-overflow';
+
+// Sub-pixel rounding can make content that just fits measure a fraction of a pixel too tall
+const OVERFLOW_TOLERANCE_PX = 1;
+
+// Overflowing list and task IDs per column index: { [columnIndex]: { listIds: number[], taskIds: number[] } }
+export const columnOverflow = $state({});
+
+/**
+ * Find the items that end below the printable area
+ * @param {Array<{id: number, bottom: number}>} items - Item IDs with their bottom edge, measured from the top of the column content
+ * @param {number} printableHeight - Height of the column's printable area
+ * @returns {Array<number>} IDs of the items that don't fit
+ */
+export function findOverflowingIds(items, printableHeight) {
+  return items
+    .filter(item => item.bottom > printableHeight + OVERFLOW_TOLERANCE_PX)
+    .map(item => item.id);
+}
+
+/**
+ * Measure a column's lists and tasks against its visible height and mark the ones that overflow
+ * Positions are taken relative to the column content, so the result doesn't depend on how far it is scrolled.
+ * @param {HTMLElement} columnElement - The scrollable column container (direct children are the list wrappers)
+ * @returns {{listIds: number[], taskIds: number[]}} IDs of the overflowing lists and tasks
+ */
+export function measureColumnOverflow(columnElement) {
+  const contentTop = columnElement.getBoundingClientRect().top - columnElement.scrollTop;
+  const measure = (elements) => elements.map(element => ({
+    element,
+    id: Number(element.getAttribute('data-id')),
+    bottom: element.getBoundingClientRect().bottom - contentTop
+  }));
+
+  const lists = measure(Array.from(columnElement.querySelectorAll(':scope > [data-id]')));
+  const tasks = measure(Array.from(columnElement.querySelectorAll('li[data-id]')));
+  const listIds = findOverflowingIds(lists, columnElement.clientHeight);
+  const taskIds = findOverflowingIds(tasks, columnElement.clientHeight);
+
+  for (const { element, id } of lists) {
+    element.toggleAttribute(OVERFLOW_ATTRIBUTE, listIds.includes(id));
+  }
+  for (const { element, id } of tasks) {
+    element.toggleAttribute(OVERFLOW_ATTRIBUTE, taskIds.includes(id));
+  }
+  return { listIds, taskIds };
+}
+
+/**
+ * Record the overflow measured for a column
+ * @param {number} columnIndex - The column index
+ * @param {{listIds: number[], taskIds: number[]}} overflow - Result of measureColumnOverflow
+ */
+export function reportColumnOverflow(columnIndex, overflow) {
+  const previous = columnOverflow[columnIndex];
+  if (previous
+    && previous.listIds.join() === overflow.listIds.join()
+    && previous.taskIds.join() === overflow.taskIds.join()) {
+    return; // Unchanged: avoid waking up the Print button on every resize
+  }
+  columnOverflow[columnIndex] = overflow;
+}
+
+/**
+ * Forget a column's overflow (when the column is removed from the board)
+ * @param {number} columnIndex - The column index
+ */
+export function clearColumnOverflow(columnIndex) {
+  delete columnOverflow[columnIndex];
+}
+
+/**
+ * Get the columns that have lists overflowing the page
+ * @returns {Array<number>} Column indices in ascending order
+ */
+export function getOverflowingColumns() {
+  return Object.entries(columnOverflow)
+    .filter(([, overflow]) => overflow.listIds.length > 0)
+    .map(([columnIndex]) => Number(columnIndex))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Describe which columns overflow, numbering columns from 1 as they appear on the board
+ * @param {Array<number>} columnIndices - Overflowing column indices (from getOverflowingColumns)
+ * @returns {string|null} Warning text, or null if nothing overflows
+ */
+export function formatOverflowWarning(columnIndices) {
+  if (columnIndices.length === 0) return null;
+  const numbers = columnIndices.map(index => index + 1);
+  if (numbers.length === 1) {
+    return `Column ${numbers[0]} doesn't fit on the page`;
+  }
+  const last = numbers.pop();
+  return `Columns ${numbers.join(', ')} and ${last} don't fit on the page`;
+}
@@ -0,0 +1,157 @@
+/**
+ * Recurrence rules for repeating tasks
+ *
+ * A recurring task stores its rule as task.recurrence and the start of the period it was created for as
+ * task.occurrenceStart ('YYYY-MM-DD'). Each period has one occurrence: when it is archived, or once its
+ * period is over and it was checked off, a fresh copy is created for the next period (see dataAccess.js).
+ *
+ * Rules:
+ * - { frequency: 'daily' } - every day
+ * - { frequency: 'weekly', weekdays: [0, 3] } - on the chosen days (0 = Monday ... 6 = Sunday)
+ * - { frequency: 'monthly' } - every calendar month
+ * - { frequency: 'interval', days: 3 } - every N days, counted from the first occurrence
+ */
+
+import { DAYS_OF_WEEK } from './constants.js';
+import { toDateString, parseDateString } from './weekUtils.js';
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'interval'];
+export const MAX_RECURRENCE_INTERVAL_DAYS = 365;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a value is a valid recurrence rule
+ * @param {*} rule - The value to check
+ * @returns {boolean} True if the rule has a known frequency and valid options for it
+ */
+export function isValidRecurrence(rule) {
+  if (!rule || typeof rule !== 'object' || !RECURRENCE_FREQUENCIES.includes(rule.frequency)) {
+    return false;
+  }
+  if (rule.frequency === 'weekly') {
+    return Array.isArray(rule.weekdays) && rule.weekdays.length > 0
+      && rule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day < DAYS_OF_WEEK.length);
+  }
+  if (rule.frequency === 'interval') {
+    return Number.isInteger(rule.days) && rule.days >= 1 && rule.days <= MAX_RECURRENCE_INTERVAL_DAYS;
+  }
+  return true;
+}
+
+/**
+ * Copy a rule keeping only the options of its frequency (weekdays sorted, without duplicates)
+ * @param {Object} rule - A valid recurrence rule
+ * @returns {Object} The normalized rule
+ */
+export function normalizeRecurrence(rule) {
+  if (rule.frequency === 'weekly') {
+    return { frequency: 'weekly', weekdays: [...new Set(rule.weekdays)].sort((a, b) => a - b) };
+  }
+  if (rule.frequency === 'interval') {
+    return { frequency: 'interval', days: rule.days };
+  }
+  return { frequency: rule.frequency };
+}
+
+/**
+ * Check whether two rules repeat the same way
+ * @param {Object|null} a - A recurrence rule or null
+ * @param {Object|null} b - A recurrence rule or null
+ * @returns {boolean} True if both are null or both normalize to the same rule
+ */
+export function isSameRecurrence(a, b) {
+  if (!a || !b) return !a && !b;
+  return JSON.stringify(normalizeRecurrence(a)) === JSON.stringify(normalizeRecurrence(b));
+}
+
+function addDays(dateString, days) {
+  const date = parseDateString(dateString);
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+}
+
+// Monday-first day index of a date (0 = Monday ... 6 = Sunday), like task.dayOfWeek
+function getDayOfWeek(dateString) {
+  return (parseDateString(dateString).getDay() + 6) % 7;
+}
+
+function daysBetween(from, to) {
+  // Round to absorb daylight saving time changes
+  return Math.round((parseDateString(to) - parseDateString(from)) / MS_PER_DAY);
+}
+
+/**
+ * Get the start of the period a date falls in
+ * @param {Object} rule - A valid recurrence rule
+ * @param {Date} date - Any date
+ * @param {string} [anchor] - Start of a known period ('YYYY-MM-DD'); interval rules count their periods from it
+ * @returns {string} The period start as 'YYYY-MM-DD'
+ */
+export function getPeriodStart(rule, date, anchor = toDateString(date)) {
+  const day = toDateString(date);
+  switch (rule.frequency) {
+    case 'weekly': {
+      // The most recent chosen weekday on or before the date
+      for (let daysBack = 0; daysBack < DAYS_OF_WEEK.length; daysBack++) {
+        const candidate = addDays(day, -daysBack);
+        if (rule.weekdays.includes(getDayOfWeek(candidate))) {
+          return candidate;
+        }
+      }
+      return day;
+    }
+    case 'monthly':
+      return `${day.slice(0, 8)}01`;
+    case 'interval':
+      return addDays(anchor, Math.floor(daysBetween(anchor, day) / rule.days) * rule.days);
+    default:
+      return day;
+  }
+}
+
+/**
+ * Get the start of the period after the one starting on a date
+ * @param {Object} rule - A valid recurrence rule
+ * @param {string} periodStart - Start of a period as 'YYYY-MM-DD'
+ * @returns {string} The next period start as 'YYYY-MM-DD'
+ */
+export function getNextPeriodStart(rule, periodStart) {
+  switch (rule.frequency) {
+    case 'weekly':
+      // The next chosen weekday after the period start
+      for (let daysAhead = 1; daysAhead < DAYS_OF_WEEK.length; daysAhead++) {
+        const candidate = addDays(periodStart, daysAhead);
+        if (rule.weekdays.includes(getDayOfWeek(candidate))) {
+          return candidate;
+        }
+      }
+      return addDays(periodStart, DAYS_OF_WEEK.length);
+    case 'monthly': {
+      const date = parseDateString(periodStart);
+      return toDateString(new Date(date.getFullYear(), date.getMonth() + 1, 1));
+    }
+    case 'interval':
+      return addDays(periodStart, rule.days);
+    default:
+      return addDays(periodStart, 1);
+  }
+}
+
+/**
+ * Describe a rule for display, e.g. "Weekly on Mon, Thu" or "Every 3 days"
+ * @param {Object} rule - A valid recurrence rule
+ * @returns {string} Human-readable description
+ */
+export function describeRecurrence(rule) {
+  switch (rule.frequency) {
+    case 'weekly':
+      return `Weekly on ${normalizeRecurrence(rule).weekdays.map(day => DAYS_OF_WEEK[day].slice(0, 3)).join(', ')}`;
+    case 'monthly':
+      return 'Monthly';
+    case 'interval':
+      return rule.days === 1 ? 'Daily' : `Every ${rule.days} days`;
+    default:
+      return 'Daily';
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Fuzzy search over task text and list names (see SearchModal.svelte)
+ *
+ * Each word of the query must appear in the text, either as a substring or as letters in order
+ * ("dntst" finds "Dentist"). Substring matches rank above scattered ones, and matches at the start
+ * of a word rank higher still.
+ */
+
+// Most tasks shown for a query; the best matches are kept
+export const MAX_SEARCH_RESULTS = 50;
+
+// Bonus for a word found as a substring, and for one that starts a word of the text
+const SUBSTRING_SCORE = 100;
+const WORD_START_BONUS = 50;
+
+/**
+ * Score how well one query word matches a text
+ * @param {string} word - Lowercase query word
+ * @param {string} text - Lowercase text
+ * @returns {number|null} Higher is better, or null if the letters don't appear in order
+ */
+function scoreWord(word, text) {
+  const index = text.indexOf(word);
+  if (index !== -1) {
+    const startsWord = index === 0 || /[\s\p{P}]/u.test(text[index - 1]);
+    return SUBSTRING_SCORE + (startsWord ? WORD_START_BONUS : 0) - Math.min(index, SUBSTRING_SCORE / 2);
+  }
+
+  // Letters in order: every gap between matched letters costs a point
+  let score = SUBSTRING_SCORE / 2;
+  let position = -1;
+  for (const letter of word) {
+    const next = text.indexOf(letter, position + 1);
+    if (next === -1) return null;
+    if (position !== -1) score -= next - position - 1;
+    position = next;
+  }
+  return Math.max(score, 1);
+}
+
+/**
+ * Score how well a query matches a text
+ * @param {string} query - Search query (words separated by whitespace, any case)
+ * @param {string|null} text - Text to search in
+ * @returns {number|null} Higher is better, or null if some word of the query doesn't match
+ */
+export function fuzzyScore(query, text) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0 || !text) return null;
+  const haystack = text.toLowerCase();
+  let total = 0;
+  for (const word of words) {
+    const score = scoreWord(word, haystack);
+    if (score === null) return null;
+    total += score;
+  }
+  return total;
+}
+
+/**
+ * Check whether a search result is only shown in the archive (not on the board)
+ * @param {Object} list - The task's list, or the list itself
+ * @param {Object} [task] - The task, for task results
+ * @returns {boolean} True if the list or the task is archived
+ */
+export function isInArchive(list, task = null) {
+  return list.archivedAt != null || task?.status === 'archived';
+}
+
+/**
+ * Search tasks and lists, grouped by list
+ * @param {string} query - Search query
+ * @param {{lists: Array, tasks: Array}} data - Lists (including archived) and tasks (active and archived) to search
+ * @returns {Array<{list: Object, listMatches: boolean, tasks: Array<Object>}>} Groups for lists whose name
+ *   or tasks match, best match first; each group's tasks are ordered best match first
+ */
+export function searchPlanner(query, { lists, tasks }) {
+  const listsById = new Map(lists.map(list => [list.id, list]));
+  const groups = new Map();
+  const getGroup = (list) => {
+    if (!groups.has(list.id)) {
+      groups.set(list.id, { list, listMatches: false, score: 0, tasks: [] });
+    }
+    return groups.get(list.id);
+  };
+
+  for (const list of lists) {
+    const score = fuzzyScore(query, list.name);
+    if (score !== null) {
+      const group = getGroup(list);
+      group.listMatches = true;
+      group.score = score;
+    }
+  }
+
+  const taskMatches = tasks
+    .map(task => ({ task, score: fuzzyScore(query, task.text) }))
+    .filter(match => match.score !== null && listsById.has(match.task.listId))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SEARCH_RESULTS);
+  for (const { task, score } of taskMatches) {
+    const group = getGroup(listsById.get(task.listId));
+    group.tasks.push(task);
+    group.score = Math.max(group.score, score);
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b.score - a.score)
+    .map(({ list, listMatches, tasks: groupTasks }) => ({ list, listMatches, tasks: groupTasks }));
+}
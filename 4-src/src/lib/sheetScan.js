@@ -0,0 +1,365 @@
+/**
+ * Printed sheet scanning
+ * The sheet is printed with a solid square marker in each corner, and the position of every task's
+ * checkbox is saved with the print snapshot. A photo or scan of the filled-in sheet is located by its
+ * markers, mapped back onto the sheet, and each checkbox is checked for pen ink. All processing runs
+ * in the browser on the image's pixels; photos are expected roughly upright (any skew or perspective is fine).
+ */
+
+import { FIDUCIAL_MARKER_SIZE, FIDUCIAL_MARKER_OFFSET } from './constants.js';
+
+// Photos are scaled down to this many pixels on their longest side before processing
+const MAX_SCAN_DIMENSION = 1600;
+
+// Marker candidates are solid, roughly square dark blobs of a plausible size
+const MIN_MARKER_SIDE = 3; // Pixels
+const MAX_MARKER_FRACTION = 0.08; // Of the image's shorter side
+const MAX_MARKER_ASPECT = 1.6;
+const MIN_MARKER_FILL = 0.6; // Share of the bounding box covered (a square rotated 10° still covers ~85%)
+// Blobs much smaller than the biggest candidate in a quadrant (printed check dots, specks) are not markers
+const MIN_MARKER_AREA_SHARE = 0.6;
+
+// A checkbox pixel counts as ink when darker than this share of the surrounding paper
+const INK_DARKNESS = 0.65;
+// Share of a checkbox's interior that must be inked for it to count as ticked
+const TICKED_INK_RATIO = 0.12;
+
+/**
+ * Get the centers of the corner markers on a sheet
+ * @param {{width: number, height: number}} sheet - Sheet size in pixels
+ * @returns {Array<{x: number, y: number}>} Top-left, top-right, bottom-right and bottom-left marker centers
+ */
+export function getFiducialCenters({ width, height }) {
+  const near = FIDUCIAL_MARKER_OFFSET + FIDUCIAL_MARKER_SIZE / 2;
+  return [
+    { x: near, y: near },
+    { x: width - near, y: near },
+    { x: width - near, y: height - near },
+    { x: near, y: height - near }
+  ];
+}
+
+/**
+ * Measure where each task's checkbox sits on the sheet
+ * Columns print from the top of their content and cut off what doesn't fit, so positions ignore the
+ * scroll position and tasks below the bottom of their column are left out.
+ * @param {HTMLElement} sheetElement - The on-screen sheet (same size as the printed page)
+ * @returns {Object<number, {x: number, y: number, width: number, height: number}>} Checkbox box per task ID, in sheet pixels
+ */
+export function measureCheckboxPositions(sheetElement) {
+  const sheetRect = sheetElement.getBoundingClientRect();
+  const positions = {};
+  for (const checkbox of sheetElement.querySelectorAll('li[data-id] input[type="checkbox"]')) {
+    const rect = checkbox.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) continue;
+
+    let scrollOffset = 0;
+    const clipElement = checkbox.closest('.sortable-column-container, ul[data-day]');
+    if (clipElement) {
+      scrollOffset = clipElement.scrollTop;
+      const visibleBottom = clipElement.getBoundingClientRect().top + clipElement.clientHeight;
+      if (rect.bottom + scrollOffset > visibleBottom) continue;
+    }
+
+    const taskId = Number(checkbox.closest('li[data-id]').getAttribute('data-id'));
+    positions[taskId] = {
+      x: rect.left - sheetRect.left,
+      y: rect.top + scrollOffset - sheetRect.top,
+      width: rect.width,
+      height: rect.height
+    };
+  }
+  return positions;
+}
+
+/**
+ * Read an image file into pixels, scaled down for processing
+ * @param {Blob} file - A photo or scan (any format the browser can decode)
+ * @returns {Promise<ImageData>} The image pixels
+ */
+export async function loadImageData(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_SCAN_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Convert RGBA pixels to brightness values
+ * @param {{width: number, height: number, data: ArrayLike<number>}} imageData - RGBA pixels (ImageData or equivalent)
+ * @returns {Uint8Array} One brightness value (0-255) per pixel
+ */
+export function toGrayscale({ width, height, data }) {
+  const gray = new Uint8Array(width * height);
+  for (let index = 0; index < gray.length; index++) {
+    const offset = index * 4;
+    gray[index] = (data[offset] * 299 + data[offset + 1] * 587 + data[offset + 2] * 114) / 1000;
+  }
+  return gray;
+}
+
+/**
+ * Pick the brightness that best separates dark and light pixels (Otsu's method)
+ * @param {Uint8Array} gray - Brightness values
+ * @returns {number} Pixels at or below this value are dark
+ */
+export function otsuThreshold(gray) {
+  const histogram = new Array(256).fill(0);
+  for (const value of gray) {
+    histogram[value]++;
+  }
+  const total = gray.length;
+  const totalSum = histogram.reduce((sum, count, value) => sum + count * value, 0);
+
+  let darkCount = 0;
+  let darkSum = 0;
+  let bestThreshold = 0;
+  let bestVariance = -1;
+  for (let value = 0; value < 256; value++) {
+    darkCount += histogram[value];
+    darkSum += histogram[value] * value;
+    const lightCount = total - darkCount;
+    if (darkCount === 0 || lightCount === 0) continue;
+    const meanDifference = darkSum / darkCount - (totalSum - darkSum) / lightCount;
+    const variance = darkCount * lightCount * meanDifference * meanDifference;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      bestThreshold = value;
+    }
+  }
+  return bestThreshold;
+}
+
+/**
+ * Find the dark blobs that could be corner markers
+ * @param {Uint8Array} gray - Brightness values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Array<{x: number, y: number, area: number}>} Blob centers and pixel counts
+ */
+function findMarkerCandidates(gray, width, height) {
+  const threshold = otsuThreshold(gray);
+  const maxSide = Math.min(width, height) * MAX_MARKER_FRACTION;
+  const visited = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  const candidates = [];
+
+  for (let start = 0; start < gray.length; start++) {
+    if (visited[start] || gray[start] > threshold) continue;
+
+    // Flood fill the blob (4-connected), tracking its bounding box and center
+    let stackSize = 0;
+    stack[stackSize++] = start;
+    visited[start] = 1;
+    let area = 0, sumX = 0, sumY = 0;
+    let minX = width, maxX = 0, minY = height, maxY = 0;
+    while (stackSize > 0) {
+      const index = stack[--stackSize];
+      const x = index % width;
+      const y = (index - x) / width;
+      area++;
+      sumX += x;
+      sumY += y;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+      const neighbors = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+      for (const neighbor of neighbors) {
+        if (neighbor >= 0 && !visited[neighbor] && gray[neighbor] <= threshold) {
+          visited[neighbor] = 1;
+          stack[stackSize++] = neighbor;
+        }
+      }
+    }
+
+    const blobWidth = maxX - minX + 1;
+    const blobHeight = maxY - minY + 1;
+    const shortSide = Math.min(blobWidth, blobHeight);
+    const longSide = Math.max(blobWidth, blobHeight);
+    if (shortSide >= MIN_MARKER_SIDE
+      && longSide <= maxSide
+      && longSide / shortSide <= MAX_MARKER_ASPECT
+      && area / (blobWidth * blobHeight) >= MIN_MARKER_FILL) {
+      candidates.push({ x: sumX / area, y: sumY / area, area });
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Locate the four corner markers in an image
+ * In each quadrant the marker is the outermost of the biggest solid square blobs.
+ * @param {Uint8Array} gray - Brightness values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Array<{x: number, y: number}>|null} Top-left, top-right, bottom-right and bottom-left marker centers, or null if any is missing
+ */
+export function findFiducials(gray, width, height) {
+  const candidates = findMarkerCandidates(gray, width, height);
+  const corners = [
+    { x: 0, y: 0 },
+    { x: width, y: 0 },
+    { x: width, y: height },
+    { x: 0, y: height }
+  ];
+
+  const markers = corners.map(corner => {
+    const inQuadrant = candidates.filter(candidate =>
+      (candidate.x < width / 2) === (corner.x === 0) && (candidate.y < height / 2) === (corner.y === 0));
+    if (inQuadrant.length === 0) return null;
+    const largestArea = Math.max(...inQuadrant.map(candidate => candidate.area));
+    const distance = (candidate) => Math.hypot(candidate.x - corner.x, candidate.y - corner.y);
+    const marker = inQuadrant
+      .filter(candidate => candidate.area >= largestArea * MIN_MARKER_AREA_SHARE)
+      .reduce((closest, candidate) => distance(candidate) < distance(closest) ? candidate : closest);
+    return { x: marker.x, y: marker.y };
+  });
+  return markers.includes(null) ? null : markers;
+}
+
+/**
+ * Compute the perspective transform that maps four points onto four others
+ * @param {Array<{x: number, y: number}>} from - Four source points
+ * @param {Array<{x: number, y: number}>} to - The four matching destination points
+ * @returns {Array<number>} The 3x3 transform in row order (last entry 1)
+ */
+export function computeHomography(from, to) {
+  // Two equations per point pair in the eight unknowns h0..h7: solved by Gaussian elimination
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+
+  for (let column = 0; column < 8; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < 8; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-9) {
+      throw new Error('The corner markers are not in a usable position');
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    for (let row = 0; row < 8; row++) {
+      if (row === column) continue;
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k < 9; k++) {
+        rows[row][k] -= factor * rows[column][k];
+      }
+    }
+  }
+  return [...rows.map((row, index) => row[8] / row[index]), 1];
+}
+
+/**
+ * Map a point through a perspective transform
+ * @param {Array<number>} homography - Transform from computeHomography
+ * @param {{x: number, y: number}} point - The point to map
+ * @returns {{x: number, y: number}} The mapped point
+ */
+export function applyHomography(homography, { x, y }) {
+  const [h0, h1, h2, h3, h4, h5, h6, h7, h8] = homography;
+  const w = h6 * x + h7 * y + h8;
+  return { x: (h0 * x + h1 * y + h2) / w, y: (h3 * x + h4 * y + h5) / w };
+}
+
+/**
+ * Read the brightness at a point between pixels (bilinear)
+ * @returns {number|null} Brightness, or null outside the image
+ */
+function sampleGray(gray, width, height, { x, y }) {
+  if (x < 0 || y < 0 || x > width - 1 || y > height - 1) return null;
+  const left = Math.floor(x);
+  const top = Math.floor(y);
+  const right = Math.min(left + 1, width - 1);
+  const bottom = Math.min(top + 1, height - 1);
+  const fx = x - left;
+  const fy = y - top;
+  const upper = gray[top * width + left] * (1 - fx) + gray[top * width + right] * fx;
+  const lower = gray[bottom * width + left] * (1 - fx) + gray[bottom * width + right] * fx;
+  return upper * (1 - fy) + lower * fy;
+}
+
+/**
+ * Measure how much of a checkbox's interior is covered in ink
+ * Ink is judged against the paper just around the checkbox, so uneven lighting doesn't matter.
+ * @param {Uint8Array} gray - Brightness values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<number>} homography - Transform from sheet to image coordinates
+ * @param {{x: number, y: number, width: number, height: number}} box - The checkbox, in sheet pixels
+ * @returns {number} Share of the interior that is inked (0-1)
+ */
+export function measureCheckboxInk(gray, width, height, homography, box) {
+  const centerX = box.x + box.width / 2;
+  const centerY = box.y + box.height / 2;
+  const radius = Math.min(box.width, box.height) / 2;
+  const sample = (dx, dy) => sampleGray(gray, width, height, applyHomography(homography, { x: centerX + dx, y: centerY + dy }));
+
+  // Paper brightness from a ring around the checkbox (upper quartile, so neighbouring text doesn't darken it)
+  const ring = [];
+  for (let step = 0; step < 24; step++) {
+    const angle = (step / 24) * 2 * Math.PI;
+    for (const distance of [1.6 * radius, 2.2 * radius]) {
+      const value = sample(Math.cos(angle) * distance, Math.sin(angle) * distance);
+      if (value !== null) ring.push(value);
+    }
+  }
+  if (ring.length === 0) return 0;
+  ring.sort((a, b) => a - b);
+  const paper = ring[Math.floor(ring.length * 0.75)];
+
+  // Interior samples stay clear of the printed outline
+  const spacing = (0.6 * radius) / 4;
+  let inked = 0;
+  let total = 0;
+  for (let dy = -4; dy <= 4; dy++) {
+    for (let dx = -4; dx <= 4; dx++) {
+      if (dx * dx + dy * dy > 16) continue;
+      const value = sample(dx * spacing, dy * spacing);
+      if (value === null) continue;
+      total++;
+      if (value < paper * INK_DARKNESS) inked++;
+    }
+  }
+  return total === 0 ? 0 : inked / total;
+}
+
+/**
+ * Detect which printed checkboxes have been ticked in a photo of the sheet
+ * @param {{width: number, height: number, data: ArrayLike<number>}} imageData - RGBA pixels of the photo
+ * @param {{sheet: {width: number, height: number}, tasks: Array<{id: number, checkbox: Object|null}>}} snapshot - The print snapshot (see savePrintSnapshot)
+ * @returns {Array<{taskId: number, inkRatio: number, ticked: boolean}>} One result per task with a known checkbox position
+ */
+export function detectTickedCheckboxes(imageData, snapshot) {
+  if (!snapshot.sheet) {
+    throw new Error('The last print has no checkbox positions to scan');
+  }
+  const { width, height } = imageData;
+  const gray = toGrayscale(imageData);
+  const markers = findFiducials(gray, width, height);
+  if (!markers) {
+    throw new Error('Could not find the four corner markers on the sheet');
+  }
+  const homography = computeHomography(getFiducialCenters(snapshot.sheet), markers);
+
+  return snapshot.tasks
+    .filter(task => task.checkbox)
+    .map(task => {
+      const inkRatio = measureCheckboxInk(gray, width, height, homography, task.checkbox);
+      return { taskId: task.id, inkRatio, ticked: inkRatio >= TICKED_INK_RATIO };
+    });
+}
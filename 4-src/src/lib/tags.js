@@ -0,0 +1,64 @@
+/**
+ * Hashtag tags in task text
+ *
+ * A tag is '#' followed by letters, digits, '_' or '-', at the start of the text or after whitespace
+ * (so 'C#' or 'page#2' are not tags). Tags are matched case-insensitively and stored lowercase in
+ * task.tags, which db.js keeps in sync with the task text.
+ */
+
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+/**
+ * Find the tags in a task's text
+ * @param {string} text - Task text
+ * @returns {Array<string>} Lowercase tags without '#', in order of first appearance, without duplicates
+ */
+export function parseTags(text) {
+  if (typeof text !== 'string') return [];
+  const tags = Array.from(text.matchAll(TAG_PATTERN), ([, , tag]) => tag.toLowerCase());
+  return [...new Set(tags)];
+}
+
+/**
+ * Split task text into plain text and tags, for showing tags as chips
+ * @param {string} text - Task text
+ * @returns {Array<{text: string, tag: string|null}>} Segments in order; tag segments keep their text as typed (with '#')
+ */
+export function splitTextByTags(text) {
+  const segments = [];
+  let position = 0;
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const [, leadingSpace, tag] = match;
+    const tagStart = match.index + leadingSpace.length;
+    if (tagStart > position) {
+      segments.push({ text: text.slice(position, tagStart), tag: null });
+    }
+    segments.push({ text: `#${tag}`, tag: tag.toLowerCase() });
+    position = tagStart + tag.length + 1;
+  }
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), tag: null });
+  }
+  return segments;
+}
+
+/**
+ * Check whether a task matches a tag filter
+ * @param {{tags?: Array<string>}} task - Task object
+ * @param {Array<string>} tags - Selected tags (any of them matches); an empty selection matches every task
+ * @returns {boolean} True if the task should be shown normally
+ */
+export function matchesTagFilter(task, tags) {
+  return tags.length === 0 || (task.tags ?? []).some(tag => tags.includes(tag));
+}
+
+/**
+ * Get the class that applies a tag filter to a task (styled in app.css, screen only)
+ * @param {{tags?: Array<string>}} task - Task object
+ * @param {{tags: Array<string>, mode: string}|null} filter - The tag filter from getTagFilter(), or null while loading
+ * @returns {string} 'tag-filter-dimmed' or 'tag-filter-hidden' for tasks that don't match, '' otherwise
+ */
+export function getTagFilterClass(task, filter) {
+  if (!filter || matchesTagFilter(task, filter.tags)) return '';
+  return filter.mode === 'hide' ? 'tag-filter-hidden' : 'tag-filter-dimmed';
+}
@@ -0,0 +1,96 @@
+/**
+ * Multi-select of board tasks
+ * Ctrl/Cmd-click toggles a task, Shift-click and Shift+Arrow select a range from the last toggled task,
+ * across lists in board order (column by column, top to bottom). TaskSelectionToolbar.svelte acts on the
+ * selection, and dragging a selected task moves the whole selection (see TaskList.svelte).
+ */
+
+// Board tasks in board order
+const BOARD_TASK_SELECTOR = '.sortable-column-container li[data-id]';
+
+// Selected task IDs, and the task ranges start from
+export const taskSelection = $state({ ids: [], anchorId: null });
+
+/**
+ * Get the IDs of the tasks on the board, in board order
+ * @param {ParentNode} [root] - Where to look for the board
+ * @returns {Array<number>} Task IDs
+ */
+export function getBoardTaskIds(root = document) {
+  return Array.from(root.querySelectorAll(BOARD_TASK_SELECTOR), element => Number(element.getAttribute('data-id')));
+}
+
+/**
+ * @param {number} taskId - The ID of the task
+ * @returns {boolean} True if the task is selected
+ */
+export function isTaskSelected(taskId) {
+  return taskSelection.ids.includes(taskId);
+}
+
+/**
+ * Add a task to the selection, or remove it; either way it becomes the start of the next range
+ * @param {number} taskId - The ID of the task
+ */
+export function toggleTaskSelection(taskId) {
+  taskSelection.ids = isTaskSelected(taskId)
+    ? taskSelection.ids.filter(id => id !== taskId)
+    : [...taskSelection.ids, taskId];
+  taskSelection.anchorId = taskId;
+}
+
+/**
+ * Select the tasks from the range start to a task (just the task when nothing was toggled yet)
+ * @param {number} taskId - The ID of the task the range ends at
+ * @param {Array<number>} [orderedIds] - Task IDs in board order
+ */
+export function selectTaskRange(taskId, orderedIds = getBoardTaskIds()) {
+  const anchorIndex = orderedIds.indexOf(taskSelection.anchorId);
+  const index = orderedIds.indexOf(taskId);
+  if (anchorIndex === -1 || index === -1) {
+    taskSelection.ids = [taskId];
+    taskSelection.anchorId = taskId;
+    return;
+  }
+  taskSelection.ids = orderedIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+}
+
+/**
+ * Extend the selection from a task to the next or previous task on the board (Shift+Arrow)
+ * @param {number} taskId - The ID of the focused task
+ * @param {number} step - 1 for the next task, -1 for the previous one
+ * @param {Array<number>} [orderedIds] - Task IDs in board order
+ * @returns {number|null} The ID of the task the selection now ends at, or null at either end of the board
+ */
+export function extendTaskSelection(taskId, step, orderedIds = getBoardTaskIds()) {
+  const index = orderedIds.indexOf(taskId);
+  const nextId = index === -1 ? undefined : orderedIds[index + step];
+  if (nextId === undefined) {
+    return null;
+  }
+  if (taskSelection.ids.length === 0) {
+    taskSelection.anchorId = taskId;
+  }
+  selectTaskRange(nextId, orderedIds);
+  return nextId;
+}
+
+/**
+ * Deselect all tasks
+ */
+export function clearTaskSelection() {
+  if (taskSelection.ids.length > 0 || taskSelection.anchorId !== null) {
+    taskSelection.ids = [];
+    taskSelection.anchorId = null;
+  }
+}
+
+/**
+ * Get the selected tasks in board order
+ * Selected tasks that are no longer on the board (archived, or moved to a day) are left out.
+ * @param {Array<number>} [orderedIds] - Task IDs in board order
+ * @returns {Array<number>} Selected task IDs
+ */
+export function getSelectedTaskIds(orderedIds = getBoardTaskIds()) {
+  return orderedIds.filter(id => taskSelection.ids.includes(id));
+}
@@ -57,6 +57,12 @@ export const FONT_SIZE_PRESETS = {
 const STORAGE_KEY = 'fontSize';
 const DEFAULT_SIZE = 'medium';
 
+// Auto-fit print: shrink every size in the preset by the same factor until all columns fit the sheet
+const AUTO_FIT_STORAGE_KEY = 'printAutoFit';
+const AUTO_FIT_MIN_SCALE = 0.5; // Below this the printout is no longer readable
+const AUTO_FIT_SEARCH_STEPS = 8; // Binary search steps (precision of about 0.002)
+const PRINT_STYLE_ELEMENT_ID = 'print-auto-fit-variables';
+
 /**
  * Get current font size preference from localStorage
  * @returns {string} 'small' | 'medium' | 'large'
@@ -81,6 +87,65 @@ export function saveFontSizePreference(size) {
   }
 }
 
+/**
+ * Get the pitch of blank write-in lines: a one-line task row (content, padding and bottom border)
+ * rounded up to whole grid units, so the ruled lines stay on the baseline grid
+ * @param {Object} config - A FONT_SIZE_PRESETS entry (or a scaled copy)
+ * @returns {number} Line height in px
+ */
+export function getWriteInLineHeight(config) {
+  const rowHeight = Math.max(config.checkbox, config.lineHeight) + 2 * config.taskItemPaddingY + 1;
+  return Math.ceil(rowHeight / config.gridUnit) * config.gridUnit;
+}
+
+/**
+ * Get the CSS custom properties for a font size preset
+ * @param {Object} config - A FONT_SIZE_PRESETS entry (or a scaled copy)
+ * @returns {Object<string, string>} CSS variable values by name
+ */
+function getCSSVariables(config) {
+  return {
+    // Font sizes
+    '--font-size-body': `${config.body}px`,
+    '--font-size-heading': `${config.heading}px`,
+    
+    // Checkbox size
+    '--checkbox-size': `${config.checkbox}px`,
+    
+    // Grid system
+    '--grid-unit': `${config.gridUnit}px`,
+    '--grid-unit-half': `${config.gridUnit / 2}px`,
+    
+    // Line heights - body uses tighter spacing for multiline, heading uses 1.2x font size
+    '--line-height-body': `${config.lineHeight}px`,
+    '--line-height-heading': `${Math.round(config.heading * 1.2)}px`,
+    
+    // Component-specific spacing
+    '--list-title-padding-y': `${config.listTitlePaddingY}px`,
+    '--list-title-padding-x': `${config.listTitlePaddingX}px`,
+    '--task-item-padding-y': `${config.taskItemPaddingY}px`,
+    '--task-item-gap': `${config.taskItemGap}px`,
+    '--add-task-padding-y': `${config.addTaskPaddingY}px`,
+    '--list-spacing-top': `${config.listSpacingTop}px`,
+    '--list-gap': `${config.listGap}px`,
+    '--board-padding-y': `${config.boardPaddingY}px`,
+    
+    // Blank write-in lines
+    '--write-in-line-height': `${getWriteInLineHeight(config)}px`,
+  };
+}
+
+/**
+ * Set CSS custom properties on the document root
+ * @param {Object<string, string>} variables - CSS variable values by name
+ */
+function setRootCSSVariables(variables) {
+  const root = document.documentElement;
+  for (const [name, value] of Object.entries(variables)) {
+    root.style.setProperty(name, value);
+  }
+}
+
 /**
  * Update CSS custom properties based on font size preset
  * @param {string} size - 'small' | 'medium' | 'large'
@@ -89,32 +154,7 @@ export function updateCSSVariables(size) {
   if (typeof document === 'undefined') return;
   
   const config = FONT_SIZE_PRESETS[size] || FONT_SIZE_PRESETS[DEFAULT_SIZE];
-  const root = document.documentElement;
-  
-  // Font sizes
-  root.style.setProperty('--font-size-body', `${config.body}px`);
-  root.style.setProperty('--font-size-heading', `${config.heading}px`);
-  
-  // Checkbox size
-  root.style.setProperty('--checkbox-size', `${config.checkbox}px`);
-  
-  // Grid system
-  root.style.setProperty('--grid-unit', `${config.gridUnit}px`);
-  root.style.setProperty('--grid-unit-half', `${config.gridUnit / 2}px`);
-  
-  // Line heights - body uses tighter spacing for multiline, heading uses 1.2x font size
-  root.style.setProperty('--line-height-body', `${config.lineHeight}px`);
-  root.style.setProperty('--line-height-heading', `${Math.round(config.heading * 1.2)}px`);
-  
-  // Component-specific spacing
-  root.style.setProperty('--list-title-padding-y', `${config.listTitlePaddingY}px`);
-  root.style.setProperty('--list-title-padding-x', `${config.listTitlePaddingX}px`);
-  root.style.setProperty('--task-item-padding-y', `${config.taskItemPaddingY}px`);
-  root.style.setProperty('--task-item-gap', `${config.taskItemGap}px`);
-  root.style.setProperty('--add-task-padding-y', `${config.addTaskPaddingY}px`);
-  root.style.setProperty('--list-spacing-top', `${config.listSpacingTop}px`);
-  root.style.setProperty('--list-gap', `${config.listGap}px`);
-  root.style.setProperty('--board-padding-y', `${config.boardPaddingY}px`);
+  setRootCSSVariables(getCSSVariables(config));
 }
 
 /**
@@ -138,3 +178,100 @@ export function setFontSize(size) {
   }
 }
 
+/**
+ * Get the auto-fit print preference from localStorage
+ * @returns {boolean} True if printing should shrink the sheet to fit one page
+ */
+export function getAutoFitPrintPreference() {
+  if (typeof window === 'undefined') return false;
+  return localStorage.getItem(AUTO_FIT_STORAGE_KEY) === 'true';
+}
+
+/**
+ * Turn auto-fit print on or off
+ * @param {boolean} enabled - Whether printing should shrink the sheet to fit one page
+ */
+export function setAutoFitPrint(enabled) {
+  if (typeof window === 'undefined') return;
+  localStorage.setItem(AUTO_FIT_STORAGE_KEY, enabled ? 'true' : 'false');
+  if (!enabled) {
+    setPrintCSSVariables(null);
+  }
+}
+
+/**
+ * Scale every size of a font size preset by the same factor
+ * @param {Object} config - A FONT_SIZE_PRESETS entry
+ * @param {number} scale - The factor (1 = unchanged)
+ * @returns {Object} The scaled preset (sizes rounded to 0.1px)
+ */
+export function scalePreset(config, scale) {
+  return Object.fromEntries(
+    Object.entries(config).map(([key, value]) => [key, Math.round(value * scale * 10) / 10])
+  );
+}
+
+/**
+ * Find the largest scale at which the content fits
+ * Assumes that whatever fits at some scale also fits at any smaller one.
+ * @param {(scale: number) => boolean} fitsAt - Whether the content fits at a scale
+ * @returns {number} 1 if the content already fits, otherwise the largest fitting scale found
+ *   (AUTO_FIT_MIN_SCALE if even that doesn't fit)
+ */
+export function findAutoFitScale(fitsAt) {
+  if (fitsAt(1)) return 1;
+  let low = AUTO_FIT_MIN_SCALE;
+  let high = 1;
+  for (let step = 0; step < AUTO_FIT_SEARCH_STEPS; step++) {
+    const middle = (low + high) / 2;
+    if (fitsAt(middle)) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Override the CSS custom properties for print only
+ * @param {Object<string, string>|null} variables - CSS variable values by name, or null to print at screen size
+ */
+function setPrintCSSVariables(variables) {
+  if (typeof document === 'undefined') return;
+  document.getElementById(PRINT_STYLE_ELEMENT_ID)?.remove();
+  if (!variables) return;
+  
+  const declarations = Object.entries(variables).map(([name, value]) => `${name}: ${value} !important;`);
+  const style = document.createElement('style');
+  style.id = PRINT_STYLE_ELEMENT_ID;
+  style.textContent = `@media print { :root { ${declarations.join(' ')} } }`;
+  document.head.appendChild(style);
+}
+
+/**
+ * Prepare the print-only sizes before printing (call from a beforeprint handler)
+ * With auto-fit on, the preset is shrunk until no column scrolls, measured by briefly applying
+ * each candidate to the page; the screen sizes are restored before the browser paints.
+ * @param {Iterable<HTMLElement>} columnElements - The scrollable board column containers
+ * @returns {number} The print scale (1 when auto-fit is off or everything already fits)
+ */
+export function fitPrintToPage(columnElements) {
+  if (!getAutoFitPrintPreference()) {
+    setPrintCSSVariables(null);
+    return 1;
+  }
+  
+  const size = getFontSizePreference();
+  const config = FONT_SIZE_PRESETS[size];
+  const columns = Array.from(columnElements);
+  const fitsAt = (scale) => {
+    setRootCSSVariables(getCSSVariables(scalePreset(config, scale)));
+    return columns.every(column => column.scrollHeight <= column.clientHeight + 1);
+  };
+  
+  const scale = findAutoFitScale(fitsAt);
+  updateCSSVariables(size);
+  setPrintCSSVariables(scale < 1 ? getCSSVariables(scalePreset(config, scale)) : null);
+  return scale;
+}
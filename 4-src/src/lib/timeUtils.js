@@ -0,0 +1,93 @@
+/**
+ * Helpers for optional task start times and durations
+ * 
+ * Start times are stored as 24-hour 'HH:MM' strings (task.startTime) and
+ * durations as whole minutes (task.durationMinutes). Both are null when unset.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Check whether a value is a valid 'HH:MM' start time
+ * @param {*} startTime - Value to check
+ * @returns {boolean} True if the value is a 24-hour 'HH:MM' string
+ */
+export function isValidStartTime(startTime) {
+  return typeof startTime === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(startTime);
+}
+
+/**
+ * Check whether a value is a valid duration in minutes
+ * @param {*} durationMinutes - Value to check
+ * @returns {boolean} True if the value is a positive whole number of minutes (at most one day)
+ */
+export function isValidDuration(durationMinutes) {
+  return Number.isInteger(durationMinutes) && durationMinutes > 0 && durationMinutes <= MINUTES_PER_DAY;
+}
+
+/**
+ * Convert an 'HH:MM' start time to minutes since midnight
+ * @param {string} startTime - 24-hour 'HH:MM' string
+ * @returns {number} Minutes since midnight
+ */
+export function timeToMinutes(startTime) {
+  const [hours, minutes] = startTime.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes since midnight as 'H:MM' (wraps past midnight)
+ * @param {number} totalMinutes - Minutes since midnight
+ * @returns {string} Formatted time, e.g. '9:05'
+ */
+function formatMinutes(totalMinutes) {
+  const wrapped = ((totalMinutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(wrapped / 60);
+  const minutes = wrapped % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Format a task's time for display, e.g. '9:00' or '9:00–10:30'
+ * @param {{startTime?: string|null, durationMinutes?: number|null}} task - Task object
+ * @returns {string} Formatted time, or an empty string for untimed tasks
+ */
+export function formatTaskTime(task) {
+  if (!isValidStartTime(task?.startTime)) {
+    return '';
+  }
+  const start = timeToMinutes(task.startTime);
+  if (!isValidDuration(task.durationMinutes)) {
+    return formatMinutes(start);
+  }
+  return `${formatMinutes(start)}–${formatMinutes(start + task.durationMinutes)}`;
+}
+
+/**
+ * Sort the tasks of a day slot for display.
+ * Timed tasks come first in chronological order; untimed tasks follow in their manual order.
+ * @param {Array} tasks - Tasks of a single day
+ * @returns {Array} New sorted array
+ */
+export function sortDayTasks(tasks) {
+  return [...tasks].sort((a, b) => {
+    const aTimed = isValidStartTime(a.startTime);
+    const bTimed = isValidStartTime(b.startTime);
+    if (aTimed !== bTimed) return aTimed ? -1 : 1;
+    if (aTimed && a.startTime !== b.startTime) {
+      return timeToMinutes(a.startTime) - timeToMinutes(b.startTime);
+    }
+    return (a.order ?? 0) - (b.order ?? 0);
+  });
+}
+
+/**
+ * Check whether an edited schedule differs from a task's stored schedule
+ * @param {{startTime?: string|null, durationMinutes?: number|null}|null} task - Task object
+ * @param {{startTime: string|null, durationMinutes: number|null}} schedule - Edited schedule
+ * @returns {boolean} True if the start time or duration changed
+ */
+export function hasScheduleChanged(task, schedule) {
+  return (task?.startTime ?? null) !== schedule.startTime
+    || (task?.durationMinutes ?? null) !== schedule.durationMinutes;
+}
@@ -0,0 +1,21 @@
+/**
+ * Stable identifiers for records that must be matched across devices
+ * (auto-increment IDs collide between databases, so backups are merged by uid)
+ */
+
+/**
+ * Generate a random RFC 4122 version 4 UUID
+ * Falls back to getRandomValues where crypto.randomUUID is unavailable (non-secure contexts).
+ * @returns {string} UUID string
+ */
+export function generateUid() {
+  if (typeof globalThis.crypto?.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // Variant 10
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
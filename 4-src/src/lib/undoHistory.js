@@ -0,0 +1,250 @@
+/**
+ * Undo/redo history for board mutations
+ *
+ * Mutating dataAccess functions run through recordUndoable(). While the action runs, table hooks
+ * remember each list and task row it creates, updates or deletes as it was before; afterwards the
+ * touched rows are read again and the ones that differ are stored. Undo writes the "before" rows
+ * back (deleting rows the action created); redo writes the "after" rows again.
+ * Calls nested inside another transaction (e.g. restoreTask restoring its list, or a
+ * Markdown import creating many tasks) are part of the outer action and are not recorded
+ * separately.
+ */
+import Dexie from 'dexie';
+import db from './db.js';
+
+// Oldest entries are dropped beyond this many undo steps
+const MAX_HISTORY_LENGTH = 50;
+
+// Tables whose changes are recorded
+const TRACKED_TABLES = ['lists', 'tasks'];
+
+/**
+ * A recorded action
+ * @typedef {Object} UndoEntry
+ * @property {string} label - Short description shown to the user (e.g. 'Archive list')
+ * @property {boolean} destructive - Whether the action should offer an Undo toast
+ * @property {Array<{table: 'lists'|'tasks', key: number, before: Object|undefined, after: Object|undefined}>} changes - Changed rows
+ */
+
+/** @type {Array<UndoEntry>} */
+let undoStack = [];
+/** @type {Array<UndoEntry>} */
+let redoStack = [];
+const listeners = new Set();
+
+/**
+ * Notify history listeners
+ * @param {'record'|'undo'|'redo'|'clear'} type - What happened
+ * @param {UndoEntry|null} entry - The entry recorded, undone or redone
+ */
+function notify(type, entry) {
+  for (const listener of listeners) {
+    listener({ type, entry });
+  }
+}
+
+// Rows touched by each recording action, keyed by its transaction: { [table]: Map<key, row before the action> }
+const touchedRowsByTransaction = new WeakMap();
+
+/**
+ * Find the rows touched so far by the recording action a transaction belongs to
+ * Nested db.transaction() calls run in child transactions of the action's transaction.
+ * @param {Object} transaction - Dexie transaction
+ * @returns {Object<string, Map<number, Object|undefined>>|null} Touched rows per table, or null outside a recording action
+ */
+function getTouchedRows(transaction) {
+  for (let current = transaction; current; current = current.parent) {
+    const touchedRows = touchedRowsByTransaction.get(current);
+    if (touchedRows) {
+      return touchedRows;
+    }
+  }
+  return null;
+}
+
+/**
+ * Remember a row as it was before the recording action first touched it
+ * @param {Object} transaction - Dexie transaction of the change
+ * @param {string} table - Table name
+ * @param {number} key - Primary key
+ * @param {Object|undefined} row - The stored row, or undefined for a row being created
+ */
+function rememberRow(transaction, table, key, row) {
+  const rows = getTouchedRows(transaction)?.[table];
+  if (rows && key != null && !rows.has(key)) {
+    rows.set(key, row === undefined ? undefined : Dexie.deepClone(row));
+  }
+}
+
+for (const table of TRACKED_TABLES) {
+  db[table].hook('creating', function (primaryKey, row, transaction) {
+    if (getTouchedRows(transaction)) {
+      // Auto-incremented keys are only known once the row is stored
+      this.onsuccess = (key) => rememberRow(transaction, table, key, undefined);
+    }
+  });
+  db[table].hook('updating', (modifications, key, row, transaction) => {
+    rememberRow(transaction, table, key, row);
+  });
+  db[table].hook('deleting', (key, row, transaction) => {
+    rememberRow(transaction, table, key, row);
+  });
+}
+
+/**
+ * Field-by-field comparison of two stored rows
+ * Fields are primitive values or small plain arrays and objects (task tags, recurrence rules),
+ * which are read back as new instances, so those are compared by value.
+ * @param {Object|undefined} a - First row
+ * @param {Object|undefined} b - Second row
+ * @returns {boolean} True if both rows are missing or have the same fields and values
+ */
+function isSameRow(a, b) {
+  if (a === undefined || b === undefined) {
+    return a === b;
+  }
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => a[key] === b[key]
+    || (typeof a[key] === 'object' && a[key] !== null && JSON.stringify(a[key]) === JSON.stringify(b[key])));
+}
+
+/**
+ * Collect the touched rows that differ from how they were before the action
+ * @param {Object<string, Map<number, Object|undefined>>} touchedRows - Rows before the action, per table
+ * @returns {Promise<Array<{table: string, key: number, before: Object|undefined, after: Object|undefined}>>}
+ */
+async function collectChanges(touchedRows) {
+  const changes = [];
+  for (const table of TRACKED_TABLES) {
+    const keys = [...touchedRows[table].keys()];
+    const afterRows = await db[table].bulkGet(keys);
+    keys.forEach((key, index) => {
+      const beforeRow = touchedRows[table].get(key);
+      if (!isSameRow(beforeRow, afterRows[index])) {
+        changes.push({ table, key, before: beforeRow, after: afterRows[index] });
+      }
+    });
+  }
+  return changes;
+}
+
+/**
+ * Write one side of a set of changes back to the database
+ * @param {Array} changes - Changes from collectChanges
+ * @param {'before'|'after'} side - Which version of each row to restore
+ * @returns {Promise<void>}
+ */
+async function applyChanges(changes, side) {
+  await db.transaction('rw', db.lists, db.tasks, async () => {
+    for (const change of changes) {
+      const row = change[side];
+      if (row === undefined) {
+        await db[change.table].delete(change.key);
+      } else {
+        await db[change.table].put(row);
+      }
+    }
+  });
+}
+
+/**
+ * Run a mutation as one undoable action
+ * The action runs in a single transaction over lists, tasks and preferences. Actions that change nothing
+ * (e.g. dropping a task back where it was) are not recorded, and recording clears the redo stack.
+ * @template T
+ * @param {string} label - Short description of the action (e.g. 'Archive list')
+ * @param {() => Promise<T>} action - The mutation; only its changes to lists and tasks are recorded
+ * @param {{destructive?: boolean}} [options] - destructive: offer an Undo toast after the action
+ * @returns {Promise<T>} The action's result
+ */
+export async function recordUndoable(label, action, { destructive = false } = {}) {
+  if (Dexie.currentTransaction) {
+    // Part of a larger action (or of a bulk operation such as a backup restore)
+    return await action();
+  }
+
+  let changes = [];
+  // Preferences are in scope so actions can read settings such as the column count (they are not recorded)
+  const result = await db.transaction('rw', db.lists, db.tasks, db.preferences, async () => {
+    const touchedRows = Object.fromEntries(TRACKED_TABLES.map(table => [table, new Map()]));
+    touchedRowsByTransaction.set(Dexie.currentTransaction, touchedRows);
+    const actionResult = await action();
+    changes = await collectChanges(touchedRows);
+    return actionResult;
+  });
+
+  if (changes.length > 0) {
+    const entry = { label, destructive, changes };
+    undoStack.push(entry);
+    if (undoStack.length > MAX_HISTORY_LENGTH) {
+      undoStack.shift();
+    }
+    redoStack = [];
+    notify('record', entry);
+  }
+
+  return result;
+}
+
+/**
+ * Undo the most recent action
+ * @returns {Promise<UndoEntry|null>} The undone entry, or null if there was nothing to undo
+ */
+export async function undo() {
+  const entry = undoStack.pop();
+  if (!entry) {
+    return null;
+  }
+  await applyChanges(entry.changes, 'before');
+  redoStack.push(entry);
+  notify('undo', entry);
+  return entry;
+}
+
+/**
+ * Redo the most recently undone action
+ * @returns {Promise<UndoEntry|null>} The redone entry, or null if there was nothing to redo
+ */
+export async function redo() {
+  const entry = redoStack.pop();
+  if (!entry) {
+    return null;
+  }
+  await applyChanges(entry.changes, 'after');
+  undoStack.push(entry);
+  notify('redo', entry);
+  return entry;
+}
+
+/**
+ * @returns {boolean} True if there is an action to undo
+ */
+export function canUndo() {
+  return undoStack.length > 0;
+}
+
+/**
+ * @returns {boolean} True if there is an action to redo
+ */
+export function canRedo() {
+  return redoStack.length > 0;
+}
+
+/**
+ * Forget all recorded actions (e.g. after the whole database was replaced)
+ */
+export function clearUndoHistory() {
+  undoStack = [];
+  redoStack = [];
+  notify('clear', null);
+}
+
+/**
+ * Listen for history changes
+ * @param {(event: {type: 'record'|'undo'|'redo'|'clear', entry: UndoEntry|null}) => void} listener - Called after each change
+ * @returns {() => void} Function that removes the listener
+ */
+export function subscribeToUndoHistory(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
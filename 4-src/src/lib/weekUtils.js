@@ -0,0 +1,138 @@
+/**
+ * Helpers for the weekly day-of-week section
+ * 
+ * Weeks are identified by their Monday as a local-date string ('YYYY-MM-DD'),
+ * stored on scheduled tasks as task.weekStart.
+ */
+
+import { DAYS_OF_WEEK } from './constants.js';
+import { sortDayTasks } from './timeUtils.js';
+
+/**
+ * Group scheduled tasks into one array per day of the week (Monday-first)
+ * Within each day, timed tasks sort chronologically and untimed tasks keep their order.
+ * 
+ * @param {Array} tasks - Tasks with a dayOfWeek value (0 = Monday ... 6 = Sunday)
+ * @returns {Array<Array>} Array of 7 task arrays
+ */
+export function groupTasksByDay(tasks) {
+  const days = DAYS_OF_WEEK.map(() => []);
+  if (!Array.isArray(tasks)) return days;
+
+  for (const task of tasks) {
+    const dayOfWeek = task?.dayOfWeek;
+    if (Number.isInteger(dayOfWeek) && dayOfWeek >= 0 && dayOfWeek < days.length) {
+      days[dayOfWeek].push(task);
+    }
+  }
+
+  return days.map(sortDayTasks);
+}
+
+/**
+ * Group calendar events into one array per day of a week (Monday-first)
+ * Events are expected in date/start time order (see getCalendarEventsForWeek).
+ * 
+ * @param {Array} events - Calendar events with a local date ('YYYY-MM-DD')
+ * @param {string} weekStart - Week start as 'YYYY-MM-DD'
+ * @returns {Array<Array>} Array of 7 event arrays
+ */
+export function groupEventsByDay(events, weekStart) {
+  const days = DAYS_OF_WEEK.map(() => []);
+  if (!Array.isArray(events) || !weekStart) return days;
+
+  const dayDates = days.map((_, dayOfWeek) => toDateString(getDateForDay(weekStart, dayOfWeek)));
+  for (const event of events) {
+    const dayOfWeek = dayDates.indexOf(event?.date);
+    if (dayOfWeek !== -1) {
+      days[dayOfWeek].push(event);
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Format a Date as a local 'YYYY-MM-DD' string
+ * @param {Date} date - The date to format
+ * @returns {string} Local date string
+ */
+export function toDateString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' string as a local Date (midnight)
+ * @param {string} dateString - Local date string
+ * @returns {Date} Date at local midnight
+ */
+export function parseDateString(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Get the week start (Monday) for a date
+ * @param {Date} [date=new Date()] - Any date within the week
+ * @returns {string} The Monday of that week as 'YYYY-MM-DD'
+ */
+export function getWeekStart(date = new Date()) {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  // getDay() is Sunday-first (0 = Sunday); shift so Monday = 0
+  const daysSinceMonday = (monday.getDay() + 6) % 7;
+  monday.setDate(monday.getDate() - daysSinceMonday);
+  return toDateString(monday);
+}
+
+/**
+ * Move a week start forward or backward by a number of weeks
+ * @param {string} weekStart - Week start as 'YYYY-MM-DD'
+ * @param {number} weeks - Number of weeks to add (negative to go back)
+ * @returns {string} The resulting week start as 'YYYY-MM-DD'
+ */
+export function addWeeks(weekStart, weeks) {
+  const date = parseDateString(weekStart);
+  date.setDate(date.getDate() + weeks * 7);
+  return toDateString(date);
+}
+
+/**
+ * Get the calendar date for a day within a week
+ * @param {string} weekStart - Week start as 'YYYY-MM-DD'
+ * @param {number} dayOfWeek - Day index (0 = Monday ... 6 = Sunday)
+ * @returns {Date} Date at local midnight
+ */
+export function getDateForDay(weekStart, dayOfWeek) {
+  const date = parseDateString(weekStart);
+  date.setDate(date.getDate() + dayOfWeek);
+  return date;
+}
+
+/**
+ * Validate a week start string (must be a Monday in 'YYYY-MM-DD' format)
+ * @param {string} weekStart - Value to check
+ * @returns {boolean} True if the value is a valid week start
+ */
+export function isValidWeekStart(weekStart) {
+  if (typeof weekStart !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(weekStart)) {
+    return false;
+  }
+  return getWeekStart(parseDateString(weekStart)) === weekStart;
+}
+
+/**
+ * Format a week as a short human-readable range, e.g. "Mar 3 – Mar 9, 2025"
+ * @param {string} weekStart - Week start as 'YYYY-MM-DD'
+ * @returns {string} Formatted week range
+ */
+export function formatWeekRange(weekStart) {
+  const start = parseDateString(weekStart);
+  const end = getDateForDay(weekStart, DAYS_OF_WEEK.length - 1);
+  const monthDay = { month: 'short', day: 'numeric' };
+  const startLabel = start.toLocaleDateString('en-US', monthDay);
+  const endLabel = end.toLocaleDateString('en-US', { ...monthDay, year: 'numeric' });
+  return `${startLabel} – ${endLabel}`;
+}
@@ -3,6 +3,8 @@ import './app.css'
 import App from './App.svelte'
 import { seedDatabase } from './lib/seed.js'
 import { initializeTheme } from './lib/theme.js'
+import { initializeCalendars } from './lib/calendar/calendarSync.js'
+import { regenerateRecurringTasks } from './lib/dataAccess.js'
 
 // Seed database with mock data on app initialization, then mount app
 (async () => {
@@ -12,6 +14,15 @@ import { initializeTheme } from './lib/theme.js'
     
     await seedDatabase().catch(console.error)
     
+    // Recurring tasks checked off in an earlier period come back unchecked, at start-up
+    // and whenever the app is shown again (it may have been left open overnight)
+    await regenerateRecurringTasks().catch(console.error)
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        regenerateRecurringTasks().catch(console.error)
+      }
+    })
+    
     const appElement = document.getElementById('app')
     if (!appElement) {
       console.error('App element not found!')
@@ -21,6 +32,9 @@ import { initializeTheme } from './lib/theme.js'
     mount(App, {
       target: appElement,
     })
+
+    // Sync calendars after mounting so the board isn't held up by the network
+    initializeCalendars().catch(console.error)
   } catch (error) {
     console.error('Error initializing app:', error)
   }